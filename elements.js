@@ -0,0 +1,241 @@
+'use strict';
+
+/* ============================================
+   ELEMENTS & ELECTRON CONFIGURATIONS
+   Ground-state subshell filling (Madelung order
+   + the known exceptions), ions and Hund's-rule
+   occupancy of the individual m orbitals
+   (plain data only — no p5 globals here)
+   ============================================ */
+
+const ELEMENT_SYMBOLS = [
+  'H', 'He',
+  'Li', 'Be', 'B', 'C', 'N', 'O', 'F', 'Ne',
+  'Na', 'Mg', 'Al', 'Si', 'P', 'S', 'Cl', 'Ar',
+  'K', 'Ca', 'Sc', 'Ti', 'V', 'Cr', 'Mn', 'Fe', 'Co', 'Ni', 'Cu', 'Zn', 'Ga', 'Ge', 'As', 'Se', 'Br', 'Kr',
+  'Rb', 'Sr', 'Y', 'Zr', 'Nb', 'Mo', 'Tc', 'Ru', 'Rh', 'Pd', 'Ag', 'Cd', 'In', 'Sn', 'Sb', 'Te', 'I', 'Xe',
+  'Cs', 'Ba', 'La', 'Ce', 'Pr', 'Nd', 'Pm', 'Sm', 'Eu', 'Gd', 'Tb', 'Dy', 'Ho', 'Er', 'Tm', 'Yb', 'Lu',
+  'Hf', 'Ta', 'W', 'Re', 'Os', 'Ir', 'Pt', 'Au', 'Hg', 'Tl', 'Pb', 'Bi', 'Po', 'At', 'Rn',
+  'Fr', 'Ra', 'Ac', 'Th', 'Pa', 'U', 'Np', 'Pu', 'Am', 'Cm', 'Bk', 'Cf', 'Es', 'Fm', 'Md', 'No', 'Lr',
+  'Rf', 'Db', 'Sg', 'Bh', 'Hs', 'Mt', 'Ds', 'Rg', 'Cn', 'Nh', 'Fl', 'Mc', 'Lv', 'Ts', 'Og'
+];
+
+const NOBLE_GAS_NUMBERS = [2, 10, 18, 36, 54, 86, 118];
+
+// Aufbau Order (Electron filling)
+const AUFBAU_ORDER = [
+  [1, 0], [2, 0], [2, 1], [3, 0], [3, 1], [4, 0], [3, 2], [4, 1], [5, 0],
+  [4, 2], [5, 1], [6, 0], [4, 3], [5, 2], [6, 1], [7, 0], [5, 3], [6, 2], [7, 1],
+];
+
+const AUFBAU_CAPACITY = AUFBAU_ORDER.reduce((sum, [, l]) => sum + 2 * (2 * l + 1), 0);
+
+// Neutral atoms whose ground state departs from the Madelung filling, as electrons
+// moved between subshells ("n,l" → change in count)
+const CONFIGURATION_EXCEPTIONS = {
+  24: { '4,0': -1, '3,2': 1 },  // Cr  [Ar] 3d⁵ 4s¹
+  29: { '4,0': -1, '3,2': 1 },  // Cu  [Ar] 3d¹⁰ 4s¹
+  41: { '5,0': -1, '4,2': 1 },  // Nb  [Kr] 4d⁴ 5s¹
+  42: { '5,0': -1, '4,2': 1 },  // Mo  [Kr] 4d⁵ 5s¹
+  44: { '5,0': -1, '4,2': 1 },  // Ru  [Kr] 4d⁷ 5s¹
+  45: { '5,0': -1, '4,2': 1 },  // Rh  [Kr] 4d⁸ 5s¹
+  46: { '5,0': -2, '4,2': 2 },  // Pd  [Kr] 4d¹⁰
+  47: { '5,0': -1, '4,2': 1 },  // Ag  [Kr] 4d¹⁰ 5s¹
+  57: { '4,3': -1, '5,2': 1 },  // La  [Xe] 5d¹ 6s²
+  58: { '4,3': -1, '5,2': 1 },  // Ce  [Xe] 4f¹ 5d¹ 6s²
+  64: { '4,3': -1, '5,2': 1 },  // Gd  [Xe] 4f⁷ 5d¹ 6s²
+  78: { '6,0': -1, '5,2': 1 },  // Pt  [Xe] 4f¹⁴ 5d⁹ 6s¹
+  79: { '6,0': -1, '5,2': 1 },  // Au  [Xe] 4f¹⁴ 5d¹⁰ 6s¹
+  89: { '5,3': -1, '6,2': 1 },  // Ac  [Rn] 6d¹ 7s²
+  90: { '5,3': -2, '6,2': 2 },  // Th  [Rn] 6d² 7s²
+  91: { '5,3': -1, '6,2': 1 },  // Pa  [Rn] 5f² 6d¹ 7s²
+  92: { '5,3': -1, '6,2': 1 },  // U   [Rn] 5f³ 6d¹ 7s²
+  93: { '5,3': -1, '6,2': 1 },  // Np  [Rn] 5f⁴ 6d¹ 7s²
+  96: { '5,3': -1, '6,2': 1 },  // Cm  [Rn] 5f⁷ 6d¹ 7s²
+  103: { '6,2': -1, '7,1': 1 }  // Lr  [Rn] 5f¹⁴ 7s² 7p¹
+};
+
+const SUBSHELL_LETTERS = ['s', 'p', 'd', 'f', 'g', 'h', 'i', 'k'];
+const SUPERSCRIPT_DIGITS = '⁰¹²³⁴⁵⁶⁷⁸⁹';
+
+// ============================================
+// LOOKUP
+// ============================================
+
+function elementSymbol(Z) {
+  return ELEMENT_SYMBOLS[Z - 1] || null;
+}
+
+// Atomic number for a symbol (case-insensitive), or null
+function elementNumber(symbol) {
+  const s = String(symbol || '').trim().toLowerCase();
+  const idx = ELEMENT_SYMBOLS.findIndex(sym => sym.toLowerCase() === s);
+  return idx >= 0 ? idx + 1 : null;
+}
+
+function subshellCapacity(l) {
+  return 2 * (2 * l + 1);
+}
+
+// ============================================
+// CONFIGURATIONS
+// ============================================
+
+// Madelung filling of electronCount electrons: [{ n, l, count }] in filling order
+function aufbauConfiguration(electronCount) {
+  const config = [];
+  let remaining = electronCount;
+
+  for (let i = 0; i < AUFBAU_ORDER.length && remaining > 0; i++) {
+    const [n, l] = AUFBAU_ORDER[i];
+    const count = Math.min(remaining, subshellCapacity(l));
+    config.push({ n, l, count });
+    remaining -= count;
+  }
+
+  return config;
+}
+
+// Ground state of element Z with the given ion charge, in filling order. Cations lose
+// electrons from the highest n first (then highest l), so Fe²⁺ is [Ar] 3d⁶ rather than
+// 4s² 3d⁴; anions keep filling in Madelung order. Charges leaving no electrons, or
+// more than the table holds, are clamped.
+function electronConfiguration(Z, charge = 0) {
+  const counts = new Map();
+  for (const shell of aufbauConfiguration(Z)) counts.set(`${shell.n},${shell.l}`, shell.count);
+
+  const exception = CONFIGURATION_EXCEPTIONS[Z];
+  if (exception) {
+    for (const key of Object.keys(exception)) counts.set(key, (counts.get(key) || 0) + exception[key]);
+  }
+
+  const electrons = Math.max(1, Math.min(AUFBAU_CAPACITY, Z - charge));
+  let excess = Z - electrons;
+
+  while (excess > 0) {
+    let best = null;
+    for (const [key, count] of counts) {
+      if (count <= 0) continue;
+      const [n, l] = key.split(',').map(Number);
+      if (!best || n > best.n || (n === best.n && l > best.l)) best = { key, n, l };
+    }
+    counts.set(best.key, counts.get(best.key) - 1);
+    excess--;
+  }
+
+  for (let i = 0; i < AUFBAU_ORDER.length && excess < 0; i++) {
+    const [n, l] = AUFBAU_ORDER[i];
+    const key = `${n},${l}`;
+    const add = Math.min(-excess, subshellCapacity(l) - (counts.get(key) || 0));
+    if (add <= 0) continue;
+    counts.set(key, (counts.get(key) || 0) + add);
+    excess += add;
+  }
+
+  const config = [];
+  for (const [n, l] of AUFBAU_ORDER) {
+    const count = counts.get(`${n},${l}`) || 0;
+    if (count > 0) config.push({ n, l, count });
+  }
+  return config;
+}
+
+// Magnetic quantum numbers in the order Hund's rule fills them: one electron in each
+// orbital first (m = l, l−1, …, −l, the order of the usual box diagrams), then pairing
+function hundFillOrder(l) {
+  const order = [];
+  for (let m = l; m >= -l; m--) order.push(m);
+  return order.concat(order);
+}
+
+// Every occupied orbital of a configuration: [{ n, l, m, count }] with count 1 or 2
+function configurationOrbitals(config) {
+  const orbitals = [];
+
+  for (const shell of config) {
+    const fill = hundFillOrder(shell.l).slice(0, shell.count);
+    for (let m = shell.l; m >= -shell.l; m--) {
+      const count = fill.filter(v => v === m).length;
+      if (count > 0) orbitals.push({ n: shell.n, l: shell.l, m, count });
+    }
+  }
+
+  return orbitals;
+}
+
+// Orbital of the last electron placed: last subshell in filling order, last Hund slot
+function valenceOrbital(config) {
+  if (!config || config.length === 0) return { n: 1, l: 0, m: 0 };
+  const shell = config[config.length - 1];
+  return { n: shell.n, l: shell.l, m: hundFillOrder(shell.l)[shell.count - 1] };
+}
+
+// ============================================
+// PERIODIC TABLE LAYOUT
+// ============================================
+
+// Subshell the Madelung rule fills last for element Z; it decides the block
+function lastFilledSubshell(Z) {
+  const config = aufbauConfiguration(Z);
+  const shell = config[config.length - 1];
+  return { n: shell.n, l: shell.l };
+}
+
+// 's', 'p', 'd' or 'f' (helium counts as s-block)
+function elementBlock(Z) {
+  return SUBSHELL_LETTERS[lastFilledSubshell(Z).l];
+}
+
+// 1-based grid cell in an 18-column table. La–Yb and Ac–No go to rows 9 and 10 and
+// Lu, Lr sit in group 3, so every element's position agrees with its block.
+function periodicTablePosition(Z) {
+  let period = 1;
+  while (Z > NOBLE_GAS_NUMBERS[period - 1]) period++;
+  const idx = Z - (period === 1 ? 0 : NOBLE_GAS_NUMBERS[period - 2]);
+
+  if (period === 1) return { row: 1, col: idx === 1 ? 1 : 18 };
+  if (period <= 3) return { row: period, col: idx <= 2 ? idx : idx + 10 };
+  if (period <= 5 || idx <= 2) return { row: period, col: idx };
+  if (idx <= 16) return { row: period + 3, col: idx + 1 };
+  if (idx === 17) return { row: period, col: 3 };
+  return { row: period, col: idx - 14 };
+}
+
+// ============================================
+// FORMATTING
+// ============================================
+
+function superscriptNumber(value) {
+  return String(value).split('').map(d => SUPERSCRIPT_DIGITS[d] || d).join('');
+}
+
+// "Fe²⁺", "Cl⁻", "Na"
+function ionLabel(Z, charge = 0) {
+  const symbol = elementSymbol(Z) || '?';
+  if (!charge) return symbol;
+  const size = Math.abs(charge) === 1 ? '' : superscriptNumber(Math.abs(charge));
+  return `${symbol}${size}${charge > 0 ? '⁺' : '⁻'}`;
+}
+
+// "[Ar] 3d⁶" — subshells in (n, l) order after the largest noble-gas core that is
+// completely filled (and not the whole configuration)
+function formatConfiguration(config) {
+  const counts = new Map(config.map(s => [`${s.n},${s.l}`, s.count]));
+  const total = config.reduce((sum, s) => sum + s.count, 0);
+
+  let core = 0;
+  for (const nobleZ of NOBLE_GAS_NUMBERS) {
+    if (nobleZ >= total) break;
+    const filled = aufbauConfiguration(nobleZ).every(s => counts.get(`${s.n},${s.l}`) === s.count);
+    if (filled) core = nobleZ;
+  }
+
+  const coreKeys = new Set(core ? aufbauConfiguration(core).map(s => `${s.n},${s.l}`) : []);
+  const rest = config
+    .filter(s => !coreKeys.has(`${s.n},${s.l}`))
+    .sort((a, b) => a.n - b.n || a.l - b.l)
+    .map(s => `${s.n}${SUBSHELL_LETTERS[s.l] || `l${s.l}`}${superscriptNumber(s.count)}`);
+
+  if (core) rest.unshift(`[${elementSymbol(core)}]`);
+  return rest.join(' ');
+}
@@ -0,0 +1,101 @@
+'use strict';
+
+/* ============================================
+   HYBRID ORBITALS
+   Normalized s/p/d combinations for the usual
+   hybridization sets, with the direction each
+   hybrid points in
+   (plain data only — no p5 globals here)
+   ============================================ */
+
+const HYBRID_SET_KEYS = ['sp', 'sp2', 'sp3', 'sp3d', 'sp3d2'];
+
+// (l, m) of the Cartesian real orbitals, with the signs of realOrbitalValue
+const CARTESIAN_ORBITALS = {
+  s: { l: 0, m: 0 },
+  px: { l: 1, m: 1 },
+  py: { l: 1, m: -1 },
+  pz: { l: 1, m: 0 },
+  dz2: { l: 2, m: 0 },
+  dx2y2: { l: 2, m: 2 }
+};
+
+// Shell of every term. sp–sp³ mix 2s/2p as in C, N, O; an n = 2 shell has no d, so
+// the expanded-octet sets use one shell throughout — 3s/3p/3d as in PCl₅ and SF₆ —
+// which keeps the hybrids equivalent.
+const HYBRID_SHELLS = { sp: 2, sp2: 2, sp3: 2, sp3d: 3, sp3d2: 3 };
+
+const HYBRID_LABELS = { sp: 'sp', sp2: 'sp²', sp3: 'sp³', sp3d: 'sp³d', sp3d2: 'sp³d²' };
+
+const TETRAHEDRAL_DIRECTIONS = [[1, 1, 1], [1, -1, -1], [-1, 1, -1], [-1, -1, 1]];
+
+// ============================================
+// SETS
+// ============================================
+
+// s weight sWeight plus p along unit vector u: √w·s + √(1−w)·(u·p)
+function spHybridCoefficients(sWeight, u) {
+  const pWeight = Math.sqrt(1 - sWeight);
+  return { s: Math.sqrt(sWeight), px: pWeight * u[0], py: pWeight * u[1], pz: pWeight * u[2] };
+}
+
+function unitVector(v) {
+  const len = Math.hypot(v[0], v[1], v[2]) || 1;
+  return [v[0] / len, v[1] / len, v[2] / len];
+}
+
+// Equatorial trigonal directions at 0°, 120°, 240° in the xy plane
+function trigonalDirections() {
+  return [0, 1, 2].map(k => [Math.cos(2 * Math.PI * k / 3), Math.sin(2 * Math.PI * k / 3), 0]);
+}
+
+// [{ direction, coeffs: { s, px, … } }] for one set; every hybrid is normalized and
+// the set is orthonormal
+function hybridCoefficientSet(key) {
+  switch (key) {
+    case 'sp':
+      return [[0, 0, 1], [0, 0, -1]].map(u => ({ direction: u, coeffs: spHybridCoefficients(1 / 2, u) }));
+    case 'sp2':
+      return trigonalDirections().map(u => ({ direction: u, coeffs: spHybridCoefficients(1 / 3, u) }));
+    case 'sp3':
+      return TETRAHEDRAL_DIRECTIONS.map(unitVector).map(u => ({ direction: u, coeffs: spHybridCoefficients(1 / 4, u) }));
+    case 'sp3d':
+      // sp² in the plane; the axial pair is (±pz + dz²)/√2
+      return trigonalDirections().map(u => ({ direction: u, coeffs: spHybridCoefficients(1 / 3, u) }))
+        .concat([1, -1].map(sign => ({ direction: [0, 0, sign], coeffs: { pz: sign / Math.SQRT2, dz2: 1 / Math.SQRT2 } })));
+    case 'sp3d2': {
+      // Octahedral: s/√6 ± p/√2 plus the d share along each axis
+      const s = 1 / Math.sqrt(6), p = 1 / Math.SQRT2, dz2Axial = 1 / Math.sqrt(3), dz2Equatorial = -1 / (2 * Math.sqrt(3));
+      const set = [];
+      for (const sign of [1, -1]) {
+        set.push({ direction: [sign, 0, 0], coeffs: { s, px: sign * p, dz2: dz2Equatorial, dx2y2: 1 / 2 } });
+        set.push({ direction: [0, sign, 0], coeffs: { s, py: sign * p, dz2: dz2Equatorial, dx2y2: -1 / 2 } });
+        set.push({ direction: [0, 0, sign], coeffs: { s, pz: sign * p, dz2: dz2Axial } });
+      }
+      return set;
+    }
+    default:
+      return [];
+  }
+}
+
+// The hybrids of a set as sampler input: [{ set, index, label, direction, terms }] with
+// terms [{ n, l, m, c }] ready for createCombinationSamplerState
+function hybridOrbitals(key) {
+  const n = HYBRID_SHELLS[key] || 2;
+  
+  return hybridCoefficientSet(key).map((hybrid, index) => ({
+    set: key,
+    index,
+    label: `${HYBRID_LABELS[key]} #${index + 1}`,
+    direction: hybrid.direction,
+    terms: Object.keys(hybrid.coeffs)
+      .filter(name => Math.abs(hybrid.coeffs[name]) > 1e-12)
+      .map(name => Object.assign({ n, c: hybrid.coeffs[name] }, CARTESIAN_ORBITALS[name]))
+  }));
+}
+
+// "(0.58, −0.58, −0.58)"
+function formatDirection(u) {
+  return `(${u.map(v => (Math.abs(v) < 5e-3 ? 0 : v).toFixed(2).replace('-', '−')).join(', ')})`;
+}
@@ -0,0 +1,151 @@
+'use strict';
+
+/* ============================================
+   DIATOMIC MOLECULAR ORBITALS (LCAO)
+   Homonuclear diatomics on the z axis with the
+   nuclei at z = ±R/2; MOs as φ_A ± φ_B of the
+   hydrogenic atomic functions, their schematic
+   energy order and filling
+   (plain data only — no p5 globals here)
+   ============================================ */
+
+// Z per atom, electrons in the molecule and equilibrium bond length in Bohr radii
+// (Be₂ and Ne₂ are only weakly bound; their bond lengths are the van der Waals minima)
+const DIATOMICS = {
+  H2p: { label: 'H₂⁺', Z: 1, electrons: 1, bond: 2.00 },
+  H2: { label: 'H₂', Z: 1, electrons: 2, bond: 1.40 },
+  Li2: { label: 'Li₂', Z: 3, electrons: 6, bond: 5.05 },
+  Be2: { label: 'Be₂', Z: 4, electrons: 8, bond: 4.63 },
+  B2: { label: 'B₂', Z: 5, electrons: 10, bond: 3.00 },
+  C2: { label: 'C₂', Z: 6, electrons: 12, bond: 2.35 },
+  N2: { label: 'N₂', Z: 7, electrons: 14, bond: 2.07 },
+  O2: { label: 'O₂', Z: 8, electrons: 16, bond: 2.28 },
+  F2: { label: 'F₂', Z: 9, electrons: 18, bond: 2.67 },
+  Ne2: { label: 'Ne₂', Z: 10, electrons: 20, bond: 5.84 }
+};
+
+const DIATOMIC_KEYS = Object.keys(DIATOMICS);
+
+// Atomic functions, as (n, l, m) in realOrbitalValue's Cartesian signs
+const MO_ATOMIC_FUNCTIONS = {
+  '1s': { n: 1, l: 0, m: 0 },
+  '2s': { n: 2, l: 0, m: 0 },
+  '2px': { n: 2, l: 1, m: 1 },
+  '2py': { n: 2, l: 1, m: -1 },
+  '2pz': { n: 2, l: 1, m: 0 }
+};
+
+// Schematic energies (arbitrary units) of the atomic levels; the MOs below are placed
+// relative to them, only their order is meaningful
+const AO_LEVELS = { '1s': 0, '2s': 2.6, '2p': 5.6 };
+
+// Up to N₂, 2s–2p mixing pushes σ2p above π2p; from O₂ on σ2p is the lower one
+const SP_MIXING_MAX_Z = 7;
+
+// ============================================
+// ORBITALS
+// ============================================
+
+// sign is the coefficient of φ_B. Both pz point along +z, so φ_A − φ_B is the one
+// that builds up between the nuclei (σ2p) and φ_A + φ_B the antibonding σ*2p.
+function moDefinitions(Z) {
+  const mixed = Z <= SP_MIXING_MAX_Z;
+  const defs = [
+    { id: 's1s', label: 'σ1s', ao: '1s', sign: 1, bonding: true, energy: AO_LEVELS['1s'] - 0.6 },
+    { id: 's1s*', label: 'σ*1s', ao: '1s', sign: -1, bonding: false, energy: AO_LEVELS['1s'] + 0.6 }
+  ];
+  if (Z < 3) return defs;
+  
+  return defs.concat([
+    { id: 's2s', label: 'σ2s', ao: '2s', sign: 1, bonding: true, energy: AO_LEVELS['2s'] - 0.8 },
+    { id: 's2s*', label: 'σ*2s', ao: '2s', sign: -1, bonding: false, energy: AO_LEVELS['2s'] + 0.8 },
+    { id: 'p2px', label: 'π2p(x)', ao: '2px', sign: 1, bonding: true, energy: AO_LEVELS['2p'] - (mixed ? 1.1 : 0.8) },
+    { id: 'p2py', label: 'π2p(y)', ao: '2py', sign: 1, bonding: true, energy: AO_LEVELS['2p'] - (mixed ? 1.1 : 0.8) },
+    { id: 's2p', label: 'σ2p', ao: '2pz', sign: -1, bonding: true, energy: AO_LEVELS['2p'] - (mixed ? 0.5 : 1.4) },
+    { id: 'p2px*', label: 'π*2p(x)', ao: '2px', sign: -1, bonding: false, energy: AO_LEVELS['2p'] + 0.8 },
+    { id: 'p2py*', label: 'π*2p(y)', ao: '2py', sign: -1, bonding: false, energy: AO_LEVELS['2p'] + 0.8 },
+    { id: 's2p*', label: 'σ*2p', ao: '2pz', sign: 1, bonding: false, energy: AO_LEVELS['2p'] + 1.6 }
+  ]);
+}
+
+// MOs of a molecule, lowest first, filled with its electrons (Hund's rule across the
+// degenerate π pairs): [{ id, label, ao, n, l, m, sign, bonding, energy, occupancy }]
+function diatomicOrbitals(key) {
+  const molecule = DIATOMICS[key];
+  if (!molecule) return [];
+  
+  const mos = moDefinitions(molecule.Z)
+    .map(def => Object.assign({ occupancy: 0 }, def, MO_ATOMIC_FUNCTIONS[def.ao]))
+    .sort((a, b) => a.energy - b.energy);
+  
+  let remaining = molecule.electrons;
+  for (let i = 0; i < mos.length && remaining > 0;) {
+    const group = mos.filter(mo => mo.energy === mos[i].energy);
+    for (let pass = 0; pass < 2; pass++) {
+      for (const mo of group) {
+        if (remaining <= 0) break;
+        mo.occupancy++;
+        remaining--;
+      }
+    }
+    i += group.length;
+  }
+  
+  return mos;
+}
+
+// Highest occupied MO (the first of a degenerate pair)
+function homoOrbital(mos) {
+  const occupied = mos.filter(mo => mo.occupancy > 0);
+  if (occupied.length === 0) return mos[0] || null;
+  const top = occupied[occupied.length - 1].energy;
+  return occupied.find(mo => mo.energy === top);
+}
+
+// (bonding − antibonding electrons) / 2
+function bondOrder(mos) {
+  return mos.reduce((sum, mo) => sum + (mo.bonding ? mo.occupancy : -mo.occupancy), 0) / 2;
+}
+
+function unpairedElectrons(mos) {
+  return mos.filter(mo => mo.occupancy === 1).length;
+}
+
+// ============================================
+// WAVEFUNCTION
+// ============================================
+
+// ψ(x, y, z) of one MO, in Bohr radii: φ_A(r − R_A) + sign·φ_B(r − R_B) with the
+// hydrogenic function at charge zEff on each nucleus. Left unnormalized: the
+// Metropolis sampler only needs ratios of |ψ|².
+function molecularOrbitalPsi(mo, bond, zEff) {
+  const half = bond / 2;
+  const atomic = (x, y, z) => {
+    const r = Math.sqrt(x * x + y * y + z * z);
+    if (r <= 0) return mo.l === 0 ? realOrbitalValue(mo.n, 0, 0, 0, 0, 0) : 0;
+    return realOrbitalValue(mo.n, mo.l, mo.m, zEff * r, Math.acos(Math.max(-1, Math.min(1, z / r))), Math.atan2(y, x));
+  };
+  return (x, y, z) => atomic(x, y, z + half) + mo.sign * atomic(x, y, z - half);
+}
+
+// ============================================
+// FORMATTING
+// ============================================
+
+// "KK (σ2s)² (σ*2s)² (π2p)⁴ (σ2p)²" — degenerate π pairs merged, a full 1s core as KK
+function moConfigurationLabel(key, mos) {
+  const molecule = DIATOMICS[key];
+  const occupied = mos.filter(mo => mo.occupancy > 0);
+  const core = molecule && molecule.Z >= 3 && occupied.filter(mo => mo.ao === '1s' && mo.occupancy === 2).length === 2;
+  const parts = core ? ['KK'] : [];
+  
+  for (const mo of occupied) {
+    if (core && mo.ao === '1s') continue;
+    const name = mo.label.replace(/\([xy]\)$/, '');
+    const last = parts[parts.length - 1];
+    if (last && last.name === name) last.count += mo.occupancy;
+    else parts.push({ name, count: mo.occupancy });
+  }
+  
+  return parts.map(p => (typeof p === 'string' ? p : `(${p.name})${superscriptNumber(p.count)}`)).join(' ');
+}
@@ -0,0 +1,132 @@
+'use strict';
+
+/* ============================================
+   ORBITAL SAMPLER WORKER
+   Samples point clouds off the main thread and
+   streams them back as Float32Array batches;
+   also extracts isosurface meshes
+   ============================================ */
+
+importScripts('wavefunction.js', 'isosurface.js');
+
+// Jobs tagged with an older sampling id than this are abandoned
+let latestSamplingId = 0;
+const jobQueue = [];
+let activeJob = null;
+let running = false;
+
+self.onmessage = function(ev) {
+  const msg = ev.data || {};
+  
+  if (msg.type === 'cancel') {
+    latestSamplingId = Math.max(latestSamplingId, msg.samplingId || 0);
+    return;
+  }
+  
+  if (msg.type === 'isosurface') {
+    runIsosurfaceJob(msg);
+    return;
+  }
+  
+  if (msg.type === 'sample') {
+    latestSamplingId = Math.max(latestSamplingId, msg.samplingId || 0);
+    jobQueue.push(msg);
+    if (!running) {
+      running = true;
+      setTimeout(runNextJob, 0);
+    }
+  }
+};
+
+// One synchronous pass; a sampling job in progress resumes on its next timeout
+function runIsosurfaceJob(msg) {
+  try {
+    const res = extractIsosurfaces(msg.n, msg.l, msg.m, msg.halfExtent, msg.res, msg.fraction, !!msg.complexBasis);
+    const transfer = [];
+    for (const s of res.surfaces) transfer.push(s.positions.buffer, s.normals.buffer, s.indices.buffer);
+    self.postMessage({ type: 'isosurface', jobId: msg.jobId, level: res.level, surfaces: res.surfaces }, transfer);
+  } catch (e) {
+    self.postMessage({ type: 'isosurfaceError', jobId: msg.jobId, message: e && e.message ? e.message : String(e) });
+  }
+}
+
+function isStale(msg) {
+  return msg.samplingId < latestSamplingId;
+}
+
+function runNextJob() {
+  activeJob = null;
+  while (jobQueue.length > 0 && isStale(jobQueue[0])) jobQueue.shift();
+  if (jobQueue.length === 0) {
+    running = false;
+    return;
+  }
+  
+  const msg = jobQueue.shift();
+  const rng = (msg.seed === null || msg.seed === undefined) ? Math.random : createSeededRng(hashSeed(msg.seed, msg.stream));
+  
+  try {
+    activeJob = {
+      msg,
+      rng,
+      produced: 0,
+      state: msg.terms
+        ? createCombinationSamplerState(msg.terms, msg.radialScale, msg.minR, msg.angularTries, rng)
+        : createSamplerState(msg.n, msg.l, msg.m, msg.radialScale, msg.minR, msg.angularTries, rng, !!msg.complexBasis)
+    };
+  } catch (e) {
+    self.postMessage({ type: 'error', jobId: msg.jobId, samplingId: msg.samplingId, message: e && e.message ? e.message : String(e) });
+    setTimeout(runNextJob, 0);
+    return;
+  }
+  
+  stepJob(activeJob);
+}
+
+function stepJob(job) {
+  const msg = job.msg;
+  if (isStale(msg)) {
+    runNextJob();
+    return;
+  }
+  
+  const remaining = msg.count - job.produced;
+  const batchCount = Math.min(msg.batchSize, remaining);
+  let batch = new Float32Array(batchCount * 3);
+  let phases = new Int8Array(batchCount);
+  const res = sampleOrbitalBatch(job.state, batch, 0, batchCount, msg.attemptsPerBatch, job.rng, phases);
+  let written = res.written;
+  
+  if (written === 0 && res.attempts >= msg.attemptsPerBatch) {
+    // No progress at all: fill the rest uniformly, same as the main-thread fallback
+    batch = new Float32Array(remaining * 3);
+    phases = new Int8Array(remaining);
+    fillUniformBall(job.state, batch, 0, remaining, job.rng, phases);
+    written = remaining;
+  } else if (written < batchCount) {
+    batch = batch.slice(0, written * 3);
+    phases = phases.slice(0, written);
+  }
+  
+  if (written > 0) {
+    self.postMessage({
+      type: 'batch',
+      jobId: msg.jobId,
+      samplingId: msg.samplingId,
+      start: job.produced,
+      count: written,
+      positions: batch,
+      phases
+    }, [batch.buffer, phases.buffer]);
+  }
+  
+  job.produced += written;
+  
+  if (job.produced >= msg.count) {
+    self.postMessage({ type: 'done', jobId: msg.jobId, samplingId: msg.samplingId, count: job.produced });
+    setTimeout(runNextJob, 0);
+    return;
+  }
+  
+  setTimeout(() => stepJob(job), 0);
+}
@@ -17,6 +17,7 @@ let globalFlattenVec = null;
 let ui = {};
 let positions = null;
 let sizes = null;
+let phases = null; // Sign of ψ per sampled point (Int8Array, aligned with positions)
 let sampleCount = 0;
 let sampleTarget = 0;
 let sampling = false;
@@ -49,6 +50,17 @@ let lastLabelScreenPositions = null;
 
 // Physics Constants
 const a0 = 40; // Bohr radius scale
+const MAX_NUCLEAR_CHARGE = 118;
+const MAX_SEED_LENGTH = 32;
+const MIN_ION_CHARGE = -4;
+const MAX_ION_CHARGE = 8;
+let nuclearCharge = 1; // Z for hydrogen-like ions (He⁺, Li²⁺, ...)
+let samplingSeed = null; // Seed string from the UI / URL; null samples with p5's random()
+let slaterEnabled = false; // Slater-rule Z_eff for complete mode
+let configElementZ = null; // Element picked for complete mode; null derives the inner orbitals from (n, l, m)
+let configCharge = 0; // Ion charge of that element
+let periodicBtn = null;
+let periodicPanelOpen = false;
 let sphereResolution = 64; // ✅ REDUCED: 96 → 64 for performance
 
 // WebGL Limits (Optimized)
@@ -80,12 +92,6 @@ let centerLightColor = [255, 220, 160];
 let backLightColor = [180, 200, 255];
 let backPointFill = true;
 
-// Aufbau Order (Electron filling)
-const AUFBAU_ORDER = [
-  [1, 0], [2, 0], [2, 1], [3, 0], [3, 1], [4, 0], [3, 2], [4, 1], [5, 0],
-  [4, 2], [5, 1], [6, 0], [4, 3], [5, 2], [6, 1], [7, 0], [5, 3], [6, 2], [7, 1],
-];
-
 // Subshell Color Map
 const SUBSHELL_COLORS = {
   '1,0': [255, 165, 60], '2,0': [80, 255, 80], '2,1': [80, 120, 255],
@@ -97,17 +103,39 @@ const SUBSHELL_COLORS = {
   '7,1': [180, 255, 220],
 };
 
+// Hybrid mode: one colour per hybrid of a set (up to the six of sp³d²)
+const HYBRID_COLORS = [
+  [255, 120, 80], [80, 200, 255], [120, 255, 120],
+  [255, 220, 80], [220, 120, 255], [255, 120, 190]
+];
+
+// Molecule mode: bond length range (Bohr radii) and the size of the two nuclei
+const MIN_BOND_LENGTH = 0.5;
+const MAX_BOND_LENGTH = 12;
+const MOLECULE_NUCLEUS_SCALE = 0.5;
+
+// Superposition mode: the two editor states at start, the largest n, playback speed
+// (attoseconds of evolution per second) and the ⟨r⟩ arrow
+const SUPERPOSITION_STATE_KEYS = ['superA', 'superB'];
+const SUPERPOSITION_DEFAULTS = [{ n: 1, l: 0, m: 0, c: 1 }, { n: 2, l: 1, m: 0, c: 1 }];
+const MAX_SUPERPOSITION_N = 6;
+const DEFAULT_TIME_SCALE_AS = 100;
+const MIN_TIME_SCALE_AS = 1;
+const MAX_TIME_SCALE_AS = 100000;
+const DIPOLE_COLOR = [255, 230, 120];
+const SUPERPOSITION_READOUT_MS = 100;
+
 // Vibrant Color Generator (Golden Ratio)
-function generateVibrantColors(count) {
+function generateVibrantColors(count, rng = Math.random) {
   const colors = [];
   const goldenRatioConjugate = 0.618033988749895;
-  let h = Math.random();
+  let h = rng();
   
   for (let i = 0; i < count; i++) {
     h = (h + goldenRatioConjugate) % 1;
     const hue = h * 360;
-    const saturation = 85 + Math.random() * 15;
-    const lightness = 50 + Math.random() * 10;
+    const saturation = 85 + rng() * 15;
+    const lightness = 50 + rng() * 10;
     
     const c = (1 - Math.abs(2 * lightness / 100 - 1)) * saturation / 100;
     const x = c * (1 - Math.abs((hue / 60) % 2 - 1));
@@ -130,7 +158,7 @@ function generateVibrantColors(count) {
   return colors;
 }
 
-const ORBITAL_COLORS = generateVibrantColors(30);
+let ORBITAL_COLORS = generateVibrantColors(30); // Regenerated from the seed by setSamplingSeed
 
 // Nuclear & Electron Constants
 const NUCLEUS_RADIUS = 18.0;
@@ -156,14 +184,95 @@ let overlayShader = null;
 let _overlayVertSrc = null;
 let _overlayFragSrc = null;
 
+// Point cloud program (raw WebGL: p5 shaders can't take custom attributes)
+let pointCloudProgram = null;
+let overlayMeshProgram = null; // Overlay shader as a raw program, for isosurface meshes
+let _pointsVertSrc = null;
+let _pointsFragSrc = null;
+let mainPointCloud = null;
+
 // Overlay State
 let overlayEnabled = false;
 let overlayBtn = null;
 let overlayCache = null;
+let hiddenOverlaySubshells = new Set(); // Complete mode: "n,l" subshells drawn without overlay
+let innerOverlayQueue = []; // Complete mode: { orbital, samplingId } still to fit, one per frame
 
 let electronBtn = null;
 let showElectrons = true;
 
+let slaterBtn = null;
+
+// Phase Colouring (sign of ψ)
+let phaseColoring = false;
+let phaseBtn = null;
+const PHASE_POSITIVE_COLOR = [70, 150, 255];
+const PHASE_NEGATIVE_COLOR = [255, 110, 70];
+const PHASE_TINT = 0.85; // How strongly the phase colour replaces the subshell colour
+
+// Isosurface Overlay (marching cubes on ψ)
+let isosurfaceEnabled = false;
+let isoBtn = null;
+let isoMeshCache = null;
+let isoGeometrySeq = 0; // gids for the p5.Geometry fallback
+let isoLevelTimer = null;
+const ISO_GRID_RES = 64;
+const ISO_DEFAULT_PERCENT = 90;
+
+// Main cloud being sampled: { n, l, m, complexBasis, zEff, radialScale }
+let mainCloudInfo = null;
+
+// Radial plots panel
+let radialPanelEnabled = false;
+let radialBtn = null;
+let radialPlotKey = null;
+let radialPlotLastMs = 0;
+
+// Cross-section: clipping plane + slice heatmap
+let sliceEnabled = false;
+let sliceBtn = null;
+let sliceSettings = { mode: 'xy', offset: 0, flip: false, normal: [0, 0, 1] }; // offset: fraction of the slice half-extent
+let slicePlotKey = null;
+const SLICE_GRID_RES = 160;
+const SLICE_CONTOUR_LEVELS = 5; // Contour lines per sign of ψ
+
+// Complete-mode orbital visibility, shared by the legend and the energy diagram;
+// keys are "n,l,m"
+let hiddenOrbitalKeys = new Set();
+let soloOrbitalKey = null; // Only this orbital is drawn
+let dimOthersKey = null; // Everything else fades to ORBITAL_DIM_ALPHA
+let hoverOrbitalKey = null; // Energy diagram box under the pointer, same fade
+const ORBITAL_DIM_ALPHA = 0.12;
+
+// Orbital legend panel
+let legendPanelEnabled = false;
+let legendBtn = null;
+let legendStructureKey = null;
+
+// Energy level diagram panel
+let energyPanelEnabled = false;
+let energyBtn = null;
+let energyPlotKey = null;
+let energyBoxes = []; // Hit rectangles of the occupied boxes, CSS pixels
+
+// Superposition mode playback
+let superpositionTime = 0; // Atomic units (ħ/E_h)
+let superpositionPlaying = true;
+let superpositionReadoutAt = 0;
+
+// Transitions & spectrum panel
+let transitionPanelEnabled = false;
+let transitionBtn = null;
+let transitionPlotKey = null;
+let transitionMorph = null; // { to, since } while the cloud is waiting to morph
+const TRANSITION_DEFAULTS = { from: { n: 2, l: 1, m: 0 }, to: { n: 1, l: 0, m: 0 } };
+const TRANSITION_MAX_N = 7;
+const TRANSITION_HOLD_MS = 1200; // Initial orbital on screen before the morph
+const SPECTRUM_SERIES_SHOWN = 5; // Lyman … Pfund
+const SPECTRUM_LINES_PER_SERIES = 12;
+const SPECTRUM_UV_COLOR = [180, 160, 255];
+const SPECTRUM_IR_COLOR = [255, 150, 130];
+
 // Update Timer
 let orbitalUpdateTimer = null;
 const ORBITAL_UPDATE_DELAY = 150;
@@ -171,6 +280,21 @@ const ORBITAL_UPDATE_DELAY = 150;
 let currentSamplingId = 0;
 let lastUIHash = null;
 
+// Shareable URL state
+let copyLinkBtn = null;
+let keepViewFromUrl = false; // Set by a link with a zoom; consumed by the next sampling run
+let viewLockedSamplingId = -1;
+
+// PNG export
+let exportBtn = null;
+let snapshotState = null; // { transparent } while an export frame is being drawn
+let exportCloudBtn = null;
+
+// Turntable recording
+let recordBtn = null;
+let turntableState = null; // { frame, frames, startRotY, tilt, ... } while a revolution is being recorded
+let exportMeshBtn = null;
+
 // Display Buffers (Smooth Transitions)
 let positionsDisplay = null;
 let displayCount = 0;
@@ -178,6 +302,7 @@ let alphasDisplay = null;
 
 const SMOOTH_TAU_MS = 180; // ✅ REDUCED: 220 → 180 (faster transitions)
 const DISPLAY_UPDATES_PER_FRAME = 3000; // ✅ INCREASED: 2000 → 3000
+const DISPLAY_SWEEP_FRAMES = 60; // Large clouds still get a full smoothing pass about once a second
 let displayUpdateCursor = 0;
 
 let instantTransition = true;
@@ -197,12 +322,6 @@ const P_PX_RADIAL_BOOST = 1.10;
 const LOBE_RADIAL_PERCENTILE_MULT = 0.54;
 const LOBE_RADIAL_EXTRA_GROW = 0.84;
 
-const GLOBAL_RADIAL_PUSH = 1.15;
-const EQ_RADIAL_PUSH = 1.35;
-const NEAR_NUCLEAR_PUSH_MULT = 2.0;
-const NEAR_THRESHOLD_MULT = 1.5;
-const NEAR_THRESHOLD_ABS = 80.0;
-const NEAR_THRESHOLD_EQ_ABS = 120.0;
 const BELLY_RADIAL_EXPAND = 1.18;
 const BELLY_Z_SCALE = 0.45;
 
@@ -227,12 +346,13 @@ const OVERLAY_SCALE = 0.95;
 const D_OVERLAY_AXIAL_PUSH_MULT = 0.12;
 const DZ2_OVERLAY_AXIAL_PULL_MULT = 0.85;
 
-const MAX_ELECTRONS = 30000;
-const MAX_INNER_ELECTRONS = 8000;
+const MAX_ELECTRONS = 2000000; // Same as the input's max
+const MAX_INNER_ELECTRONS = 60000;
 
 const DZ2_AXIAL_OFFSET_SCALE = 0.75;
 
 const OVERLAY_PERCENTILE = 0.95;
+const OVERLAY_MAX_SAMPLES = 3000; // Cloud points used to fit the overlay shapes
 const OVERLAY_RING_INNER_P = 0.10;
 const OVERLAY_RING_OUTER_P = 0.90;
 
@@ -253,6 +373,26 @@ function getSubshellColor(n, l) {
   return ORBITAL_COLORS[colorIndex];
 }
 
+function mixColor(a, b, t) {
+  return [
+    Math.round(a[0] + (b[0] - a[0]) * t),
+    Math.round(a[1] + (b[1] - a[1]) * t),
+    Math.round(a[2] + (b[2] - a[2]) * t)
+  ];
+}
+
+// Overlay colour for a lobe of the given phase (+1 / -1 / 0)
+function overlayPhaseColor(phase, fallbackColor = DZ2_OVERLAY_COLOR) {
+  if (!phaseColoringActive() || !phase) return fallbackColor;
+  return phase > 0 ? PHASE_POSITIVE_COLOR : PHASE_NEGATIVE_COLOR;
+}
+
+// Phase colours are on when toggled, and always for molecular orbitals, whose bonding
+// and antibonding character is the sign pattern
+function phaseColoringActive() {
+  return phaseColoring || window.orbitalMode === 'molecule';
+}
+
 function getAllInnerOrbitalsAufbau(targetN, targetL, targetM) {
   const orbitals = [];
   let targetIndex = -1;
@@ -307,11 +447,17 @@ function getAllInnerOrbitalsSimple(targetN, targetL, targetM) {
   return orbitals;
 }
 
-function getOrbitalLabel(n, l, m) {
+// Real (cos/sin) or complex (e^{imφ}) angular functions, picked in the header select
+function isComplexBasis() {
+  return window.orbitalBasis === 'complex';
+}
+
+function getOrbitalLabel(n, l, m, complexBasis = isComplexBasis()) {
   const lLabels = ['s', 'p', 'd', 'f', 'g', 'h', 'i', 'j'];
   const lLabel = l < lLabels.length ? lLabels[l] : `l${l}`;
   
   if (l === 0) return `${n}${lLabel}`;
+  if (complexBasis) return `${n}${lLabel}_${m > 0 ? '+' : ''}${m}`;
   
   const mLabels = {
     1: { '-1': 'y', '0': 'z', '1': 'x' },
@@ -329,6 +475,12 @@ function getOrbitalLabel(n, l, m) {
   return `${n}${lLabel}(m=${m})`;
 }
 
+// Subshell only (2p, 3d, ...), for plots that do not depend on m
+function getSubshellLabel(n, l) {
+  const lLabels = ['s', 'p', 'd', 'f', 'g', 'h', 'i', 'j'];
+  return `${n}${l < lLabels.length ? lLabels[l] : `l${l}`}`;
+}
+
 // Vector Math
 function dot(a, b) {
   return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
@@ -569,6 +721,61 @@ function preload() {
     gl_FragColor = vec4(color, alpha);
   }
   `;
+  
+  // Point Cloud Shader (per-point alpha & size)
+  _pointsVertSrc = `
+  precision highp float;
+  attribute vec3 aPosition;
+  attribute float aAlpha;
+  attribute float aSize;
+  attribute float aPhase;
+  varying float vAlpha;
+  varying float vPhase;
+  uniform mat4 uModelViewMatrix;
+  uniform mat4 uProjectionMatrix;
+  uniform float uSizeScale;
+  uniform float uMinSize;
+  uniform float uMaxSize;
+  uniform float uPixelDensity;
+  uniform vec4 uClipPlane; // Points with dot(p, xyz) > w are hidden
+  uniform float uAlphaScale;
+  
+  void main() {
+    gl_Position = uProjectionMatrix * uModelViewMatrix * vec4(aPosition, 1.0);
+    gl_PointSize = clamp(aSize * uSizeScale, uMinSize, uMaxSize) * uPixelDensity;
+    vAlpha = aAlpha * uAlphaScale;
+    vPhase = aPhase;
+    
+    if (dot(aPosition, uClipPlane.xyz) > uClipPlane.w) {
+      vAlpha = 0.0;
+      gl_PointSize = 0.0;
+    }
+  }
+  `;
+  
+  _pointsFragSrc = `
+  #ifdef GL_ES
+  precision mediump float;
+  #endif
+  
+  varying float vAlpha;
+  varying float vPhase;
+  uniform vec3 uColor;
+  uniform vec3 uPhasePosColor;
+  uniform vec3 uPhaseNegColor;
+  uniform float uPhaseMix;
+  
+  void main() {
+    vec2 c = gl_PointCoord * 2.0 - 1.0;
+    if (dot(c, c) > 1.0 || vAlpha <= 0.002) discard;
+    
+    vec3 phaseColor = vPhase > 0.5 ? uPhasePosColor : (vPhase < -0.5 ? uPhaseNegColor : uColor);
+    vec3 color = mix(uColor, phaseColor, uPhaseMix);
+    
+    // p5 canvases use premultiplied alpha
+    gl_FragColor = vec4(color * vAlpha, vAlpha);
+  }
+  `;
 }
 
 // ============================================
@@ -650,6 +857,387 @@ class Nucleus {
   }
 }
 
+// ============================================
+// POINT CLOUD RENDERER
+// ============================================
+
+// Point sizes mirror the old strokeWeight rule: constrain(max(0.5, size * 1.5), 0.5, 18)
+const POINT_SIZE_SCALE = 1.5;
+const POINT_SIZE_MIN = 0.5;
+const POINT_SIZE_MAX = 18;
+
+function compileGLShader(gl, type, src) {
+  const sh = gl.createShader(type);
+  gl.shaderSource(sh, src);
+  gl.compileShader(sh);
+  if (!gl.getShaderParameter(sh, gl.COMPILE_STATUS)) {
+    const log = gl.getShaderInfoLog(sh);
+    gl.deleteShader(sh);
+    throw new Error('Shader compile failed: ' + log);
+  }
+  return sh;
+}
+
+function linkGLProgram(gl, vertSrc, fragSrc) {
+  const vs = compileGLShader(gl, gl.VERTEX_SHADER, vertSrc);
+  const fs = compileGLShader(gl, gl.FRAGMENT_SHADER, fragSrc);
+  const program = gl.createProgram();
+  gl.attachShader(program, vs);
+  gl.attachShader(program, fs);
+  gl.linkProgram(program);
+  gl.deleteShader(vs);
+  gl.deleteShader(fs);
+  
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    const log = gl.getProgramInfoLog(program);
+    gl.deleteProgram(program);
+    throw new Error('Shader link failed: ' + log);
+  }
+  return program;
+}
+
+function createPointCloudProgram(gl, vertSrc, fragSrc) {
+  if (!gl || typeof gl.createProgram !== 'function') return null;
+  
+  const program = linkGLProgram(gl, vertSrc, fragSrc);
+  return {
+    program,
+    aPosition: gl.getAttribLocation(program, 'aPosition'),
+    aAlpha: gl.getAttribLocation(program, 'aAlpha'),
+    aSize: gl.getAttribLocation(program, 'aSize'),
+    aPhase: gl.getAttribLocation(program, 'aPhase'),
+    uModelViewMatrix: gl.getUniformLocation(program, 'uModelViewMatrix'),
+    uProjectionMatrix: gl.getUniformLocation(program, 'uProjectionMatrix'),
+    uSizeScale: gl.getUniformLocation(program, 'uSizeScale'),
+    uMinSize: gl.getUniformLocation(program, 'uMinSize'),
+    uMaxSize: gl.getUniformLocation(program, 'uMaxSize'),
+    uPixelDensity: gl.getUniformLocation(program, 'uPixelDensity'),
+    uColor: gl.getUniformLocation(program, 'uColor'),
+    uPhasePosColor: gl.getUniformLocation(program, 'uPhasePosColor'),
+    uPhaseNegColor: gl.getUniformLocation(program, 'uPhaseNegColor'),
+    uPhaseMix: gl.getUniformLocation(program, 'uPhaseMix'),
+    uClipPlane: gl.getUniformLocation(program, 'uClipPlane'),
+    uAlphaScale: gl.getUniformLocation(program, 'uAlphaScale')
+  };
+}
+
+const OVERLAY_MESH_UNIFORMS = [
+  'uModelViewMatrix', 'uProjectionMatrix', 'uNormalMatrix', 'uLightDirection', 'uBaseColor', 'uOpacity',
+  'uAmbient', 'uDiffuse', 'uSpecular', 'uShininess', 'uRimPower', 'uRimIntensity'
+];
+
+// The overlay shader as a raw program, for meshes kept in our own buffers (isosurfaces)
+function createOverlayMeshProgram(gl, vertSrc, fragSrc) {
+  if (!gl || typeof gl.createProgram !== 'function') return null;
+  
+  const program = linkGLProgram(gl, vertSrc, fragSrc);
+  const uniforms = {};
+  for (const name of OVERLAY_MESH_UNIFORMS) uniforms[name] = gl.getUniformLocation(program, name);
+  return {
+    program,
+    aPosition: gl.getAttribLocation(program, 'aPosition'),
+    aNormal: gl.getAttribLocation(program, 'aNormal'),
+    uniforms,
+    // WebGL1 needs this for 32-bit indices
+    uintIndices: (typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext) || !!gl.getExtension('OES_element_index_uint')
+  };
+}
+
+// Retained GPU buffers for one isosurface mesh, filled once straight from the
+// marching-cubes arrays (positions scaled to scene units on the way)
+class IsoMeshBuffers {
+  constructor(gl, mesh, scale, uintIndices) {
+    const positions = new Float32Array(mesh.positions.length);
+    for (let i = 0; i < positions.length; i++) positions[i] = mesh.positions[i] * scale;
+    const indices = uintIndices ? mesh.indices : Uint16Array.from(mesh.indices);
+    
+    this.indexType = uintIndices ? gl.UNSIGNED_INT : gl.UNSIGNED_SHORT;
+    this.indexCount = indices.length;
+    this.positionBuffer = gl.createBuffer();
+    this.normalBuffer = gl.createBuffer();
+    this.indexBuffer = gl.createBuffer();
+    
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, positions, gl.STATIC_DRAW);
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.normalBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, mesh.normals, gl.STATIC_DRAW);
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
+    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indices, gl.STATIC_DRAW);
+  }
+  
+  // uniforms: overlay shading values by uniform name (matrices are filled in here)
+  draw(gl, prog, uniforms) {
+    const r = _renderer;
+    const u = prog.uniforms;
+    r.uNMatrix.inverseTranspose(r.uMVMatrix);
+    
+    gl.useProgram(prog.program);
+    gl.uniformMatrix4fv(u.uModelViewMatrix, false, r.uMVMatrix.mat4);
+    gl.uniformMatrix4fv(u.uProjectionMatrix, false, r.uPMatrix.mat4);
+    gl.uniformMatrix3fv(u.uNormalMatrix, false, r.uNMatrix.mat3);
+    for (const name in uniforms) {
+      const v = uniforms[name];
+      if (Array.isArray(v)) gl.uniform3fv(u[name], v);
+      else gl.uniform1f(u[name], v);
+    }
+    
+    const attribs = [
+      [prog.aPosition, this.positionBuffer],
+      [prog.aNormal, this.normalBuffer]
+    ];
+    for (const [loc, buf] of attribs) {
+      if (loc < 0) continue;
+      gl.bindBuffer(gl.ARRAY_BUFFER, buf);
+      gl.enableVertexAttribArray(loc);
+      gl.vertexAttribPointer(loc, 3, gl.FLOAT, false, 0, 0);
+    }
+    
+    gl.enable(gl.BLEND);
+    gl.blendEquation(gl.FUNC_ADD);
+    gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
+    gl.drawElements(gl.TRIANGLES, this.indexCount, this.indexType, 0);
+    
+    // Same hand-back as PointCloud.draw, plus the blend state p5 caches
+    for (const [loc] of attribs) {
+      if (loc >= 0 && !(r.registerEnabled && r.registerEnabled.has(loc))) gl.disableVertexAttribArray(loc);
+    }
+    r._curShader = null;
+    r._cachedBlendMode = undefined;
+  }
+  
+  dispose(gl) {
+    try {
+      gl.deleteBuffer(this.positionBuffer);
+      gl.deleteBuffer(this.normalBuffer);
+      gl.deleteBuffer(this.indexBuffer);
+    } catch (e) {}
+    this.positionBuffer = this.normalBuffer = this.indexBuffer = null;
+  }
+}
+
+// Retained GPU buffers for one point cloud. The display arrays are uploaded in
+// full only when they are reallocated; otherwise just the ranges touched by
+// the smoothing pass (markDirty) are re-sent. Sizes and phases come from the
+// sample arrays, which line up with the display arrays for i < sampleCount.
+class PointCloud {
+  constructor() {
+    this.positionBuffer = null;
+    this.alphaBuffer = null;
+    this.sizeBuffer = null;
+    this.phaseBuffer = null;
+    this.count = 0;
+    this.capacity = 0; // Points the GPU buffers hold room for
+    this.srcPositions = null;
+    this.srcAlphas = null;
+    this.sizeData = null;
+    this.phaseData = null;
+    this.dirtyStart = 0;
+    this.dirtyEnd = 0;
+  }
+  
+  markDirty(start, end) {
+    if (end <= start) return;
+    if (this.dirtyEnd <= this.dirtyStart) {
+      this.dirtyStart = start;
+      this.dirtyEnd = end;
+    } else {
+      this.dirtyStart = Math.min(this.dirtyStart, start);
+      this.dirtyEnd = Math.max(this.dirtyEnd, end);
+    }
+  }
+  
+  fillPerSample(from, to, src) {
+    for (let i = from; i < to; i++) {
+      const sampled = i < src.sampleCount;
+      this.sizeData[i] = (sampled && src.sizes) ? src.sizes[i] : src.defaultSize;
+      this.phaseData[i] = (sampled && src.phases) ? src.phases[i] : 0;
+    }
+  }
+  
+  fillAlphas(from, to) {
+    const out = new Float32Array(to - from);
+    for (let i = from; i < to; i++) {
+      out[i - from] = (this.srcAlphas && i < this.srcAlphas.length) ? this.srcAlphas[i] : 1.0;
+    }
+    return out;
+  }
+  
+  sync(gl, src) {
+    if (!this.positionBuffer) {
+      this.positionBuffer = gl.createBuffer();
+      this.alphaBuffer = gl.createBuffer();
+      this.sizeBuffer = gl.createBuffer();
+      this.phaseBuffer = gl.createBuffer();
+    }
+    
+    const count = src.count;
+    const reallocate = src.positions !== this.srcPositions || src.alphas !== this.srcAlphas || count > this.capacity;
+    this.srcPositions = src.positions;
+    this.srcAlphas = src.alphas;
+    
+    if (reallocate) {
+      // Room for the whole source array, so a cloud still streaming in only uploads
+      // the points each batch adds
+      this.capacity = Math.max(count, Math.floor(src.positions.length / 3));
+      this.sizeData = new Float32Array(this.capacity);
+      this.phaseData = new Int8Array(this.capacity);
+      
+      gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
+      gl.bufferData(gl.ARRAY_BUFFER, this.capacity * 12, gl.DYNAMIC_DRAW);
+      gl.bindBuffer(gl.ARRAY_BUFFER, this.alphaBuffer);
+      gl.bufferData(gl.ARRAY_BUFFER, this.capacity * 4, gl.DYNAMIC_DRAW);
+      gl.bindBuffer(gl.ARRAY_BUFFER, this.sizeBuffer);
+      gl.bufferData(gl.ARRAY_BUFFER, this.capacity * 4, gl.DYNAMIC_DRAW);
+      gl.bindBuffer(gl.ARRAY_BUFFER, this.phaseBuffer);
+      gl.bufferData(gl.ARRAY_BUFFER, this.capacity, gl.DYNAMIC_DRAW);
+      
+      this.dirtyStart = 0;
+      this.dirtyEnd = count;
+    } else if (count > this.count) {
+      this.markDirty(this.count, count);
+    }
+    this.count = count;
+    
+    if (this.dirtyEnd > this.dirtyStart) {
+      const start = Math.max(0, this.dirtyStart);
+      const end = Math.min(count, this.dirtyEnd);
+      
+      if (end > start) {
+        this.fillPerSample(start, end, src);
+        
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
+        gl.bufferSubData(gl.ARRAY_BUFFER, start * 12, src.positions.subarray(start * 3, end * 3));
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.alphaBuffer);
+        gl.bufferSubData(gl.ARRAY_BUFFER, start * 4, this.fillAlphas(start, end));
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.sizeBuffer);
+        gl.bufferSubData(gl.ARRAY_BUFFER, start * 4, this.sizeData.subarray(start, end));
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.phaseBuffer);
+        gl.bufferSubData(gl.ARRAY_BUFFER, start, this.phaseData.subarray(start, end));
+      }
+    }
+    
+    this.dirtyStart = 0;
+    this.dirtyEnd = 0;
+  }
+  
+  draw(gl, prog, color, alphaScale = 1) {
+    const r = _renderer;
+    
+    gl.useProgram(prog.program);
+    gl.uniformMatrix4fv(prog.uModelViewMatrix, false, r.uMVMatrix.mat4);
+    gl.uniformMatrix4fv(prog.uProjectionMatrix, false, r.uPMatrix.mat4);
+    gl.uniform1f(prog.uSizeScale, POINT_SIZE_SCALE);
+    gl.uniform1f(prog.uMinSize, POINT_SIZE_MIN);
+    gl.uniform1f(prog.uMaxSize, POINT_SIZE_MAX);
+    gl.uniform1f(prog.uPixelDensity, pixelDensity());
+    gl.uniform3f(prog.uColor, color[0] / 255, color[1] / 255, color[2] / 255);
+    gl.uniform3f(prog.uPhasePosColor, PHASE_POSITIVE_COLOR[0] / 255, PHASE_POSITIVE_COLOR[1] / 255, PHASE_POSITIVE_COLOR[2] / 255);
+    gl.uniform3f(prog.uPhaseNegColor, PHASE_NEGATIVE_COLOR[0] / 255, PHASE_NEGATIVE_COLOR[1] / 255, PHASE_NEGATIVE_COLOR[2] / 255);
+    gl.uniform1f(prog.uPhaseMix, phaseColoringActive() ? PHASE_TINT : 0.0);
+    gl.uniform4fv(prog.uClipPlane, currentClipPlane() || [0, 0, 0, 1]);
+    gl.uniform1f(prog.uAlphaScale, alphaScale);
+    
+    const attribs = [
+      [prog.aPosition, this.positionBuffer, 3, gl.FLOAT],
+      [prog.aAlpha, this.alphaBuffer, 1, gl.FLOAT],
+      [prog.aSize, this.sizeBuffer, 1, gl.FLOAT],
+      [prog.aPhase, this.phaseBuffer, 1, gl.BYTE]
+    ];
+    
+    for (const [loc, buf, size, type] of attribs) {
+      if (loc < 0) continue;
+      gl.bindBuffer(gl.ARRAY_BUFFER, buf);
+      gl.enableVertexAttribArray(loc);
+      gl.vertexAttribPointer(loc, size, type, false, 0, 0);
+    }
+    
+    gl.enable(gl.BLEND);
+    gl.blendEquation(gl.FUNC_ADD);
+    gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+    gl.drawArrays(gl.POINTS, 0, this.count);
+    
+    // Hand the context back to p5: it caches the bound program and which attribute
+    // slots it has enabled, so undo anything it doesn't know about
+    for (const [loc] of attribs) {
+      if (loc >= 0 && !(r.registerEnabled && r.registerEnabled.has(loc))) gl.disableVertexAttribArray(loc);
+    }
+    r._curShader = null;
+  }
+  
+  dispose() {
+    try {
+      const gl = drawingContext;
+      if (gl && this.positionBuffer) {
+        gl.deleteBuffer(this.positionBuffer);
+        gl.deleteBuffer(this.alphaBuffer);
+        gl.deleteBuffer(this.sizeBuffer);
+        gl.deleteBuffer(this.phaseBuffer);
+      }
+    } catch (e) {}
+    this.positionBuffer = this.alphaBuffer = this.sizeBuffer = this.phaseBuffer = null;
+    this.srcPositions = this.srcAlphas = this.sizeData = this.phaseData = null;
+    this.count = 0;
+    this.capacity = 0;
+  }
+}
+
+// Draws a point cloud through the retained buffer, or per-vertex immediate mode
+// if the point shader is unavailable. alphaScale fades the whole cloud.
+// src: { positions, alphas, sizes, phases, sampleCount, count, defaultSize }
+function drawPointCloud(cloud, src, color, alphaScale = 1) {
+  if (!src.positions || src.count <= 0 || alphaScale <= 0) return;
+  src.count = Math.min(src.count, Math.floor(src.positions.length / 3));
+  
+  if (pointCloudProgram && cloud) {
+    try {
+      const gl = drawingContext;
+      cloud.sync(gl, src);
+      cloud.draw(gl, pointCloudProgram, color, alphaScale);
+      return;
+    } catch (e) {
+      console.warn('⚠️ GPU point rendering failed, falling back to immediate mode', e);
+      pointCloudProgram = null;
+    }
+  }
+  
+  drawPointsImmediate(src, color, constrain(max(POINT_SIZE_MIN, src.defaultSize * POINT_SIZE_SCALE), POINT_SIZE_MIN, POINT_SIZE_MAX), alphaScale);
+}
+
+function drawPointsImmediate(src, color, pointSize, alphaScale = 1) {
+  const positionsArr = src.positions, alphasArr = src.alphas;
+  const colorPos = phaseColoringActive() ? mixColor(color, PHASE_POSITIVE_COLOR, PHASE_TINT) : color;
+  const colorNeg = phaseColoringActive() ? mixColor(color, PHASE_NEGATIVE_COLOR, PHASE_TINT) : color;
+  const clip = currentClipPlane();
+  strokeWeight(pointSize);
+  
+  beginShape(POINTS);
+  for (let i = 0; i < src.count; i++) {
+    const idx = i * 3;
+    if (clip && positionsArr[idx] * clip[0] + positionsArr[idx + 1] * clip[1] + positionsArr[idx + 2] * clip[2] > clip[3]) continue;
+    const alpha = (alphasArr && i < alphasArr.length) ? alphasArr[i] : 1.0;
+    const alphaVal = Math.round(255 * constrain(alpha * alphaScale, 0, 1));
+    const phase = (src.phases && i < src.sampleCount) ? src.phases[i] : 0;
+    const c = phase > 0 ? colorPos : (phase < 0 ? colorNeg : color);
+    
+    stroke(c[0], c[1], c[2], alphaVal);
+    fill(c[0], c[1], c[2], alphaVal);
+    vertex(positionsArr[idx], positionsArr[idx + 1], positionsArr[idx + 2]);
+  }
+  endShape();
+  
+  strokeWeight(1);
+}
+
+function clearInnerOrbitals() {
+  for (const orbital of innerOrbitals) {
+    orbital.pointCloud.dispose();
+    orbital.disposeOverlay();
+  }
+  innerOrbitals = [];
+  innerOverlayQueue = [];
+}
+
 // ============================================
 // ORBITAL CLASS
 // ============================================
@@ -661,22 +1249,41 @@ class Orbital {
     this.m = m;
     this.electronCount = electronCount;
     this.electronSize = electronSize;
+    this.occupancy = 2; // Electrons in the orbital (1 or 2), for the energy diagram
     
     this.positions = null;
     this.sizes = null;
+    this.phases = null;
     this.sampleCount = 0;
     this.color = getSubshellColor(n, l);
+    this.zEff = effectiveChargeFor(n, l);
     
     this.positionsDisplay = null;
     this.alphasDisplay = null;
     this.displayCount = 0;
     this.displayUpdateCursor = 0;
+    this.pointCloud = new PointCloud();
+    this.overlayCache = null;
+    this.isoMeshCache = null;
+    
+    // Optional ψ(x, y, z) callback: when set, the cloud is drawn by the Metropolis
+    // sampler instead of from (n, l, m); psiStream names its seeded sequence and
+    // psiOptions overrides METROPOLIS_DEFAULTS
+    this.psi = null;
+    this.psiStream = null;
+    this.psiOptions = null;
     
     this.distanceScale = this.calculateDistanceScale();
   }
   
   calculateDistanceScale() {
-    return ELECTRON_DISTANCE_MULTIPLIER * (0.7 + 0.2 * this.n);
+    // Same scale as the main cloud so every shell sits at its true hydrogenic radius
+    return ELECTRON_DISTANCE_MULTIPLIER;
+  }
+  
+  // Name in point-cloud exports (and their file names)
+  exportLabel() {
+    return getOrbitalLabel(this.n, this.l, this.m);
   }
   
   initDisplayBuffers(prevPositions, prevCount) {
@@ -694,6 +1301,7 @@ class Orbital {
     
     const newDisp = new Float32Array(maxCount * 3);
     const newAlphas = new Float32Array(maxCount);
+    const rng = rngFor(samplingSeed, `display|${this.n}|${this.l}|${this.m}`);
 
     for (let i = 0; i < maxCount; i++) {
       if (i < pCount && prevPositions && prevPositions.length >= (i * 3 + 3)) {
@@ -708,7 +1316,7 @@ class Orbital {
         newAlphas[i] = 1.0;
       } else {
         const ang = (i * 97.3) % (Math.PI * 2);
-        const rr = NUCLEUS_RADIUS + ELECTRON_MIN_GAP + (Math.random() * 6.0);
+        const rr = NUCLEUS_RADIUS + ELECTRON_MIN_GAP + (rng() * 6.0);
         newDisp[i * 3] = Math.cos(ang) * rr;
         newDisp[i * 3 + 1] = Math.sin(ang) * rr;
         newDisp[i * 3 + 2] = 0;
@@ -755,7 +1363,8 @@ class Orbital {
     
     this.displayCount = maxCount;
 
-    const updates = Math.min(DISPLAY_UPDATES_PER_FRAME / Math.max(1, innerOrbitals.length), maxCount);
+    const perFrame = Math.max(DISPLAY_UPDATES_PER_FRAME / Math.max(1, innerOrbitals.length), maxCount / DISPLAY_SWEEP_FRAMES);
+    const updates = Math.ceil(Math.min(perFrame, maxCount));
     let start = this.displayUpdateCursor;
     let end = Math.min(maxCount, start + updates);
 
@@ -784,30 +1393,197 @@ class Orbital {
       }
     }
 
+    this.pointCloud.markDirty(start, end);
     this.displayUpdateCursor = end >= maxCount ? 0 : end;
   }
   
-  render(pointSize) {
+  render(electronSize) {
     if (!this.positionsDisplay || this.displayCount <= 0) return;
     
     noLights();
-    strokeWeight(pointSize);
+    drawPointCloud(this.pointCloud, {
+      positions: this.positionsDisplay,
+      alphas: this.alphasDisplay,
+      sizes: this.sizes,
+      phases: this.phases,
+      sampleCount: this.sampleCount,
+      count: this.displayCount,
+      defaultSize: electronSize
+    }, this.color, orbitalEmphasis(this.n, this.l, this.m));
+  }
+  
+  // Overlay fitted to this orbital's own cloud (complete mode), in its subshell colour;
+  // isosurface meshes are kept until the orbital, level or basis changes
+  computeOverlay() {
+    if (!this.positions || this.sampleCount <= 0) {
+      this.disposeOverlay();
+      return;
+    }
     
-    beginShape(POINTS);
-    for (let i = 0; i < this.displayCount; i++) {
-      const idx = i * 3;
-      const alpha = (this.alphasDisplay && i < this.alphasDisplay.length) ? this.alphasDisplay[i] : 1.0;
-      const alphaVal = Math.round(255 * constrain(alpha, 0, 1));
-      
-      stroke(this.color[0], this.color[1], this.color[2], alphaVal);
-      fill(this.color[0], this.color[1], this.color[2], alphaVal);
-      vertex(this.positionsDisplay[idx], this.positionsDisplay[idx + 1], this.positionsDisplay[idx + 2]);
+    if (usesIsosurface(this.l, this.m)) {
+      const fraction = isoEnclosedFraction();
+      const key = isosurfaceKey(this.n, this.l, this.m, fraction);
+      if (!this.isoMeshCache || this.isoMeshCache.key !== key) {
+        const data = computeIsosurfaceMeshes(this.n, this.l, this.m, fraction, key);
+        this.disposeOverlay();
+        this.isoMeshCache = { key, data };
+      }
+      this.overlayCache = { type: 'iso', data: this.isoMeshCache.data, color: this.color };
+      return;
     }
-    endShape();
     
-    strokeWeight(1);
+    const sample = downsampleForOverlay(this.positions, this.phases, this.sampleCount);
+    this.disposeOverlay();
+    this.overlayCache = buildOverlayCache(sample, this.l, this.m, `kmeans|${this.n}|${this.l}|${this.m}`, this.color);
+  }
+  
+  disposeOverlay() {
+    if (this.isoMeshCache) freeIsosurfaceMeshes(this.isoMeshCache.data);
+    this.isoMeshCache = null;
+    this.overlayCache = null;
+  }
+}
+
+// One hybrid of a set (hybrid mode). It is sampled from the combined |ψ|² of its
+// terms rather than a single (n, l, m), in its own colour, and points along
+// hybrid.direction; l and m stay 0, so the complete-mode tools leave it alone.
+class HybridOrbital extends Orbital {
+  constructor(hybrid, electronCount = 0, electronSize = 1.0) {
+    super(hybrid.terms[0].n, 0, 0, electronCount, electronSize);
+    this.hybrid = hybrid;
+    this.color = HYBRID_COLORS[hybrid.index % HYBRID_COLORS.length];
+  }
+  
+  // Length of the direction arrow: where 90% of a p lobe's density lies
+  directionLength() {
+    return radialQuantile(this.n, 1, 0.9) * a0 * this.distanceScale / this.zEff;
+  }
+  
+  exportLabel() {
+    return `${this.hybrid.set}-${this.hybrid.index + 1}`;
+  }
+}
+
+// One LCAO molecular orbital (molecule mode), drawn from its ψ by the Metropolis
+// sampler with walkers started on both nuclei. The atomic charge is inside ψ, so the
+// cloud's own Z_eff is 1 and world = Bohr · a0 · ELECTRON_DISTANCE_MULTIPLIER.
+class MolecularOrbital extends Orbital {
+  constructor(mo, moleculeKey, bond, atomZeff, electronCount = 0, electronSize = 1.0) {
+    super(mo.n, mo.l, mo.m, electronCount, electronSize);
+    this.mo = mo;
+    this.moleculeKey = moleculeKey;
+    this.occupancy = mo.occupancy;
+    this.zEff = 1;
+    this.psi = molecularOrbitalPsi(mo, bond, atomZeff);
+    this.psiStream = `mo|${moleculeKey}|${bond}|${mo.id}`;
+    
+    const size = radialQuantile(mo.n, mo.l, 0.5) / atomZeff;
+    this.psiOptions = {
+      centers: [[0, 0, -bond / 2], [0, 0, bond / 2]],
+      extent: size,
+      step: size / 2,
+      minR: 0
+    };
+  }
+  
+  exportLabel() {
+    return `${this.moleculeKey}-${this.mo.id.replace('*', 'star')}`;
+  }
+}
+
+// Superposition mode: Σ c·φ_nlm·e^(−iE_n t), drawn once from the envelope (Σ|c·φ|)²
+// by the Metropolis sampler; every frame each point is weighted by the share of the
+// envelope |ψ(t)|² fills there, so the cloud breathes without resampling
+class SuperpositionOrbital extends Orbital {
+  constructor(terms, Z, electronCount = 0, electronSize = 1.0) {
+    super(terms[0].n, terms[0].l, terms[0].m, electronCount, electronSize);
+    this.terms = terms;
+    this.zEff = Z;
+    this.color = mixColor(getSubshellColor(terms[0].n, terms[0].l), getSubshellColor(terms[1].n, terms[1].l), 0.5);
+    this.psi = superpositionEnvelope(terms);
+    this.psiStream = `super|${terms.map(t => `${t.n},${t.l},${t.m},${t.c.toFixed(4)}`).join('|')}`;
+    
+    const size = terms.reduce((acc, t) => Math.max(acc, radialQuantile(t.n, t.l, 0.5)), 0);
+    this.psiOptions = { extent: size, step: size / 2 };
+    
+    this.components = null; // c·φ per term and point, filled as points arrive
+    this.componentCount = 0;
+    this.weights = null;
+    this.timeAlphas = null; // alphasDisplay × weight, as uploaded
+    this.timeAlphasSource = null; // The alphasDisplay array timeAlphas was built from
+    this.weightsTime = null; // superpositionTime of the current weights
+  }
+  
+  exportLabel() {
+    return this.terms.map(t => getOrbitalLabel(t.n, t.l, t.m)).join('+');
+  }
+  
+  // Weights of the sampled points at time t (atomic units)
+  updateWeights(t) {
+    const K = this.terms.length;
+    if (!this.components || this.components.length < this.electronCount * K) {
+      this.components = new Float32Array(this.electronCount * K);
+      this.weights = new Float32Array(this.electronCount);
+      this.componentCount = 0;
+    }
+    if (this.componentCount < this.sampleCount) {
+      const radialScale = a0 * this.distanceScale / this.zEff;
+      superpositionComponents(this.terms, this.positions, this.componentCount, this.sampleCount, radialScale, this.components);
+      this.componentCount = this.sampleCount;
+    }
+    superpositionWeights(this.terms, this.components, this.componentCount, t, this.weights);
+  }
+  
+  fillTimeAlphas(from, to) {
+    for (let i = from; i < to; i++) {
+      this.timeAlphas[i] = this.alphasDisplay[i] * (i < this.componentCount ? this.weights[i] : 1);
+    }
+  }
+  
+  // ⟨r⟩ at the last updateWeights, world units
+  dipole() {
+    let sw = 0, sx = 0, sy = 0, sz = 0;
+    for (let i = 0; i < this.componentCount; i++) {
+      const w = this.weights[i];
+      sw += w;
+      sx += w * this.positions[i * 3];
+      sy += w * this.positions[i * 3 + 1];
+      sz += w * this.positions[i * 3 + 2];
+    }
+    return sw > 0 ? [sx / sw, sy / sw, sz / sw] : [0, 0, 0];
+  }
+  
+  render(electronSize) {
+    if (!this.positionsDisplay || this.displayCount <= 0) return;
+    
+    const pc = this.pointCloud;
+    if (this.weightsTime !== superpositionTime || this.componentCount < this.sampleCount || this.timeAlphasSource !== this.alphasDisplay) {
+      this.updateWeights(superpositionTime);
+      this.weightsTime = superpositionTime;
+      if (!this.timeAlphas || this.timeAlphas.length !== this.alphasDisplay.length) {
+        this.timeAlphas = new Float32Array(this.alphasDisplay.length);
+      }
+      this.timeAlphasSource = this.alphasDisplay;
+      this.fillTimeAlphas(0, this.timeAlphas.length);
+      pc.markDirty(0, this.displayCount);
+    } else if (pc.dirtyEnd > pc.dirtyStart) {
+      // Paused: the weights stand, only what the smoothing pass touched is re-sent
+      this.fillTimeAlphas(pc.dirtyStart, Math.min(pc.dirtyEnd, this.timeAlphas.length));
+    }
+    
+    noLights();
+    drawPointCloud(this.pointCloud, {
+      positions: this.positionsDisplay,
+      alphas: this.timeAlphas,
+      sizes: this.sizes,
+      phases: null,
+      sampleCount: this.sampleCount,
+      count: this.displayCount,
+      defaultSize: electronSize
+    }, this.color);
   }
 }
+
 // ============================================
 // SETUP & INITIALIZATION
 // ============================================
@@ -860,6 +1636,24 @@ function setup() {
     console.warn('⚠️ Failed to create overlay shader', e);
   }
 
+  try {
+    if (_pointsVertSrc && _pointsFragSrc) {
+      pointCloudProgram = createPointCloudProgram(drawingContext, _pointsVertSrc, _pointsFragSrc);
+      if (pointCloudProgram) console.log('✅ Point cloud shader compiled');
+    }
+  } catch (e) {
+    pointCloudProgram = null;
+    console.warn('⚠️ Failed to create point cloud shader, using immediate mode', e);
+  }
+  mainPointCloud = new PointCloud();
+
+  try {
+    if (_overlayVertSrc && _overlayFragSrc) overlayMeshProgram = createOverlayMeshProgram(drawingContext, _overlayVertSrc, _overlayFragSrc);
+  } catch (e) {
+    overlayMeshProgram = null;
+    console.warn('⚠️ Failed to create overlay mesh program, isosurfaces fall back to p5 geometry', e);
+  }
+
   // Set font
   try {
     textFont(FONT_FALLBACK_NAME);
@@ -876,6 +1670,7 @@ function setup() {
   }
 
   setupUI();
+  applyUrlViewState(parseUrlState());
 
   // Create nucleus
   nucleus = new Nucleus(NUCLEUS_RADIUS, {
@@ -1017,10 +1812,51 @@ window.scheduleOrbitalUpdate = scheduleOrbitalUpdate;
 // UI SETUP
 // ============================================
 
+// Secondary on/off button appended to the left actions panel, localized via data-i18n-key
+function createPanelToggleButton(id, i18nKey, fallbackLabel, isOn, ariaLabel) {
+  const btn = createButton(fallbackLabel);
+  btn.id(id);
+  btn.elt.dataset.i18nKey = i18nKey;
+  btn.elt.dataset.state = isOn ? 'on' : 'off';
+  btn.elt.setAttribute('aria-pressed', isOn ? 'true' : 'false');
+  btn.elt.setAttribute('aria-label', ariaLabel || fallbackLabel);
+  btn.elt.classList.add('btn', 'secondary');
+  btn.style('margin-top', '6px');
+  
+  const container = select('#uiLeft .actions') || select('#uiLeft');
+  if (container && container.elt) container.elt.appendChild(btn.elt);
+  
+  try {
+    if (typeof window.localizeNewElement === 'function') {
+      window.localizeNewElement(btn);
+    }
+  } catch (e) {}
+  
+  return btn;
+}
+
+function setToggleButtonState(btn, isOn) {
+  if (!btn || !btn.elt) return;
+  
+  try {
+    btn.elt.setAttribute('aria-pressed', isOn ? 'true' : 'false');
+    btn.elt.dataset.state = isOn ? 'on' : 'off';
+  } catch (e) {}
+  
+  try {
+    if (typeof window.localizeNewElement === 'function') {
+      window.localizeNewElement(btn);
+    }
+  } catch (e) {}
+}
+
 function setupUI() {
   ui.nInput = select('#nInput');
   ui.lInput = select('#lInput');
   ui.mInput = select('#mInput');
+  ui.zInput = select('#zInput');
+  ui.seedInput = select('#seedInput');
+  ui.isoLevelInput = select('#isoLevelInput');
   ui.electronSizeInput = select('#electronSizeInput');
   ui.numElectronsInput = select('#numElectronsInput');
   ui.createBtn = select('#createBtn');
@@ -1073,6 +1909,7 @@ function setupUI() {
     if (ne === 0) {
       positions = null;
       sizes = null;
+      phases = null;
       sampleCount = 0;
       sampleTarget = 0;
       sampling = false;
@@ -1080,7 +1917,7 @@ function setupUI() {
       positionsDisplay = null;
       displayCount = 0;
       alphasDisplay = null;
-      innerOrbitals = [];
+      clearInnerOrbitals();
       updateNumElectronsMaxLabel(ne);
     } else {
       if (ne >= MAX_ELECTRONS) {
@@ -1116,6 +1953,16 @@ function setupUI() {
       if (isNaN(m) || Math.abs(m) > l) ui.mInput.value(0);
     }
     
+    // Validate nuclear charge Z
+    if (ui.zInput) {
+      let Z = parseInt(ui.zInput.value(), 10);
+      if (isNaN(Z) || Z < 1) ui.zInput.value(1);
+      if (Z > MAX_NUCLEAR_CHARGE) ui.zInput.value(MAX_NUCLEAR_CHARGE);
+      
+      // Typing another Z leaves the chosen element
+      if (configElementZ !== null && parseInt(ui.zInput.value(), 10) !== configElementZ) setConfigElement(null);
+    }
+    
     // Validate electron count
     if (ui.numElectronsInput) {
       let ne = parseInt(ui.numElectronsInput.value(), 10);
@@ -1141,7 +1988,7 @@ function setupUI() {
   }
 
   // Attach input listeners
-  const inputs = [ui.nInput, ui.lInput, ui.mInput, ui.numElectronsInput, ui.electronSizeInput];
+  const inputs = [ui.nInput, ui.lInput, ui.mInput, ui.zInput, ui.seedInput, ui.numElectronsInput, ui.electronSizeInput];
   inputs.forEach(el => {
     if (!el) return;
     
@@ -1229,17 +2076,71 @@ function setupUI() {
     } catch (e) {}
   }
 
+  // Create Slater Z_eff Button
+  if (!slaterBtn) {
+    slaterBtn = createPanelToggleButton('toggleSlaterBtn', 'toggleSlater', 'Slater Z_eff', slaterEnabled, 'Toggle Slater effective charge');
+  }
+
+  // Create Phase Colouring Button
+  if (!phaseBtn) {
+    phaseBtn = createPanelToggleButton('togglePhaseBtn', 'togglePhase', 'Phase ±', phaseColoring, 'Toggle wavefunction phase colouring');
+  }
+
+  // Create Isosurface Button
+  if (!isoBtn) {
+    isoBtn = createPanelToggleButton('toggleIsoBtn', 'toggleIso', 'Isosurface', isosurfaceEnabled, 'Toggle isosurface overlay');
+  }
+
+  // Create Radial Plots Button
+  if (!radialBtn) {
+    radialBtn = createPanelToggleButton('toggleRadialBtn', 'toggleRadial', 'Radial plots', radialPanelEnabled, 'Toggle radial distribution plots');
+  }
+
+  // Create Cross-Section Button
+  if (!sliceBtn) {
+    sliceBtn = createPanelToggleButton('toggleSliceBtn', 'toggleSlice', 'Cross-section', sliceEnabled, 'Toggle cross-section plane');
+  }
+
+  // Create Periodic Table Button
+  if (!periodicBtn) {
+    periodicBtn = createPanelToggleButton('togglePeriodicBtn', 'togglePeriodic', 'Periodic table', periodicPanelOpen, 'Pick an element from the periodic table');
+  }
+
+  // Create Energy Diagram Button
+  if (!energyBtn) {
+    energyBtn = createPanelToggleButton('toggleEnergyBtn', 'toggleEnergy', 'Energy diagram', energyPanelEnabled, 'Toggle the energy level diagram');
+  }
+
+  // Create Orbital Legend Button
+  if (!legendBtn) {
+    legendBtn = createPanelToggleButton('toggleLegendBtn', 'toggleLegend', 'Orbital legend', legendPanelEnabled, 'Toggle the orbital legend');
+  }
+
+  // Create Transitions Button
+  if (!transitionBtn) {
+    transitionBtn = createPanelToggleButton('toggleTransitionBtn', 'toggleTransition', 'Transitions', transitionPanelEnabled, 'Toggle the transitions and spectrum panel');
+  }
+
+  function updateSlaterButtonState() {
+    if (!slaterBtn) return;
+    
+    if ((window.orbitalMode || 'basic') === 'complete') {
+      slaterBtn.removeClass('disabled');
+      slaterBtn.removeAttribute('disabled');
+    } else {
+      slaterBtn.addClass('disabled');
+      slaterBtn.attribute('disabled', 'disabled');
+    }
+  }
+
   // Update Overlay Button State
   function updateOverlayButtonState() {
-    const l = ui.lInput ? parseInt(ui.lInput.value(), 10) : 0;
     if (!overlayBtn) return;
     
-    const currentMode = window.orbitalMode || 'basic';
-    
-    if (currentMode === 'complete') {
+    // Overlays are fitted per (n, l, m); hybrids, MOs and superpositions have none
+    if (['hybrid', 'molecule', 'superposition'].includes(window.orbitalMode || 'basic')) {
       overlayBtn.addClass('disabled');
       overlayBtn.attribute('disabled', 'disabled');
-      overlayEnabled = false;
       
       try {
         overlayBtn.elt.setAttribute('aria-pressed', 'false');
@@ -1251,25 +2152,15 @@ function setupUI() {
     overlayBtn.removeClass('disabled');
     overlayBtn.removeAttribute('disabled');
     
-    if (l >= 0 && l <= 2) {
-      overlayBtn.style('opacity', '1.0');
-      overlayBtn.style('background', '');
-      overlayBtn.style('color', '');
-      
-      try {
-        overlayBtn.elt.setAttribute('aria-pressed', overlayEnabled ? 'true' : 'false');
-        overlayBtn.elt.dataset.state = overlayEnabled ? 'on' : 'off';
-      } catch (e) {}
-    } else {
-      overlayBtn.style('opacity', '0.4');
-      overlayBtn.style('background', 'rgba(100, 100, 100, 0.3)');
-      overlayBtn.style('color', 'rgba(255, 255, 255, 0.5)');
-      
-      try {
-        overlayBtn.elt.setAttribute('aria-pressed', overlayEnabled ? 'true' : 'false');
-        overlayBtn.elt.dataset.state = overlayEnabled ? 'on' : 'off';
-      } catch (e) {}
-    }
+    // Every l has an overlay in both modes: l > 2 always falls back to the isosurface
+    overlayBtn.style('opacity', '1.0');
+    overlayBtn.style('background', '');
+    overlayBtn.style('color', '');
+    
+    try {
+      overlayBtn.elt.setAttribute('aria-pressed', overlayEnabled ? 'true' : 'false');
+      overlayBtn.elt.dataset.state = overlayEnabled ? 'on' : 'off';
+    } catch (e) {}
     
     try {
       if (typeof window.localizeNewElement === 'function') {
@@ -1281,6 +2172,8 @@ function setupUI() {
   window.updateOverlayButtonForMode = function(mode) {
     window.orbitalMode = mode;
     updateOverlayButtonState();
+    updateSlaterButtonState();
+    syncModeControls(mode);
     overlayCache = null;
     scheduleOrbitalUpdate();
   };
@@ -1294,11 +2187,42 @@ function setupUI() {
       const mode = ui.modeSelect.value();
       window.orbitalMode = mode;
       updateOverlayButtonState();
+      updateSlaterButtonState();
+      syncModeControls(mode);
     });
   }
 
+  // Create Copy Link Button
+  if (!copyLinkBtn) {
+    copyLinkBtn = createPanelToggleButton('copyLinkBtn', 'copyLink', 'Copy link', false, 'Copy a link to this view');
+  }
+
+  // Create Export Button
+  if (!exportBtn) {
+    exportBtn = createPanelToggleButton('exportPngBtn', 'exportPng', 'Export PNG', false, 'Export a high-resolution PNG');
+  }
+
+  // Create Point Cloud Export Button
+  if (!exportCloudBtn) {
+    exportCloudBtn = createPanelToggleButton('exportCloudBtn', 'exportCloud', 'Export points', false, 'Export the sampled point clouds');
+  }
+
+  // Create Turntable Recording Button
+  if (!recordBtn) {
+    recordBtn = createPanelToggleButton('recordTurntableBtn', 'recordTurntable', 'Record turntable', false, 'Record one full revolution as a video');
+  }
+
+  // Create Overlay Mesh Export Button
+  if (!exportMeshBtn) {
+    exportMeshBtn = createPanelToggleButton('exportMeshBtn', 'exportMesh', 'Export mesh', false, 'Export the overlay as a printable mesh');
+  }
+
   window.orbitalMode = window.orbitalMode || localStorage.getItem('orbital_mode') || 'basic';
+  window.orbitalBasis = window.orbitalBasis || localStorage.getItem('orbital_basis') || 'real';
+  setupElementControls();
+  applyUrlStateToUI(parseUrlState());
   updateOverlayButtonState();
+  updateSlaterButtonState();
 
   try {
     if (typeof window.updateToggleRotateText === 'function') {
@@ -1322,16 +2246,17 @@ function setupUI() {
       overlayBtn.elt.dataset.state = overlayEnabled ? 'on' : 'off';
     } catch (e) {}
     
-    if (overlayEnabled && sampleCount > 0 && !sampling) {
+    if (overlayEnabled) {
       setTimeout(() => {
         try {
-          computeOverlay();
+          refreshOverlays();
         } catch (err) {
           console.warn('computeOverlay error', err);
         }
       }, 10);
-    } else if (!overlayEnabled) {
+    } else {
       overlayCache = null;
+      for (const orbital of innerOrbitals) orbital.disposeOverlay();
     }
     
     try {
@@ -1341,6 +2266,186 @@ function setupUI() {
     } catch (e) {}
   });
 
+  // Slater Button Click
+  slaterBtn.mousePressed(() => {
+    if (slaterBtn.hasClass('disabled') || slaterBtn.attribute('disabled')) return;
+    
+    slaterEnabled = !slaterEnabled;
+    setToggleButtonState(slaterBtn, slaterEnabled);
+    scheduleOrbitalUpdate(50);
+  });
+
+  // Phase Button Click (colours are uniforms, no resampling needed)
+  phaseBtn.mousePressed(() => {
+    phaseColoring = !phaseColoring;
+    setToggleButtonState(phaseBtn, phaseColoring);
+  });
+
+  // Isosurface Button Click
+  isoBtn.mousePressed(() => {
+    isosurfaceEnabled = !isosurfaceEnabled;
+    setToggleButtonState(isoBtn, isosurfaceEnabled);
+    
+    try {
+      refreshOverlays();
+    } catch (err) {
+      console.warn('computeOverlay error', err);
+    }
+  });
+
+  // Export Button Click: state 'on' while the frame is rendered and encoded
+  exportBtn.mousePressed(() => {
+    if (snapshotState) return;
+    
+    const resEl = document.getElementById('exportResSelect');
+    const transparentEl = document.getElementById('exportTransparentInput');
+    const targetWidth = resEl ? parseInt(resEl.value, 10) || 3840 : 3840;
+    
+    setToggleButtonState(exportBtn, true);
+    setTimeout(() => {
+      exportSnapshot(targetWidth, !!(transparentEl && transparentEl.checked));
+      setToggleButtonState(exportBtn, false);
+    }, 30);
+  });
+
+  // Turntable Recording Button Click: state 'on' while recording; a second click cancels
+  recordBtn.mousePressed(() => {
+    if (turntableState) {
+      cancelTurntableRecording();
+      return;
+    }
+    if (sampling || snapshotState) return;
+    
+    const secondsEl = document.getElementById('turntableDurationSelect');
+    const resEl = document.getElementById('turntableResSelect');
+    const tiltEl = document.getElementById('turntableTiltInput');
+    const formatEl = document.getElementById('turntableFormatSelect');
+    const seconds = secondsEl ? parseFloat(secondsEl.value) || 8 : 8;
+    const targetWidth = resEl ? parseInt(resEl.value, 10) || 1920 : 1920;
+    let tiltDeg = tiltEl ? parseFloat(tiltEl.value) : NaN;
+    if (!isFinite(tiltDeg)) tiltDeg = degrees(rotX);
+    
+    const started = startTurntableRecording(seconds, targetWidth, tiltDeg, formatEl ? formatEl.value : 'webm', () => {
+      setToggleButtonState(recordBtn, false);
+    });
+    if (started) setToggleButtonState(recordBtn, true);
+  });
+
+  // Point Cloud Export Button Click
+  exportCloudBtn.mousePressed(() => {
+    if (sampling) return;
+    
+    const fmtEl = document.getElementById('cloudFormatSelect');
+    setToggleButtonState(exportCloudBtn, true);
+    setTimeout(() => {
+      try {
+        exportPointCloud(fmtEl ? fmtEl.value : 'ply');
+      } catch (err) {
+        console.warn('Point cloud export failed', err);
+      }
+      setToggleButtonState(exportCloudBtn, false);
+    }, 30);
+  });
+
+  // Overlay Mesh Export Button Click: needs a computed overlay in basic or complete mode
+  exportMeshBtn.mousePressed(() => {
+    const fmtEl = document.getElementById('meshFormatSelect');
+    const scaleEl = document.getElementById('meshScaleSelect');
+    setToggleButtonState(exportMeshBtn, true);
+    setTimeout(() => {
+      let exported = false;
+      try {
+        exported = exportOverlayMesh(fmtEl ? fmtEl.value : 'stl', scaleEl ? parseFloat(scaleEl.value) : MESH_EXPORT_DEFAULT_MM_PER_BOHR);
+      } catch (err) {
+        console.warn('Overlay mesh export failed', err);
+      }
+      if (!exported) {
+        const mode = window.orbitalMode || 'basic';
+        setStatus(mode === 'basic' || mode === 'complete'
+          ? translateUI('meshExportNeedsOverlay', 'Turn the overlay on to export a mesh')
+          : translateUI('meshExportBasicOnly', 'Mesh export is only available in basic and complete modes'));
+        setTimeout(() => setStatus(''), 3000);
+      }
+      setToggleButtonState(exportMeshBtn, false);
+    }, 30);
+  });
+
+  // Copy Link Button Click
+  copyLinkBtn.mousePressed(copyViewLink);
+  window.addEventListener('hashchange', onUrlHashChange);
+
+  // Radial Plots Button Click (panel redraws itself from draw())
+  radialBtn.mousePressed(() => {
+    radialPanelEnabled = !radialPanelEnabled;
+    setToggleButtonState(radialBtn, radialPanelEnabled);
+    
+    const panel = select('#radialPanel');
+    if (panel && panel.elt) panel.elt.hidden = !radialPanelEnabled;
+    radialPlotKey = null;
+  });
+
+  // Cross-Section Button Click: clips the clouds and opens the slice panel
+  sliceBtn.mousePressed(() => {
+    sliceEnabled = !sliceEnabled;
+    setToggleButtonState(sliceBtn, sliceEnabled);
+    
+    const panel = select('#slicePanel');
+    if (panel && panel.elt) panel.elt.hidden = !sliceEnabled;
+    slicePlotKey = null;
+  });
+
+  setupSliceControls();
+
+  // Periodic Table Button Click: the popover stays open while elements are tried; Esc closes it
+  periodicBtn.mousePressed(() => setPeriodicPanelOpen(!periodicPanelOpen));
+  document.addEventListener('keydown', ev => {
+    if (ev.key === 'Escape' && periodicPanelOpen) setPeriodicPanelOpen(false);
+  });
+  setupPeriodicTable();
+
+  // Energy Diagram Button Click (panel redraws itself from draw())
+  energyBtn.mousePressed(() => setEnergyPanelOpen(!energyPanelEnabled));
+  setupEnergyDiagram();
+
+  // Orbital Legend Button Click: show/hide, solo and dim others per complete-mode orbital
+  legendBtn.mousePressed(() => setLegendPanelOpen(!legendPanelEnabled));
+  setupOrbitalLegend();
+
+  // Transitions Button Click: selection rules, photon and spectrum strip, cloud morph
+  transitionBtn.mousePressed(() => setTransitionPanelOpen(!transitionPanelEnabled));
+  setupTransitionPanel();
+
+  // Hybrid set and which hybrid (shown in hybrid mode only)
+  setupHybridControls();
+
+  // Molecule, bond length and MO (shown in molecule mode only)
+  setupMoleculeControls();
+
+  // Superposition states, playback and time scale (shown in superposition mode only)
+  setupSuperpositionControls();
+
+  // Enclosed-probability level only re-extracts the mesh, never resamples
+  if (ui.isoLevelInput) {
+    ui.isoLevelInput.input(() => {
+      if (isoLevelTimer) clearTimeout(isoLevelTimer);
+      isoLevelTimer = setTimeout(() => {
+        isoLevelTimer = null;
+        const l = ui.lInput ? parseInt(ui.lInput.value(), 10) : 0;
+        const m = ui.mInput ? parseInt(ui.mInput.value(), 10) : 0;
+        const usesIso = (window.orbitalMode || 'basic') === 'complete'
+          ? innerOrbitals.some(o => usesIsosurface(o.l, o.m))
+          : usesIsosurface(l, m);
+        if (!overlayEnabled || !usesIso) return;
+        
+        try {
+          refreshOverlays();
+        } catch (err) {
+          console.warn('computeOverlay error', err);
+        }
+      }, ORBITAL_UPDATE_DELAY);
+    });
+  }
+
   // Electron Button Click
   electronBtn.mousePressed(() => {
     showElectrons = !showElectrons;
@@ -1359,1054 +2464,3794 @@ function setupUI() {
 }
 
 // ============================================
-// UTILITY FUNCTIONS
+// URL STATE (shareable links)
 // ============================================
 
-function percentile(arr, p) {
-  if (!arr || arr.length === 0) return 0;
-  const copy = Array.from(arr);
-  copy.sort((a, b) => a - b);
-  const idx = Math.min(copy.length - 1, Math.floor(p * copy.length));
-  return copy[idx];
+// Parses #n=3&l=2&m=0&... into validated values; unknown or malformed keys are dropped
+function parseUrlState(hash = window.location.hash) {
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  const state = {};
+  const int = (key, lo, hi) => {
+    if (!params.has(key)) return;
+    const v = parseInt(params.get(key), 10);
+    if (isFinite(v) && v >= lo && v <= hi) state[key] = v;
+  };
+  const num = (key, lo, hi) => {
+    if (!params.has(key)) return;
+    const v = parseFloat(params.get(key));
+    if (isFinite(v) && v >= lo && v <= hi) state[key] = v;
+  };
+  const flag = key => {
+    if (params.has(key)) state[key] = params.get(key) === '1';
+  };
+  
+  int('n', 1, 12);
+  int('l', 0, 11);
+  int('m', -11, 11);
+  int('z', 1, MAX_NUCLEAR_CHARGE);
+  int('pts', 0, MAX_ELECTRONS);
+  num('size', 0.1, 50);
+  num('rx', -Math.PI, Math.PI);
+  num('ry', -1e6, 1e6);
+  num('zoom', 0.01, 40);
+  int('q', MIN_ION_CHARGE, MAX_ION_CHARGE);
+  if (params.has('el')) {
+    const Z = elementNumber(params.get('el'));
+    if (Z) state.el = Z;
+  }
+  if (params.has('seed') && /^[\w.-]{1,32}$/.test(params.get('seed'))) state.seed = params.get('seed');
+  if (HYBRID_SET_KEYS.includes(params.get('hyb'))) state.hyb = params.get('hyb');
+  if (params.has('hi') && /^(all|[1-6])$/.test(params.get('hi'))) state.hi = params.get('hi');
+  if (DIATOMIC_KEYS.includes(params.get('mol'))) state.mol = params.get('mol');
+  num('bond', MIN_BOND_LENGTH, MAX_BOND_LENGTH);
+  if (params.has('mo') && /^[\w*]{1,12}$/.test(params.get('mo'))) state.mo = params.get('mo');
+  // Superposition states as n_l_m_amplitude
+  for (const key of ['sa', 'sb']) {
+    const match = /^(\d)_(\d)_(-?\d)_(-?\d*\.?\d+)$/.exec(params.get(key) || '');
+    if (match) state[key] = { n: +match[1], l: +match[2], m: +match[3], c: +match[4] };
+  }
+  num('ts', MIN_TIME_SCALE_AS, MAX_TIME_SCALE_AS);
+  flag('overlay');
+  flag('electrons');
+  flag('phase');
+  flag('iso');
+  flag('rot');
+  
+  // Drop quantum numbers that do not form a valid (n, l, m)
+  if (state.l !== undefined && state.l >= (state.n || 1)) delete state.l;
+  if (state.m !== undefined && Math.abs(state.m) > (state.l || 0)) delete state.m;
+  
+  return state;
 }
 
-function kmeans(points, count, k, maxIter = 30) {
-  if (count <= 0) return [];
-  
-  const n = count;
-  const indices = [...Array(n).keys()];
-  const centroids = [];
-  const used = new Set();
-  
-  for (let i = 0; i < k; i++) {
-    let idx;
-    let tries = 0;
-    do {
-      idx = Math.floor(random() * n);
-      tries++;
-    } while (used.has(idx) && tries < 10);
-    used.add(idx);
-    centroids.push([points[idx * 3], points[idx * 3 + 1], points[idx * 3 + 2]]);
+function buildUrlHash() {
+  const params = new URLSearchParams();
+  const val = (el, fallback) => (el && el.value) ? el.value() : fallback;
+  
+  params.set('n', val(ui.nInput, 1));
+  params.set('l', val(ui.lInput, 0));
+  params.set('m', val(ui.mInput, 0));
+  params.set('z', val(ui.zInput, 1));
+  params.set('pts', val(ui.numElectronsInput, 0));
+  params.set('size', val(ui.electronSizeInput, 1));
+  if (samplingSeed !== null) params.set('seed', samplingSeed);
+  if (configElementZ !== null) {
+    params.set('el', elementSymbol(configElementZ));
+    params.set('q', configCharge);
   }
+  params.set('mode', window.orbitalMode || 'basic');
+  if (window.orbitalMode === 'hybrid') {
+    params.set('hyb', val(ui.hybridSetSelect, 'sp3'));
+    params.set('hi', val(ui.hybridIndexSelect, 'all'));
+  }
+  if (window.orbitalMode === 'molecule') {
+    params.set('mol', val(ui.moleculeSelect, 'H2'));
+    params.set('bond', val(ui.bondInput, DIATOMICS.H2.bond));
+    params.set('mo', val(ui.moSelect, 'occupied'));
+  }
+  if (window.orbitalMode === 'superposition') {
+    superpositionStatesFromUI().forEach((st, i) => params.set(['sa', 'sb'][i], `${st.n}_${st.l}_${st.m}_${st.c}`));
+    params.set('ts', timeScaleFromUI());
+  }
+  params.set('basis', window.orbitalBasis || 'real');
+  params.set('overlay', overlayEnabled ? '1' : '0');
+  params.set('electrons', showElectrons ? '1' : '0');
+  params.set('phase', phaseColoring ? '1' : '0');
+  params.set('iso', isosurfaceEnabled ? '1' : '0');
+  params.set('rot', autoRotate ? '1' : '0');
+  params.set('rx', rotX.toFixed(3));
+  params.set('ry', (((rotY % TWO_PI) + TWO_PI) % TWO_PI).toFixed(3));
+  params.set('zoom', camZoomTarget.toFixed(3));
+  params.set('lang', document.documentElement.lang || 'vi');
+  
+  return '#' + params.toString();
+}
+
+// Inputs and toggles; language, mode and basis are picked up by the inline script
+function applyUrlStateToUI(state) {
+  const setVal = (el, v) => {
+    if (el && v !== undefined) el.value(v);
+  };
   
-  let assignments = new Array(n).fill(0);
-  
-  for (let iter = 0; iter < maxIter; iter++) {
-    let moved = false;
-    
-    for (let i = 0; i < n; i++) {
-      const px = points[i * 3], py = points[i * 3 + 1], pz = points[i * 3 + 2];
-      let best = 0;
-      let bestD = Infinity;
-      
-      for (let c = 0; c < k; c++) {
-        const dx = px - centroids[c][0];
-        const dy = py - centroids[c][1];
-        const dz = pz - centroids[c][2];
-        const d = dx * dx + dy * dy + dz * dz;
-        
-        if (d < bestD) {
-          bestD = d;
-          best = c;
-        }
-      }
-      
-      if (assignments[i] !== best) {
-        assignments[i] = best;
-        moved = true;
-      }
-    }
-    
-    const sums = [];
-    const counts = [];
-    for (let c = 0; c < k; c++) {
-      sums.push([0, 0, 0]);
-      counts.push(0);
-    }
-    
-    for (let i = 0; i < n; i++) {
-      const a = assignments[i];
-      sums[a][0] += points[i * 3];
-      sums[a][1] += points[i * 3 + 1];
-      sums[a][2] += points[i * 3 + 2];
-      counts[a] += 1;
-    }
-    
-    for (let c = 0; c < k; c++) {
-      if (counts[c] > 0) {
-        centroids[c][0] = sums[c][0] / counts[c];
-        centroids[c][1] = sums[c][1] / counts[c];
-        centroids[c][2] = sums[c][2] / counts[c];
-      } else {
-        const idx = indices[Math.floor(random() * n)];
-        centroids[c] = [points[idx * 3], points[idx * 3 + 1], points[idx * 3 + 2]];
-      }
+  setVal(ui.nInput, state.n);
+  setVal(ui.lInput, state.l);
+  setVal(ui.mInput, state.m);
+  setVal(ui.zInput, state.z);
+  setVal(ui.seedInput, state.seed);
+  if (state.el !== undefined) setConfigElement(state.el, state.q || 0, true);
+  setVal(ui.numElectronsInput, state.pts);
+  setVal(ui.electronSizeInput, state.size);
+  if (state.hyb !== undefined || state.hi !== undefined) {
+    setVal(ui.hybridSetSelect, state.hyb);
+    populateHybridIndexOptions(state.hi === undefined ? null : state.hi);
+  }
+  if (state.mol !== undefined || state.bond !== undefined || state.mo !== undefined) {
+    if (state.mol !== undefined) {
+      setVal(ui.moleculeSelect, state.mol);
+      setVal(ui.bondInput, DIATOMICS[state.mol].bond.toFixed(2));
     }
-    
-    if (!moved) break;
+    setVal(ui.bondInput, state.bond);
+    populateMoOptions(state.mo === undefined ? null : state.mo);
   }
+  ['sa', 'sb'].forEach((key, i) => {
+    const inputs = ui.superpositionInputs ? ui.superpositionInputs[SUPERPOSITION_STATE_KEYS[i]] : null;
+    if (!state[key] || !inputs) return;
+    for (const q of ['n', 'l', 'm', 'c']) inputs[q].value(state[key][q]);
+  });
+  setVal(ui.timeScaleInput, state.ts);
   
-  const clusters = [];
-  for (let c = 0; c < k; c++) clusters.push([]);
-  for (let i = 0; i < n; i++) clusters[assignments[i]].push(i);
+  if (state.overlay !== undefined) {
+    overlayEnabled = state.overlay;
+    setToggleButtonState(overlayBtn, overlayEnabled);
+  }
+  if (state.electrons !== undefined) {
+    showElectrons = state.electrons;
+    setToggleButtonState(electronBtn, showElectrons);
+  }
+  if (state.phase !== undefined) {
+    phaseColoring = state.phase;
+    setToggleButtonState(phaseBtn, phaseColoring);
+  }
+  if (state.iso !== undefined) {
+    isosurfaceEnabled = state.iso;
+    setToggleButtonState(isoBtn, isosurfaceEnabled);
+  }
   
-  return clusters;
+  try {
+    if (typeof window.refreshOrbitalLabel === 'function') window.refreshOrbitalLabel();
+  } catch (e) {}
 }
 
-function yawPitchFromVector(v) {
-  const vx = v[0], vy = v[1], vz = v[2];
-  const yaw = Math.atan2(vx, vz);
-  const horizLen = Math.sqrt(vx * vx + vz * vz);
-  const pitch = -Math.atan2(vy, horizLen);
-  return { yaw, pitch };
+// Camera; a link with a zoom keeps it instead of auto-fitting the first cloud
+function applyUrlViewState(state) {
+  if (state.rx !== undefined) rotX = state.rx;
+  if (state.ry !== undefined) {
+    rotY = state.ry;
+    rotYTarget = rotY;
+    rotYVelocity = 0;
+  }
+  if (state.rot !== undefined) {
+    autoRotate = state.rot;
+    try {
+      window.autoRotate = autoRotate;
+      if (typeof window.updateToggleRotateText === 'function') window.updateToggleRotateText();
+    } catch (e) {}
+  }
+  if (state.zoom !== undefined) {
+    camZoom = state.zoom;
+    camZoomTarget = state.zoom;
+    keepViewFromUrl = true;
+  }
 }
 
-function getSafeSphereDetail(requested = MAX_SPHERE_DETAIL) {
+// Whether sampling run samplingId may re-fit the camera to its cloud
+function autoFitAllowed(samplingId) {
+  return samplingId !== viewLockedSamplingId;
+}
+
+function copyViewLink() {
+  const hash = buildUrlHash();
   try {
-    const cap = Math.min(requested || MAX_SPHERE_DETAIL, APP_SPHERE_DETAIL_CAP);
-    return Math.max(8, Math.floor(cap));
+    history.replaceState(null, '', hash);
   } catch (e) {
-    return Math.max(8, Math.min(256, Math.floor(requested || sphereResolution)));
+    window.location.hash = hash;
+  }
+  
+  const url = window.location.href;
+  const done = () => {
+    setToggleButtonState(copyLinkBtn, true);
+    setTimeout(() => setToggleButtonState(copyLinkBtn, false), 1500);
+  };
+  
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    navigator.clipboard.writeText(url).then(done).catch(() => {
+      window.prompt('URL', url);
+    });
+  } else {
+    window.prompt('URL', url);
   }
 }
 
-function computeTorusSegments(majorR, tubeR) {
-  let u = Math.max(8, Math.min(APP_SAFE_MAX_TORUS_U, Math.round(256 * Math.max(0.4, majorR / 200))));
-  let v = Math.max(4, Math.min(APP_SAFE_MAX_TORUS_V, Math.round(64 * Math.max(0.5, tubeR / 6))));
+function onUrlHashChange() {
+  const state = parseUrlState();
+  applyUrlStateToUI(state);
+  applyUrlViewState(state);
+  lastUIHash = null;
+  overlayCache = null;
+  scheduleOrbitalUpdate(50);
+}
+
+// ============================================
+// SNAPSHOT EXPORT
+// ============================================
+
+// Re-renders one frame with a higher pixel density so the framing, point sizes
+// and label sprites match the screen, then saves it as a PNG with a caption
+function exportSnapshot(targetWidth, transparent) {
+  if (snapshotState || turntableState || !cnv || !cnv.elt) return;
   
-  const prod = u * v;
-  if (prod > MAX_TORUS_VERTEX_COUNT) {
-    const scale = Math.sqrt(MAX_TORUS_VERTEX_COUNT / prod);
-    u = Math.max(8, Math.floor(u * scale));
-    v = Math.max(4, Math.floor(v * scale));
+  const prevDensity = pixelDensity();
+  const density = exportPixelDensity(targetWidth);
+  let out = null;
+  
+  snapshotState = { transparent };
+  try {
+    pixelDensity(density);
+    setLabelGraphicsDensity(density);
+    redraw(); // Synchronous, with p5's per-frame matrix and camera reset
+    
+    out = document.createElement('canvas');
+    out.width = cnv.elt.width;
+    out.height = cnv.elt.height;
+    const ctx = out.getContext('2d');
+    ctx.drawImage(cnv.elt, 0, 0);
+    drawSnapshotCaption(ctx, out.width, out.height);
+  } catch (e) {
+    console.warn('Snapshot export failed', e);
+    out = null;
+  } finally {
+    snapshotState = null;
+    pixelDensity(prevDensity);
+    setLabelGraphicsDensity(1);
   }
   
-  u = Math.max(8, Math.min(APP_SAFE_MAX_TORUS_U, u));
-  v = Math.max(4, Math.min(APP_SAFE_MAX_TORUS_V, v));
+  if (!out) return;
   
-  return { uSegs: u, vSegs: v };
+  const n = ui.nInput ? parseInt(ui.nInput.value(), 10) : 1;
+  const l = ui.lInput ? parseInt(ui.lInput.value(), 10) : 0;
+  const m = ui.mInput ? parseInt(ui.mInput.value(), 10) : 0;
+  const name = `orbital_${getOrbitalLabel(n, l, m).replace(/[^\w+-]+/g, '')}_${out.width}x${out.height}.png`;
+  
+  out.toBlob(blob => {
+    if (blob) downloadBlob(blob, name);
+  }, 'image/png');
 }
 
-function drawSmoothTorus(majorR, tubeR, uSegs = 128, vSegs = 48) {
-  if (!isFinite(majorR) || !isFinite(tubeR) || majorR <= 0 || tubeR <= 0) return;
+// Pixel density giving targetWidth device pixels, capped by what the GPU can render
+function exportPixelDensity(targetWidth) {
+  const gl = drawingContext;
+  let maxDim = 4096;
+  try {
+    const dims = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+    maxDim = Math.min(gl.getParameter(gl.MAX_RENDERBUFFER_SIZE), dims[0], dims[1]);
+  } catch (e) {}
+  
+  return Math.max(0.25, Math.min(targetWidth / width, maxDim / width, maxDim / height));
+}
 
-  uSegs = Math.max(8, Math.min(APP_SAFE_MAX_TORUS_U, Math.floor(uSegs)));
-  vSegs = Math.max(4, Math.min(APP_SAFE_MAX_TORUS_V, Math.floor(vSegs)));
+function downloadBlob(blob, name) {
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
 
-  if (uSegs * vSegs > MAX_TORUS_VERTEX_COUNT) {
-    const scale = Math.sqrt(MAX_TORUS_VERTEX_COUNT / (uSegs * vSegs));
-    uSegs = Math.max(8, Math.floor(uSegs * scale));
-    vSegs = Math.max(4, Math.floor(vSegs * scale));
+// Axis label sprites are 2D graphics; re-raster them so they stay sharp when upscaled
+function setLabelGraphicsDensity(density) {
+  const pairs = [[lblXgfx, 'x'], [lblYgfx, 'y'], [lblZgfx, 'z']];
+  for (const [g, label] of pairs) {
+    if (!g) continue;
+    g.pixelDensity(density);
+    g.textFont(FONT_FALLBACK_NAME);
+    g.textAlign(CENTER, CENTER);
+    drawLabelToGraphics(g, label);
   }
+}
 
-  for (let i = 0; i < uSegs; i++) {
-    const a0 = (i / uSegs) * TWO_PI;
-    const a1 = ((i + 1) / uSegs) * TWO_PI;
-    
-    beginShape(TRIANGLE_STRIP);
-    for (let j = 0; j <= vSegs; j++) {
-      const b = (j / vSegs) * TWO_PI;
-      
-      let x1 = (majorR + tubeR * Math.cos(b)) * Math.cos(a1);
-      let y1 = (majorR + tubeR * Math.cos(b)) * Math.sin(a1);
-      let z1 = tubeR * Math.sin(b);
-      let nx1 = Math.cos(b) * Math.cos(a1);
-      let ny1 = Math.cos(b) * Math.sin(a1);
-      let nz1 = Math.sin(b);
-      normal(nx1, ny1, nz1);
-      vertex(x1, y1, z1);
-      
-      let x0 = (majorR + tubeR * Math.cos(b)) * Math.cos(a0);
-      let y0 = (majorR + tubeR * Math.cos(b)) * Math.sin(a0);
-      let z0 = tubeR * Math.sin(b);
-      let nx0 = Math.cos(b) * Math.cos(a0);
-      let ny0 = Math.cos(b) * Math.sin(a0);
-      let nz0 = Math.sin(b);
-      normal(nx0, ny0, nz0);
-      vertex(x0, y0, z0);
-    }
-    endShape();
-  }
+// Orbital name and nuclear charge in the bottom-left corner
+function drawSnapshotCaption(ctx, w, h) {
+  const n = ui.nInput ? parseInt(ui.nInput.value(), 10) : 1;
+  const l = ui.lInput ? parseInt(ui.lInput.value(), 10) : 0;
+  const m = ui.mInput ? parseInt(ui.mInput.value(), 10) : 0;
+  if (isNaN(n) || isNaN(l) || isNaN(m)) return;
+  
+  let caption = getOrbitalLabel(n, l, m);
+  if (nuclearCharge > 1) caption += `  ·  Z = ${nuclearCharge}`;
+  
+  const fontPx = Math.round(h * 0.035);
+  ctx.font = `700 ${fontPx}px ${FONT_FALLBACK_NAME}`;
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'bottom';
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  ctx.fillText(caption, fontPx * 0.8 + fontPx * 0.06, h - fontPx * 0.8 + fontPx * 0.06);
+  ctx.fillStyle = '#ffffff';
+  ctx.fillText(caption, fontPx * 0.8, h - fontPx * 0.8);
 }
+
 // ============================================
-// OVERLAY LIGHTING & RENDERING HELPERS
+// TURNTABLE RECORDING
 // ============================================
 
-function _overlayNormalize(v) {
-  const len = Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]) || 1.0;
-  return [v[0] / len, v[1] / len, v[2] / len];
-}
+const TURNTABLE_FPS = 30;
+const TURNTABLE_VIDEO_BITRATE = 16e6;
+const TURNTABLE_MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
 
-const OVERLAY_LIGHT_DIR = _overlayNormalize([0.2, -0.4, 1.0]);
-const OVERLAY_AMBIENT = 0.30;
-const OVERLAY_DIFFUSE_MIN = 0.20;
-const OVERLAY_DIFFUSE_SCALE = 0.90;
-const OVERLAY_SPEC_INTENSITY = 0.9;
-const OVERLAY_RIM_INTENSITY = 0.6;
+function turntableVideoMimeType() {
+  if (typeof MediaRecorder === 'undefined' || typeof HTMLCanvasElement.prototype.captureStream !== 'function') return null;
+  for (const type of TURNTABLE_MIME_TYPES) {
+    try {
+      if (MediaRecorder.isTypeSupported(type)) return type;
+    } catch (e) {}
+  }
+  return null;
+}
 
-function overlayLightingForAxis(axisUnit) {
-  const L = OVERLAY_LIGHT_DIR;
-  const dotv = Math.max(-1, Math.min(1, axisUnit[0] * L[0] + axisUnit[1] * L[1] + axisUnit[2] * L[2]));
-  const diffuse = OVERLAY_DIFFUSE_MIN + OVERLAY_DIFFUSE_SCALE * Math.max(0, dotv);
-  const spec = Math.pow(Math.max(0, dotv), 24) * OVERLAY_SPEC_INTENSITY;
+// One full revolution of rotY at tiltDeg, seconds × TURNTABLE_FPS frames. draw() steps rotY
+// by a fixed angle per frame (see turntableState), so the clip loops seamlessly whatever
+// the frame rate. WebM frames are timestamped by the recorder's wall clock and are paced
+// at TURNTABLE_FPS; the PNG sequence has no such limit. onDone runs once the file is saved.
+function startTurntableRecording(seconds, targetWidth, tiltDeg, format, onDone) {
+  if (turntableState || snapshotState || !cnv || !cnv.elt) return false;
+  
+  const mimeType = turntableVideoMimeType();
+  if (format !== 'png' && !mimeType) format = 'png';
+  
+  const frames = Math.max(2, Math.round(seconds * TURNTABLE_FPS));
+  const density = exportPixelDensity(targetWidth);
+  const st = {
+    frame: 0,
+    frames,
+    format,
+    startRotY: rotY,
+    tilt: constrain(radians(tiltDeg), -HALF_PI, HALF_PI),
+    prevRotX: rotX,
+    prevDensity: pixelDensity(),
+    cancelled: false,
+    onDone,
+    zip: format === 'png' ? new StoredZipWriter() : null,
+    chunks: []
+  };
   
-  return { ambient: OVERLAY_AMBIENT, diffuse: diffuse, specular: spec, dot: dotv };
+  noLoop();
+  pixelDensity(density);
+  setLabelGraphicsDensity(density);
+  camZoom = camZoomTarget;
+  
+  // Encoders want even frame sizes
+  st.out = document.createElement('canvas');
+  st.out.width = cnv.elt.width & ~1;
+  st.out.height = cnv.elt.height & ~1;
+  st.ctx = st.out.getContext('2d');
+  
+  if (format === 'webm') {
+    try {
+      let stream = st.out.captureStream(0);
+      st.track = stream.getVideoTracks()[0];
+      if (!st.track || typeof st.track.requestFrame !== 'function') {
+        stream = st.out.captureStream(TURNTABLE_FPS);
+        st.track = null;
+      }
+      st.recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: TURNTABLE_VIDEO_BITRATE });
+      st.recorder.ondataavailable = ev => {
+        if (ev.data && ev.data.size > 0) st.chunks.push(ev.data);
+      };
+      st.recorder.start();
+    } catch (e) {
+      console.warn('MediaRecorder unavailable, recording PNG frames instead', e);
+      st.format = 'png';
+      st.recorder = null;
+      st.zip = new StoredZipWriter();
+    }
+  }
+  
+  turntableState = st;
+  setRecordingInputsLocked(true);
+  st.startMs = performance.now();
+  setTimeout(stepTurntable, 0);
+  return true;
 }
 
-function axisWorldToCamera(axisUnit) {
-  const cy = Math.cos(rotY), sy = Math.sin(rotY);
-  const rx = cy * axisUnit[0] + sy * axisUnit[2];
-  const ry = axisUnit[1];
-  const rz = -sy * axisUnit[0] + cy * axisUnit[2];
+// The orbital must not change mid-clip: mode, n/l/m and seed are read-only while recording
+function setRecordingInputsLocked(locked) {
+  for (const el of [ui.modeSelect, ui.nInput, ui.lInput, ui.mInput, ui.seedInput]) {
+    if (!el) continue;
+    if (locked) el.attribute('disabled', 'disabled');
+    else el.removeAttribute('disabled');
+  }
+}
+
+function cancelTurntableRecording() {
+  if (!turntableState) return;
+  turntableState.cancelled = true;
+}
+
+function stepTurntable() {
+  const st = turntableState;
+  if (!st) return;
+  if (st.cancelled || st.frame >= st.frames) {
+    finishTurntable(st);
+    return;
+  }
   
-  const cx = Math.cos(rotX), sx = Math.sin(rotX);
-  const rrx = rx;
-  const rry = cx * ry - sx * rz;
-  const rrz = sx * ry + cx * rz;
+  try {
+    redraw();
+    st.ctx.drawImage(cnv.elt, 0, 0, st.out.width, st.out.height);
+    drawSnapshotCaption(st.ctx, st.out.width, st.out.height);
+  } catch (e) {
+    console.warn('Turntable frame failed', e);
+    st.cancelled = true;
+    finishTurntable(st);
+    return;
+  }
   
-  const len = Math.sqrt(rrx * rrx + rry * rry + rrz * rrz) || 1.0;
-  return [rrx / len, rry / len, rrz / len];
+  st.frame++;
+  setProgress(`${translateUI('turntableProgress', 'Recording')} ${Math.round(100 * st.frame / st.frames)}%`);
+  
+  if (st.format === 'webm') {
+    if (st.track) st.track.requestFrame();
+    const due = st.startMs + st.frame * 1000 / TURNTABLE_FPS;
+    setTimeout(stepTurntable, Math.max(0, due - performance.now()));
+    return;
+  }
+  
+  const name = `frame_${String(st.frame).padStart(4, '0')}.png`;
+  st.out.toBlob(blob => {
+    if (!blob) {
+      st.cancelled = true;
+      stepTurntable();
+      return;
+    }
+    // Only the CRC needs the bytes; the archive keeps the Blob itself
+    blob.arrayBuffer().then(buf => {
+      st.zip.add(name, new Uint8Array(buf), blob);
+    }).then(stepTurntable, err => {
+      console.warn('Turntable frame could not be read', err);
+      st.cancelled = true;
+      finishTurntable(st);
+    });
+  }, 'image/png');
 }
 
-function shadedColorForAxis(fillColor, axisUnit, alpha255) {
-  const colorScale = 0.75;
-  const baseR = fillColor[0] * colorScale;
-  const baseG = fillColor[1] * colorScale;
-  const baseB = fillColor[2] * colorScale;
+function finishTurntable(st) {
+  if (turntableState !== st) return;
+  turntableState = null;
+  setRecordingInputsLocked(false);
+  pixelDensity(st.prevDensity);
+  setLabelGraphicsDensity(1);
+  rotX = st.prevRotX;
+  rotY = st.startRotY;
+  rotYTarget = rotY;
+  setProgress('');
+  loop();
+  
+  const n = ui.nInput ? parseInt(ui.nInput.value(), 10) : 1;
+  const l = ui.lInput ? parseInt(ui.lInput.value(), 10) : 0;
+  const m = ui.mInput ? parseInt(ui.mInput.value(), 10) : 0;
+  const baseName = `orbital_${getOrbitalLabel(n, l, m).replace(/[^\w+-]+/g, '')}_turntable`;
+  const done = () => {
+    if (typeof st.onDone === 'function') st.onDone();
+  };
   
-  const L = overlayLightingForAxis(axisUnit);
-  const axisCam = axisWorldToCamera(axisUnit);
-  const viewDot = Math.max(-1, Math.min(1, axisCam[2]));
-  const rim = Math.pow(Math.max(0, 1 - Math.abs(viewDot)), 3) * OVERLAY_RIM_INTENSITY;
+  if (st.recorder) {
+    st.recorder.onstop = () => {
+      if (!st.cancelled) downloadBlob(new Blob(st.chunks, { type: 'video/webm' }), `${baseName}.webm`);
+      done();
+    };
+    st.recorder.stop();
+    return;
+  }
   
-  const litR = Math.min(255, Math.round(baseR * (L.ambient + L.diffuse) + 255 * L.specular * 0.03 + 255 * rim * 0.04));
-  const litG = Math.min(255, Math.round(baseG * (L.ambient + L.diffuse) + 255 * L.specular * 0.03 + 255 * rim * 0.04));
-  const litB = Math.min(255, Math.round(baseB * (L.ambient + L.diffuse) + 255 * L.specular * 0.03 + 255 * rim * 0.04));
-  const a = Math.max(0, Math.min(255, Math.round(alpha255)));
+  if (!st.cancelled && st.zip.count > 0) downloadBlob(st.zip.toBlob(), `${baseName}_png.zip`);
+  done();
+}
+
+let crc32Table = null;
+
+function crc32(bytes) {
+  if (!crc32Table) {
+    crc32Table = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+      let c = i;
+      for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+      crc32Table[i] = c >>> 0;
+    }
+  }
   
-  return [litR, litG, litB, a];
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
 }
 
-function shadedColorUniform(fillColor, alpha255) {
-  const canonicalAxis = [0, 0, 1];
-  return shadedColorForAxis(fillColor, canonicalAxis, alpha255);
+// ZIP archive without compression (PNG frames are already deflated), written one file
+// at a time: only the headers are built here, file contents stay in the Blobs passed in
+class StoredZipWriter {
+  constructor() {
+    this.parts = [];
+    this.central = [];
+    this.offset = 0;
+    this.centralSize = 0;
+    this.count = 0;
+  }
+  
+  // data: the file's bytes, read once for the CRC; source: what goes in the archive
+  // (a Blob holding the same bytes, or data itself)
+  add(fileName, data, source = data) {
+    const DOS_DATE = (1 << 5) | 1; // 1980-01-01
+    const name = new TextEncoder().encode(fileName);
+    const crc = crc32(data);
+    const size = data.length;
+    
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(12, DOS_DATE, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, size, true);
+    local.setUint32(22, size, true);
+    local.setUint16(26, name.length, true);
+    this.parts.push(local.buffer, name, source);
+    
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(14, DOS_DATE, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, size, true);
+    entry.setUint32(24, size, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, this.offset, true);
+    this.central.push(entry.buffer, name);
+    
+    this.offset += 30 + name.length + size;
+    this.centralSize += 46 + name.length;
+    this.count++;
+  }
+  
+  toBlob() {
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, this.count, true);
+    end.setUint16(10, this.count, true);
+    end.setUint32(12, this.centralSize, true);
+    end.setUint32(16, this.offset, true);
+    
+    return new Blob([...this.parts, ...this.central, end.buffer], { type: 'application/zip' });
+  }
 }
 
 // ============================================
-// CACHED GEOMETRY FUNCTIONS
+// POINT CLOUD EXPORT
 // ============================================
 
-function getCachedSphereGeometry(radius, detailX = 64, detailY = 64) {
-  const cacheKey = `${radius}_${detailX}_${detailY}`;
+// World units per Bohr radius; every cloud is sampled at this scale (see Orbital.calculateDistanceScale)
+function worldUnitsPerBohr() {
+  return a0 * ELECTRON_DISTANCE_MULTIPLIER;
+}
+
+// Every sampled cloud as drawn: the main orbital plus the complete-mode orbitals
+function collectExportClouds() {
+  const clouds = [];
+  const complete = (window.orbitalMode || 'basic') === 'complete';
+  
+  if (positions && sampleCount > 0 && mainCloudInfo) {
+    const { n, l, m } = mainCloudInfo;
+    clouds.push({
+      label: getOrbitalLabel(n, l, m),
+      n, l, m,
+      zEff: mainCloudInfo.zEff,
+      color: complete ? getSubshellColor(n, l) : getSubshellColor(1, 0),
+      positions,
+      count: Math.min(sampleCount, positions.length / 3)
+    });
+  }
   
-  if (!cachedSphereGeometry) {
-    cachedSphereGeometry = {};
+  for (const orbital of innerOrbitals) {
+    if (!orbital.positions || orbital.sampleCount <= 0) continue;
+    clouds.push({
+      label: orbital.exportLabel(),
+      n: orbital.n, l: orbital.l, m: orbital.m,
+      zEff: orbital.zEff,
+      color: orbital.color,
+      positions: orbital.positions,
+      count: Math.min(orbital.sampleCount, orbital.positions.length / 3)
+    });
   }
   
-  if (cachedSphereGeometry[cacheKey]) {
-    return cachedSphereGeometry[cacheKey];
+  return clouds;
+}
+
+function pointCloudHeaderLines(clouds) {
+  const total = clouds.reduce((acc, c) => acc + c.count, 0);
+  const lines = [
+    `Orbital 3D point cloud, Z = ${nuclearCharge}, ${total} points, units: Bohr radii (a0)`
+  ];
+  clouds.forEach((c, i) => {
+    lines.push(`orbital ${i} ${c.label}: n=${c.n} l=${c.l} m=${c.m} Z=${nuclearCharge} Z_eff=${+c.zEff.toFixed(3)} samples=${c.count} rgb=${c.color.join(',')}`);
+  });
+  return lines;
+}
+
+// Binary little-endian PLY: float x y z, uchar red green blue
+function buildPlyBlob(clouds) {
+  const total = clouds.reduce((acc, c) => acc + c.count, 0);
+  const header = [
+    'ply',
+    'format binary_little_endian 1.0',
+    ...pointCloudHeaderLines(clouds).map(line => `comment ${line}`),
+    `element vertex ${total}`,
+    'property float x',
+    'property float y',
+    'property float z',
+    'property uchar red',
+    'property uchar green',
+    'property uchar blue',
+    'end_header',
+    ''
+  ].join('\n');
+  
+  const stride = 15;
+  const body = new DataView(new ArrayBuffer(total * stride));
+  const inv = 1 / worldUnitsPerBohr();
+  let o = 0;
+  
+  for (const c of clouds) {
+    const P = c.positions;
+    for (let i = 0; i < c.count; i++) {
+      body.setFloat32(o, P[i * 3] * inv, true);
+      body.setFloat32(o + 4, P[i * 3 + 1] * inv, true);
+      body.setFloat32(o + 8, P[i * 3 + 2] * inv, true);
+      body.setUint8(o + 12, c.color[0]);
+      body.setUint8(o + 13, c.color[1]);
+      body.setUint8(o + 14, c.color[2]);
+      o += stride;
+    }
   }
   
-  const vertices = [];
-  const normals = [];
-  const indices = [];
+  return new Blob([header, body.buffer], { type: 'application/octet-stream' });
+}
+
+// Plain-text formats, built in chunks so million-point clouds don't need one giant string
+function buildTextCloudBlob(clouds, format) {
+  const csv = format === 'csv';
+  const parts = pointCloudHeaderLines(clouds).map(line => `# ${line}\n`);
+  if (csv) parts.push('x,y,z,red,green,blue,orbital\n');
   
-  for (let lat = 0; lat <= detailY; lat++) {
-    const theta = lat * Math.PI / detailY;
-    const sinTheta = Math.sin(theta);
-    const cosTheta = Math.cos(theta);
+  const inv = 1 / worldUnitsPerBohr();
+  const CHUNK = 20000;
+  
+  clouds.forEach((c, ci) => {
+    const P = c.positions;
+    const rgb = c.color.join(csv ? ',' : ' ');
     
-    for (let lon = 0; lon <= detailX; lon++) {
-      const phi = lon * 2 * Math.PI / detailX;
-      const sinPhi = Math.sin(phi);
-      const cosPhi = Math.cos(phi);
-      
-      const nx = cosPhi * sinTheta;
-      const ny = cosTheta;
-      const nz = sinPhi * sinTheta;
-      
-      const x = radius * nx;
-      const y = radius * ny;
-      const z = radius * nz;
-      
-      vertices.push({ x, y, z });
-      normals.push({ x: nx, y: ny, z: nz });
+    for (let start = 0; start < c.count; start += CHUNK) {
+      const end = Math.min(c.count, start + CHUNK);
+      const lines = new Array(end - start);
+      for (let i = start; i < end; i++) {
+        const x = (P[i * 3] * inv).toFixed(5);
+        const y = (P[i * 3 + 1] * inv).toFixed(5);
+        const z = (P[i * 3 + 2] * inv).toFixed(5);
+        lines[i - start] = csv ? `${x},${y},${z},${rgb},${ci}` : `${x} ${y} ${z}`;
+      }
+      parts.push(lines.join('\n') + '\n');
     }
+  });
+  
+  return new Blob(parts, { type: csv ? 'text/csv' : 'text/plain' });
+}
+
+function exportPointCloud(format) {
+  const clouds = collectExportClouds();
+  if (clouds.length === 0) return false;
+  
+  const fmt = ['ply', 'xyz', 'csv'].includes(format) ? format : 'ply';
+  const blob = fmt === 'ply' ? buildPlyBlob(clouds) : buildTextCloudBlob(clouds, fmt);
+  const name = `orbital_${clouds[0].label.replace(/[^\w+-]+/g, '')}_Z${nuclearCharge}_${clouds.reduce((acc, c) => acc + c.count, 0)}pts.${fmt}`;
+  downloadBlob(blob, name);
+  return true;
+}
+
+// ============================================
+// OVERLAY MESH EXPORT
+// ============================================
+
+const MESH_EXPORT_GRID_RES = 96; // Voxels per side of the grid the shapes are merged on
+const MESH_EXPORT_DEFAULT_MM_PER_BOHR = 10;
+
+// Shapes of the current overlay, with the same dimensions draw() uses. Ellipsoids are
+// { axis, axialLen, radialMajor, radialMinor, rotation, offset } in world units.
+function collectOverlayShapes(cache) {
+  const shapes = [];
+  if (!cache || !cache.data) return shapes;
+  
+  const d = cache.data;
+  const minLobeLen = 4 * lengthScaleForCharge();
+  
+  if (cache.type === 's') {
+    const r = d.r95 * OVERLAY_SCALE;
+    shapes.push({ kind: 'ellipsoid', name: 's', axis: [0, 0, 1], axialLen: 2 * r, radialMajor: r, radialMinor: r, rotation: 0, offset: -r });
+  } else if (cache.type === 'p') {
+    (d.lobes || []).forEach((L, i) => {
+      const radial = Math.max(0.01, L.r95) * OVERLAY_SCALE;
+      shapes.push({ kind: 'ellipsoid', name: `lobe_${i + 1}`, axis: L.axisUnit, axialLen: Math.max(minLobeLen, L.t95) * OVERLAY_SCALE, radialMajor: radial, radialMinor: radial, rotation: 0, offset: 0 });
+    });
+  } else if (cache.type === 'dz2') {
+    shapes.push({ kind: 'ellipsoid', name: 'lobe_pos', axis: [0, 0, 1], axialLen: d.t80pos, radialMajor: d.lobeRadial, radialMinor: d.lobeRadial, rotation: 0, offset: d.axialOffsetPos || 0 });
+    shapes.push({ kind: 'ellipsoid', name: 'lobe_neg', axis: [0, 0, -1], axialLen: d.t80neg, radialMajor: d.lobeRadial, radialMinor: d.lobeRadial, rotation: 0, offset: d.axialOffsetNeg || 0 });
+    if (d.ring) shapes.push({ kind: 'torus', name: 'ring', majorRadius: d.ring.majorRadius, tubeRadius: d.ring.tubeRadius });
+  } else if (cache.type === 'd') {
+    (d.lobes || []).forEach((L, i) => {
+      const axialLen = Math.max(minLobeLen, Math.max(0.01, L.axial) * OVERLAY_SCALE);
+      shapes.push({
+        kind: 'ellipsoid',
+        name: `lobe_${i + 1}`,
+        axis: L.axisUnit,
+        axialLen,
+        radialMajor: Math.max(0.01, (L.radialMajor || L.radial) * OVERLAY_SCALE),
+        radialMinor: Math.max(0.01, (L.radialMinor || L.radial) * OVERLAY_SCALE),
+        rotation: L.radialAngle || 0,
+        offset: axialLen * D_OVERLAY_AXIAL_PUSH_MULT + (L.nearSideCompression || 0)
+      });
+    });
+  } else if (cache.type === 'iso' && d.level > 0) {
+    // Both phases at once: the region |ψ| > level
+    shapes.push({ kind: 'psi', name: 'isosurface', n: d.n, l: d.l, m: d.m, complexBasis: d.complexBasis, level: d.level, scale: d.radialScale, halfExtent: d.halfExtent });
   }
   
-  for (let lat = 0; lat < detailY; lat++) {
-    for (let lon = 0; lon < detailX; lon++) {
-      const first = lat * (detailX + 1) + lon;
-      const second = first + detailX + 1;
-      
-      indices.push(first, second, first + 1);
-      indices.push(second, second + 1, first + 1);
-    }
+  // Separate lobes at most touch at the origin; a nucleus ball joins them into one print
+  if (shapes.length > 1 && cache.type !== 's') {
+    const r = NUCLEUS_RADIUS * lengthScaleForCharge();
+    shapes.push({ kind: 'ellipsoid', name: 'nucleus', axis: [0, 0, 1], axialLen: 2 * r, radialMajor: r, radialMinor: r, rotation: 0, offset: -r });
   }
   
-  const geometry = { vertices, normals, indices };
-  cachedSphereGeometry[cacheKey] = geometry;
-  return geometry;
+  return shapes;
 }
 
-function drawPerfectSmoothSphere(radius, detailX = 64, detailY = 64) {
-  const geom = getCachedSphereGeometry(radius, detailX, detailY);
+// Field that is positive inside the shape, zero on its surface and negative outside
+// (world units in, dimensionless out), and the radius of a ball around the origin
+// that holds the shape
+function overlayShapeField(shape) {
+  if (shape.kind === 'ellipsoid') {
+    // Undo drawLobeEllipsoidBase3's placement: rotateY(yaw), rotateX(pitch), rotateZ(rotation)
+    // after pushing the unit sphere along local z
+    const rp = yawPitchFromVector(shape.axis);
+    const cy = Math.cos(rp.yaw), sy = Math.sin(rp.yaw);
+    const cp = Math.cos(rp.pitch), sp = Math.sin(rp.pitch);
+    const cr = Math.cos(shape.rotation), sr = Math.sin(shape.rotation);
+    const halfLen = shape.axialLen * 0.5;
+    const shift = halfLen + shape.offset;
+    
+    return {
+      bound: Math.abs(shift) + Math.max(halfLen, shape.radialMajor, shape.radialMinor),
+      at: (wx, wy, wz) => {
+        const x1 = cy * wx - sy * wz, z2 = sy * wx + cy * wz;
+        const y1 = cp * wy + sp * z2, z = -sp * wy + cp * z2;
+        const u = (cr * x1 + sr * y1) / shape.radialMajor;
+        const v = (-sr * x1 + cr * y1) / shape.radialMinor;
+        const w = (z - shift) / halfLen;
+        return 1 - Math.sqrt(u * u + v * v + w * w);
+      }
+    };
+  }
   
-  beginShape(TRIANGLES);
-  for (let i = 0; i < geom.indices.length; i++) {
-    const idx = geom.indices[i];
-    const v = geom.vertices[idx];
-    const n = geom.normals[idx];
-    normal(n.x, n.y, n.z);
-    vertex(v.x, v.y, v.z);
+  if (shape.kind === 'torus') {
+    // In the xy plane, like p5's torus()
+    return {
+      bound: shape.majorRadius + shape.tubeRadius,
+      at: (x, y, z) => {
+        const q = Math.sqrt(x * x + y * y) - shape.majorRadius;
+        return 1 - Math.sqrt(q * q + z * z) / shape.tubeRadius;
+      }
+    };
   }
-  endShape();
+  
+  // 'psi': the isosurface, straight from the wavefunction
+  const unsigned = shape.complexBasis && shape.m !== 0;
+  const inv = 1 / shape.scale;
+  const bound = shape.halfExtent * shape.scale;
+  return {
+    bound,
+    slow: true,
+    at: (x, y, z) => {
+      // ψ is the slow part; beyond the sampled radius it is under the level anyway
+      if (x * x + y * y + z * z > bound * bound) return -1;
+      return Math.abs(wavefunctionGridValue(shape.n, shape.l, shape.m, x * inv, y * inv, z * inv, unsigned)) / shape.level - 1;
+    }
+  };
 }
 
-function drawPerfectSmoothEllipsoid(sx, sy, sz, detailX = 64, detailY = 64) {
-  const geom = getCachedSphereGeometry(1.0, detailX, detailY);
+// The overlays as one closed, non-overlapping surface in millimetres (mmPerBohr per
+// Bohr radius): the union of their shapes (max of their fields) is voxelised and
+// re-meshed with marching cubes, so lobes, rings and nucleus come out as a single solid.
+// Pieces that still don't touch (isosurface lobes split by nodal planes or radial
+// nodes) are tied to a nucleus ball by struts, see joinVoxelComponents; a radial node
+// stays inside the solid as a sealed hollow.
+function buildOverlayExportMesh(caches, mmPerBohr) {
+  // ψ fields last: they are skipped where a cheaper shape already covers the voxel
+  const fields = caches.flatMap(cache => collectOverlayShapes(cache).map(overlayShapeField));
+  fields.sort((a, b) => (a.slow ? 1 : 0) - (b.slow ? 1 : 0));
+  if (fields.length === 0) return { positions: new Float32Array(0), indices: new Uint32Array(0), groups: [] };
+  
+  const res = MESH_EXPORT_GRID_RES;
+  const bound = fields.reduce((acc, f) => Math.max(acc, f.bound), 0);
+  // Two empty voxels of margin keep the surface off the grid faces, so it closes
+  const halfExtent = bound * (res - 1) / (res - 5);
+  const step = (2 * halfExtent) / (res - 1);
+  const values = new Float32Array(res * res * res);
+  
+  let idx = 0;
+  for (let k = 0; k < res; k++) {
+    const z = -halfExtent + k * step;
+    for (let j = 0; j < res; j++) {
+      const y = -halfExtent + j * step;
+      for (let i = 0; i < res; i++) {
+        const x = -halfExtent + i * step;
+        let v = -Infinity;
+        for (const f of fields) {
+          if (f.slow && v > 0) break;
+          v = Math.max(v, f.at(x, y, z));
+        }
+        values[idx++] = v;
+      }
+    }
+  }
   
-  beginShape(TRIANGLES);
-  for (let i = 0; i < geom.indices.length; i++) {
-    const idx = geom.indices[i];
-    const v = geom.vertices[idx];
-    const n = geom.normals[idx];
+  const grid = { values, res, halfExtent, step };
+  joinVoxelComponents(grid, NUCLEUS_RADIUS * lengthScaleForCharge());
+  
+  const mesh = marchingCubes(grid, 1, 0);
+  const k = mmPerBohr / worldUnitsPerBohr();
+  for (let i = 0; i < mesh.positions.length; i++) mesh.positions[i] *= k;
+  return { positions: mesh.positions, indices: mesh.indices, groups: [{ name: 'overlay', start: 0, count: mesh.indices.length / 3 }] };
+}
+
+// Labels the face-connected regions of voxels with value > 0 (face-connected voxels
+// always end up in one marching-cubes surface). When there is more than one, adds a
+// ball of nucleusRadius at the origin and a strut from it to the voxel of each region
+// closest to the origin, so the solid prints in one piece.
+function joinVoxelComponents(grid, nucleusRadius) {
+  const { values, res, halfExtent, step } = grid;
+  const plane = res * res;
+  const labels = new Int32Array(values.length);
+  const stack = new Int32Array(values.length);
+  const nearest = []; // Per region: [x, y, z] of its voxel closest to the origin
+  
+  for (let seed = 0; seed < values.length; seed++) {
+    if (values[seed] <= 0 || labels[seed] !== 0) continue;
     
-    const x = sx * v.x;
-    const y = sy * v.y;
-    const z = sz * v.z;
+    const label = nearest.length + 1;
+    let best = Infinity, bestIdx = seed;
+    let top = 0;
+    stack[top++] = seed;
+    labels[seed] = label;
     
-    const nx = n.x / (sx * sx);
-    const ny = n.y / (sy * sy);
-    const nz = n.z / (sz * sz);
-    const nlen = Math.sqrt(nx * nx + ny * ny + nz * nz);
+    while (top > 0) {
+      const v = stack[--top];
+      const i = v % res, j = Math.floor(v / res) % res, k = Math.floor(v / plane);
+      const x = -halfExtent + i * step, y = -halfExtent + j * step, z = -halfExtent + k * step;
+      const d2 = x * x + y * y + z * z;
+      if (d2 < best) {
+        best = d2;
+        bestIdx = v;
+      }
+      
+      const neighbours = [
+        i > 0 ? v - 1 : -1, i < res - 1 ? v + 1 : -1,
+        j > 0 ? v - res : -1, j < res - 1 ? v + res : -1,
+        k > 0 ? v - plane : -1, k < res - 1 ? v + plane : -1
+      ];
+      for (const nb of neighbours) {
+        if (nb < 0 || values[nb] <= 0 || labels[nb] !== 0) continue;
+        labels[nb] = label;
+        stack[top++] = nb;
+      }
+    }
     
-    normal(nx / nlen, ny / nlen, nz / nlen);
-    vertex(x, y, z);
+    const i = bestIdx % res, j = Math.floor(bestIdx / res) % res, k = Math.floor(bestIdx / plane);
+    nearest.push([-halfExtent + i * step, -halfExtent + j * step, -halfExtent + k * step]);
   }
-  endShape();
-}
-
-// ============================================
-// LOBE ELLIPSOID RENDERING
-// ============================================
-
-function drawLobeEllipsoidBase(axisVec, axialLen, radialRadius, fillColor, opacity = 140, axialOffset = 0, useUniformLighting = false) {
-  if (!axisVec) return;
   
-  const len = Math.sqrt(axisVec[0] * axisVec[0] + axisVec[1] * axisVec[1] + axisVec[2] * axisVec[2]);
-  if (len === 0) return;
+  if (nearest.length <= 1) return;
   
-  const axisUnit = [axisVec[0] / len, axisVec[1] / len, axisVec[2] / len];
-  const rp = yawPitchFromVector(axisUnit);
+  // Thick enough for marching cubes to resolve at this grid spacing
+  const ballRadius = Math.max(nucleusRadius, 2 * step);
+  const strutRadius = Math.max(1.5 * step, 0.5 * ballRadius);
+  // Each strut runs one voxel past the region's nearest point, into the region
+  const struts = nearest.map(p => {
+    const len = Math.sqrt(p[0] * p[0] + p[1] * p[1] + p[2] * p[2]) || 1;
+    const reach = (len + step) / len;
+    return [p[0] * reach, p[1] * reach, p[2] * reach];
+  });
   
-  push();
-  rotateY(rp.yaw);
-  rotateX(rp.pitch);
-  translate(0, 0, axialLen * 0.5 + axialOffset);
+  let idx = 0;
+  for (let k = 0; k < res; k++) {
+    const z = -halfExtent + k * step;
+    for (let j = 0; j < res; j++) {
+      const y = -halfExtent + j * step;
+      for (let i = 0; i < res; i++, idx++) {
+        const x = -halfExtent + i * step;
+        let v = 1 - Math.sqrt(x * x + y * y + z * z) / ballRadius;
+        for (const e of struts) {
+          // Distance to the segment origin → e
+          const t = Math.max(0, Math.min(1, (x * e[0] + y * e[1] + z * e[2]) / (e[0] * e[0] + e[1] * e[1] + e[2] * e[2] || 1)));
+          const dx = x - t * e[0], dy = y - t * e[1], dz = z - t * e[2];
+          v = Math.max(v, 1 - Math.sqrt(dx * dx + dy * dy + dz * dz) / strutRadius);
+        }
+        if (v > values[idx]) values[idx] = v;
+      }
+    }
+  }
+}
+
+function buildObjBlob(mesh, headerLines) {
+  const parts = headerLines.map(line => `# ${line}\n`);
+  const P = mesh.positions, I = mesh.indices;
   
-  const sx = radialRadius;
-  const sy = radialRadius;
-  const sz = axialLen * 0.5;
+  const vLines = [];
+  for (let i = 0; i < P.length; i += 3) vLines.push(`v ${P[i].toFixed(4)} ${P[i + 1].toFixed(4)} ${P[i + 2].toFixed(4)}`);
+  parts.push(vLines.join('\n') + '\n');
   
-  noStroke();
+  for (const g of mesh.groups) {
+    const fLines = [`o ${g.name}`];
+    for (let t = g.start; t < g.start + g.count; t++) {
+      fLines.push(`f ${I[t * 3] + 1} ${I[t * 3 + 1] + 1} ${I[t * 3 + 2] + 1}`);
+    }
+    parts.push(fLines.join('\n') + '\n');
+  }
   
-  if (overlayShader) {
-    shader(overlayShader);
-    overlayShader.setUniform('uLightDirection', [0.2, -0.4, 1.0]);
-    overlayShader.setUniform('uBaseColor', [fillColor[0] / 255, fillColor[1] / 255, fillColor[2] / 255]);
-    overlayShader.setUniform('uOpacity', opacity / 255);
-    overlayShader.setUniform('uAmbient', 0.25);
-    overlayShader.setUniform('uDiffuse', 0.50);
-    overlayShader.setUniform('uSpecular', 0.25);
-    overlayShader.setUniform('uShininess', 48.0);
-    overlayShader.setUniform('uRimPower', 3.0);
-    overlayShader.setUniform('uRimIntensity', 0.35);
+  return new Blob(parts, { type: 'text/plain' });
+}
+
+// Binary STL: 80-byte header, triangle count, then normal + 3 vertices + attribute per face
+function buildStlBlob(mesh, headerText) {
+  const P = mesh.positions, I = mesh.indices;
+  const triCount = I.length / 3;
+  const view = new DataView(new ArrayBuffer(84 + triCount * 50));
+  
+  const header = headerText.slice(0, 80);
+  for (let i = 0; i < header.length; i++) view.setUint8(i, header.charCodeAt(i) & 0x7f);
+  view.setUint32(80, triCount, true);
+  
+  let o = 84;
+  for (let t = 0; t < triCount; t++) {
+    const a = I[t * 3] * 3, b = I[t * 3 + 1] * 3, c = I[t * 3 + 2] * 3;
+    const e1 = [P[b] - P[a], P[b + 1] - P[a + 1], P[b + 2] - P[a + 2]];
+    const e2 = [P[c] - P[a], P[c + 1] - P[a + 1], P[c + 2] - P[a + 2]];
+    const nrm = cross(e1, e2);
+    const len = Math.sqrt(dot(nrm, nrm)) || 1;
     
+    view.setFloat32(o, nrm[0] / len, true);
+    view.setFloat32(o + 4, nrm[1] / len, true);
+    view.setFloat32(o + 8, nrm[2] / len, true);
+    o += 12;
+    for (const v of [a, b, c]) {
+      view.setFloat32(o, P[v], true);
+      view.setFloat32(o + 4, P[v + 1], true);
+      view.setFloat32(o + 8, P[v + 2], true);
+      o += 12;
+    }
+    view.setUint16(o, 0, true);
+    o += 2;
+  }
+  
+  return new Blob([view.buffer], { type: 'application/octet-stream' });
+}
+
+// Everything the overlay draws in basic or complete mode (see visibleOverlayShapes).
+// Returns false when there is nothing to export: overlay off or not computed yet,
+// or a mode without overlays
+function exportOverlayMesh(format, mmPerBohr) {
+  const mode = window.orbitalMode || 'basic';
+  if (!overlayEnabled) return false;
+  const caches = visibleOverlayShapes(mode).map(entry => entry.cache);
+  if (caches.length === 0) return false;
+  
+  const scale = isFinite(mmPerBohr) && mmPerBohr > 0 ? mmPerBohr : MESH_EXPORT_DEFAULT_MM_PER_BOHR;
+  const mesh = buildOverlayExportMesh(caches, scale);
+  if (mesh.indices.length === 0) return false;
+  
+  const n = ui.nInput ? parseInt(ui.nInput.value(), 10) : 1;
+  const l = ui.lInput ? parseInt(ui.lInput.value(), 10) : 0;
+  const m = ui.mInput ? parseInt(ui.mInput.value(), 10) : 0;
+  let label = getOrbitalLabel(n, l, m);
+  if (mode === 'complete') label = configElementZ !== null ? ionLabel(configElementZ, configCharge) : `${label} complete`;
+  const header = `Orbital 3D overlay ${label}, Z = ${nuclearCharge}, units: mm (${scale} mm per a0)`;
+  const fileLabel = label.replace(/\s+/g, '_').replace(/[^\w+-]+/g, '');
+  
+  if (format === 'stl') {
+    downloadBlob(buildStlBlob(mesh, header), `orbital_${fileLabel}_overlay.stl`);
+  } else {
+    downloadBlob(buildObjBlob(mesh, [header, `${mesh.positions.length / 3} vertices, ${mesh.indices.length / 3} triangles`]), `orbital_${fileLabel}_overlay.obj`);
+  }
+  return true;
+}
+
+// ============================================
+// UTILITY FUNCTIONS
+// ============================================
+
+function percentile(arr, p) {
+  if (!arr || arr.length === 0) return 0;
+  const copy = Array.from(arr);
+  copy.sort((a, b) => a - b);
+  const idx = Math.min(copy.length - 1, Math.floor(p * copy.length));
+  return copy[idx];
+}
+
+function majorityPhase(phaseArr, count) {
+  let sum = 0;
+  for (let i = 0; i < count; i++) sum += phaseArr[i];
+  return Math.sign(sum);
+}
+
+// Dominant sign of ψ among points within a cone around axisUnit
+function phaseAlongAxis(points, phaseArr, count, axisUnit, minCos = 0.7) {
+  let sum = 0;
+  for (let i = 0; i < count; i++) {
+    const x = points[i * 3], y = points[i * 3 + 1], z = points[i * 3 + 2];
+    const r = Math.sqrt(x * x + y * y + z * z);
+    if (r <= 0) continue;
+    if ((x * axisUnit[0] + y * axisUnit[1] + z * axisUnit[2]) / r >= minCos) sum += phaseArr[i];
+  }
+  return Math.sign(sum);
+}
+
+function kmeans(points, count, k, maxIter = 30, rng = () => random()) {
+  if (count <= 0) return [];
+  
+  const n = count;
+  const indices = [...Array(n).keys()];
+  const centroids = [];
+  const used = new Set();
+  
+  for (let i = 0; i < k; i++) {
+    let idx;
+    let tries = 0;
+    do {
+      idx = Math.floor(rng() * n);
+      tries++;
+    } while (used.has(idx) && tries < 10);
+    used.add(idx);
+    centroids.push([points[idx * 3], points[idx * 3 + 1], points[idx * 3 + 2]]);
+  }
+  
+  let assignments = new Array(n).fill(0);
+  
+  for (let iter = 0; iter < maxIter; iter++) {
+    let moved = false;
+    
+    for (let i = 0; i < n; i++) {
+      const px = points[i * 3], py = points[i * 3 + 1], pz = points[i * 3 + 2];
+      let best = 0;
+      let bestD = Infinity;
+      
+      for (let c = 0; c < k; c++) {
+        const dx = px - centroids[c][0];
+        const dy = py - centroids[c][1];
+        const dz = pz - centroids[c][2];
+        const d = dx * dx + dy * dy + dz * dz;
+        
+        if (d < bestD) {
+          bestD = d;
+          best = c;
+        }
+      }
+      
+      if (assignments[i] !== best) {
+        assignments[i] = best;
+        moved = true;
+      }
+    }
+    
+    const sums = [];
+    const counts = [];
+    for (let c = 0; c < k; c++) {
+      sums.push([0, 0, 0]);
+      counts.push(0);
+    }
+    
+    for (let i = 0; i < n; i++) {
+      const a = assignments[i];
+      sums[a][0] += points[i * 3];
+      sums[a][1] += points[i * 3 + 1];
+      sums[a][2] += points[i * 3 + 2];
+      counts[a] += 1;
+    }
+    
+    for (let c = 0; c < k; c++) {
+      if (counts[c] > 0) {
+        centroids[c][0] = sums[c][0] / counts[c];
+        centroids[c][1] = sums[c][1] / counts[c];
+        centroids[c][2] = sums[c][2] / counts[c];
+      } else {
+        const idx = indices[Math.floor(rng() * n)];
+        centroids[c] = [points[idx * 3], points[idx * 3 + 1], points[idx * 3 + 2]];
+      }
+    }
+    
+    if (!moved) break;
+  }
+  
+  const clusters = [];
+  for (let c = 0; c < k; c++) clusters.push([]);
+  for (let i = 0; i < n; i++) clusters[assignments[i]].push(i);
+  
+  return clusters;
+}
+
+function yawPitchFromVector(v) {
+  const vx = v[0], vy = v[1], vz = v[2];
+  const yaw = Math.atan2(vx, vz);
+  const horizLen = Math.sqrt(vx * vx + vz * vz);
+  const pitch = -Math.atan2(vy, horizLen);
+  return { yaw, pitch };
+}
+
+function getSafeSphereDetail(requested = MAX_SPHERE_DETAIL) {
+  try {
+    const cap = Math.min(requested || MAX_SPHERE_DETAIL, APP_SPHERE_DETAIL_CAP);
+    return Math.max(8, Math.floor(cap));
+  } catch (e) {
+    return Math.max(8, Math.min(256, Math.floor(requested || sphereResolution)));
+  }
+}
+
+function computeTorusSegments(majorR, tubeR) {
+  let u = Math.max(8, Math.min(APP_SAFE_MAX_TORUS_U, Math.round(256 * Math.max(0.4, majorR / 200))));
+  let v = Math.max(4, Math.min(APP_SAFE_MAX_TORUS_V, Math.round(64 * Math.max(0.5, tubeR / 6))));
+  
+  const prod = u * v;
+  if (prod > MAX_TORUS_VERTEX_COUNT) {
+    const scale = Math.sqrt(MAX_TORUS_VERTEX_COUNT / prod);
+    u = Math.max(8, Math.floor(u * scale));
+    v = Math.max(4, Math.floor(v * scale));
+  }
+  
+  u = Math.max(8, Math.min(APP_SAFE_MAX_TORUS_U, u));
+  v = Math.max(4, Math.min(APP_SAFE_MAX_TORUS_V, v));
+  
+  return { uSegs: u, vSegs: v };
+}
+
+function drawSmoothTorus(majorR, tubeR, uSegs = 128, vSegs = 48) {
+  if (!isFinite(majorR) || !isFinite(tubeR) || majorR <= 0 || tubeR <= 0) return;
+
+  uSegs = Math.max(8, Math.min(APP_SAFE_MAX_TORUS_U, Math.floor(uSegs)));
+  vSegs = Math.max(4, Math.min(APP_SAFE_MAX_TORUS_V, Math.floor(vSegs)));
+
+  if (uSegs * vSegs > MAX_TORUS_VERTEX_COUNT) {
+    const scale = Math.sqrt(MAX_TORUS_VERTEX_COUNT / (uSegs * vSegs));
+    uSegs = Math.max(8, Math.floor(uSegs * scale));
+    vSegs = Math.max(4, Math.floor(vSegs * scale));
+  }
+
+  for (let i = 0; i < uSegs; i++) {
+    const a0 = (i / uSegs) * TWO_PI;
+    const a1 = ((i + 1) / uSegs) * TWO_PI;
+    
+    beginShape(TRIANGLE_STRIP);
+    for (let j = 0; j <= vSegs; j++) {
+      const b = (j / vSegs) * TWO_PI;
+      
+      let x1 = (majorR + tubeR * Math.cos(b)) * Math.cos(a1);
+      let y1 = (majorR + tubeR * Math.cos(b)) * Math.sin(a1);
+      let z1 = tubeR * Math.sin(b);
+      let nx1 = Math.cos(b) * Math.cos(a1);
+      let ny1 = Math.cos(b) * Math.sin(a1);
+      let nz1 = Math.sin(b);
+      normal(nx1, ny1, nz1);
+      vertex(x1, y1, z1);
+      
+      let x0 = (majorR + tubeR * Math.cos(b)) * Math.cos(a0);
+      let y0 = (majorR + tubeR * Math.cos(b)) * Math.sin(a0);
+      let z0 = tubeR * Math.sin(b);
+      let nx0 = Math.cos(b) * Math.cos(a0);
+      let ny0 = Math.cos(b) * Math.sin(a0);
+      let nz0 = Math.sin(b);
+      normal(nx0, ny0, nz0);
+      vertex(x0, y0, z0);
+    }
+    endShape();
+  }
+}
+// ============================================
+// OVERLAY LIGHTING & RENDERING HELPERS
+// ============================================
+
+function _overlayNormalize(v) {
+  const len = Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]) || 1.0;
+  return [v[0] / len, v[1] / len, v[2] / len];
+}
+
+const OVERLAY_LIGHT_DIR = _overlayNormalize([0.2, -0.4, 1.0]);
+const OVERLAY_AMBIENT = 0.30;
+const OVERLAY_DIFFUSE_MIN = 0.20;
+const OVERLAY_DIFFUSE_SCALE = 0.90;
+const OVERLAY_SPEC_INTENSITY = 0.9;
+const OVERLAY_RIM_INTENSITY = 0.6;
+
+function overlayLightingForAxis(axisUnit) {
+  const L = OVERLAY_LIGHT_DIR;
+  const dotv = Math.max(-1, Math.min(1, axisUnit[0] * L[0] + axisUnit[1] * L[1] + axisUnit[2] * L[2]));
+  const diffuse = OVERLAY_DIFFUSE_MIN + OVERLAY_DIFFUSE_SCALE * Math.max(0, dotv);
+  const spec = Math.pow(Math.max(0, dotv), 24) * OVERLAY_SPEC_INTENSITY;
+  
+  return { ambient: OVERLAY_AMBIENT, diffuse: diffuse, specular: spec, dot: dotv };
+}
+
+function axisWorldToCamera(axisUnit) {
+  const cy = Math.cos(rotY), sy = Math.sin(rotY);
+  const rx = cy * axisUnit[0] + sy * axisUnit[2];
+  const ry = axisUnit[1];
+  const rz = -sy * axisUnit[0] + cy * axisUnit[2];
+  
+  const cx = Math.cos(rotX), sx = Math.sin(rotX);
+  const rrx = rx;
+  const rry = cx * ry - sx * rz;
+  const rrz = sx * ry + cx * rz;
+  
+  const len = Math.sqrt(rrx * rrx + rry * rry + rrz * rrz) || 1.0;
+  return [rrx / len, rry / len, rrz / len];
+}
+
+function shadedColorForAxis(fillColor, axisUnit, alpha255) {
+  const colorScale = 0.75;
+  const baseR = fillColor[0] * colorScale;
+  const baseG = fillColor[1] * colorScale;
+  const baseB = fillColor[2] * colorScale;
+  
+  const L = overlayLightingForAxis(axisUnit);
+  const axisCam = axisWorldToCamera(axisUnit);
+  const viewDot = Math.max(-1, Math.min(1, axisCam[2]));
+  const rim = Math.pow(Math.max(0, 1 - Math.abs(viewDot)), 3) * OVERLAY_RIM_INTENSITY;
+  
+  const litR = Math.min(255, Math.round(baseR * (L.ambient + L.diffuse) + 255 * L.specular * 0.03 + 255 * rim * 0.04));
+  const litG = Math.min(255, Math.round(baseG * (L.ambient + L.diffuse) + 255 * L.specular * 0.03 + 255 * rim * 0.04));
+  const litB = Math.min(255, Math.round(baseB * (L.ambient + L.diffuse) + 255 * L.specular * 0.03 + 255 * rim * 0.04));
+  const a = Math.max(0, Math.min(255, Math.round(alpha255)));
+  
+  return [litR, litG, litB, a];
+}
+
+function shadedColorUniform(fillColor, alpha255) {
+  const canonicalAxis = [0, 0, 1];
+  return shadedColorForAxis(fillColor, canonicalAxis, alpha255);
+}
+
+// Shapes of one overlay cache (s sphere, p / d lobes, dz² lobes + ring, isosurface) in
+// the current transform; alphaScale fades them along with their orbital's cloud
+function drawOverlayShapes(cache, alphaScale = 1) {
+  const safeLobeAlpha = Math.round(Math.max(8, Math.round(DZ2_OVERLAY_ALPHA * 0.35)) * alphaScale);
+  const minLobeLen = 4 * lengthScaleForCharge();
+  const safeRingAlpha = Math.round(Math.max(6, Math.round(RING_ALPHA * 0.30)) * alphaScale);
+
+  // S-orbital overlay
+  if (cache.type === 's') {
+    const r95 = cache.data.r95;
+    const sColor = overlayPhaseColor(cache.data.phase, cache.color);
+    
+    push();
+    noStroke();
+    const scaledR = r95 * OVERLAY_SCALE;
+    
+    if (overlayShader) {
+      shader(overlayShader);
+      overlayShader.setUniform('uLightDirection', [0.2, -0.4, 1.0]);
+      overlayShader.setUniform('uBaseColor', [sColor[0] / 255, sColor[1] / 255, sColor[2] / 255]);
+      overlayShader.setUniform('uOpacity', safeLobeAlpha / 255);
+      overlayShader.setUniform('uAmbient', 0.25);
+      overlayShader.setUniform('uDiffuse', 0.50);
+      overlayShader.setUniform('uSpecular', 0.25);
+      overlayShader.setUniform('uShininess', 48.0);
+      overlayShader.setUniform('uRimPower', 3.0);
+      overlayShader.setUniform('uRimIntensity', 0.35);
+      
+      try {
+        fill(sColor[0], sColor[1], sColor[2], safeLobeAlpha);
+      } catch (e) {}
+      
+      drawPerfectSmoothSphere(scaledR, OVERLAY_SPHERE_DETAIL, OVERLAY_SPHERE_DETAIL);
+      resetShader();
+    } else {
+      const shaded = shadedColorForAxis(sColor, [0, 0, 1], safeLobeAlpha);
+      ambientMaterial(Math.round(shaded[0] * 0.9), Math.round(shaded[1] * 0.9), Math.round(shaded[2] * 0.9));
+      specularMaterial(100, 100, 100);
+      shininess(20);
+      
+      try {
+        if (typeof sphereDetail === 'function') sphereDetail(OVERLAY_SPHERE_DETAIL);
+        fill(Math.round(shaded[0] * 0.9), Math.round(shaded[1] * 0.9), Math.round(shaded[2] * 0.9), safeLobeAlpha);
+      } catch (e) {}
+      
+      sphere(scaledR);
+      
+      try {
+        noFill();
+      } catch (e) {}
+    }
+    
+    // Highlights
+    push();
+    try {
+      pointLight(180, 180, 180, scaledR * 0.3, -scaledR * 0.3, scaledR * 0.2);
+    } catch (e) {}
+    translate(scaledR * 0.25, -scaledR * 0.25, 0);
+    specularMaterial(200, 200, 200);
+    shininess(60);
+    sphere(scaledR * 0.05);
+    pop();
+    
+    push();
+    try {
+      pointLight(150, 150, 150, -scaledR * 0.25, scaledR * 0.25, -scaledR * 0.15);
+    } catch (e) {}
+    translate(-scaledR * 0.22, scaledR * 0.22, -scaledR * 0.08);
+    specularMaterial(180, 180, 180);
+    shininess(50);
+    sphere(scaledR * 0.04);
+    pop();
+    
+    try {
+      if (typeof sphereDetail === 'function') sphereDetail(sphereResolution);
+    } catch (e) {}
+    pop();
+  }
+  // P-orbital overlay
+  else if (cache.type === 'p') {
+    const lobes = cache.data.lobes || [];
+    const lobeEntries = [];
+    
+    for (let li = 0; li < lobes.length; li++) {
+      const L = lobes[li];
+      const axialLen = Math.max(minLobeLen, L.t95) * OVERLAY_SCALE;
+      const axialOffset = 0;
+      const cx = L.axisUnit[0] * (axialLen * 0.5 + axialOffset);
+      const cy = L.axisUnit[1] * (axialLen * 0.5 + axialOffset);
+      const cz = L.axisUnit[2] * (axialLen * 0.5 + axialOffset);
+      const cam = worldToCameraSpace(cx, cy, cz);
+      lobeEntries.push({ idx: li, depth: cam.z, L: L });
+    }
+    
+    lobeEntries.sort((a, b) => a.depth - b.depth);
+    
+    for (let e of lobeEntries) {
+      const L = e.L;
+      const scaledAxial = Math.max(minLobeLen, L.t95) * OVERLAY_SCALE;
+      const scaledRadial = Math.max(0.01, L.r95) * OVERLAY_SCALE;
+      
+      push();
+      drawLobeEllipsoidBase(L.axisUnit, scaledAxial, scaledRadial, overlayPhaseColor(L.phase, cache.color), safeLobeAlpha, 0, true);
+      pop();
+    }
+  }
+  // Dz² overlay
+  else if (cache.type === 'dz2') {
+    const d = cache.data;
+    
+    if (d) {
+      const lobeAxialPos = d.t80pos;
+      const lobeAxialNeg = d.t80neg;
+      const axialOffsetPos = d.axialOffsetPos || 0;
+      const axialOffsetNeg = d.axialOffsetNeg || 0;
+      const lobeRadial = d.lobeRadial;
+      
+      const entries = [];
+      const cpos = [0, 0, (lobeAxialPos * 0.5 + axialOffsetPos)];
+      const cneg = [0, 0, (-lobeAxialNeg * 0.5 + axialOffsetNeg)];
+      const camPos = worldToCameraSpace(cpos[0], cpos[1], cpos[2]);
+      const camNeg = worldToCameraSpace(cneg[0], cneg[1], cneg[2]);
+      
+      entries.push({
+        depth: camPos.z,
+        draw: () => drawLobeEllipsoid([0, 0, 1], lobeAxialPos, lobeRadial, overlayPhaseColor(d.phasePos, cache.color), safeLobeAlpha, axialOffsetPos, true)
+      });
+      
+      entries.push({
+        depth: camNeg.z,
+        draw: () => drawLobeEllipsoid([0, 0, -1], lobeAxialNeg, lobeRadial, overlayPhaseColor(d.phaseNeg, cache.color), safeLobeAlpha, axialOffsetNeg, true)
+      });
+      
+      entries.sort((a, b) => a.depth - b.depth);
+      
+      for (let ent of entries) {
+        push();
+        ent.draw();
+        pop();
+      }
+      
+      // Ring
+      if (d.ring) {
+        const ringColor = overlayPhaseColor(d.ring.phase, d.ring.color);
+        push();
+        noStroke();
+        
+        if (overlayShader) {
+          shader(overlayShader);
+          overlayShader.setUniform('uLightDirection', [0.2, -0.4, 1.0]);
+          overlayShader.setUniform('uBaseColor', [ringColor[0] / 255, ringColor[1] / 255, ringColor[2] / 255]);
+          overlayShader.setUniform('uOpacity', safeRingAlpha / 255);
+          overlayShader.setUniform('uAmbient', 0.25);
+          overlayShader.setUniform('uDiffuse', 0.50);
+          overlayShader.setUniform('uSpecular', 0.25);
+          overlayShader.setUniform('uShininess', 48.0);
+          overlayShader.setUniform('uRimPower', 3.0);
+          overlayShader.setUniform('uRimIntensity', 0.35);
+        } else {
+          const shadedRing = shadedColorForAxis(ringColor, [0, 0, 1], safeRingAlpha);
+          ambientMaterial(Math.round(shadedRing[0] * 0.9), Math.round(shadedRing[1] * 0.9), Math.round(shadedRing[2] * 0.9));
+          specularMaterial(100, 100, 100);
+          shininess(20);
+        }
+        
+        try {
+          fill(ringColor[0], ringColor[1], ringColor[2], safeRingAlpha);
+        } catch (e) {}
+        
+        const segs = computeTorusSegments(d.ring.majorRadius, d.ring.tubeRadius);
+        const uSegs = Math.max(48, Math.min(segs.uSegs, 512));
+        const vSegs = Math.max(12, Math.min(segs.vSegs, 128));
+        
+        try {
+          if (typeof torus === 'function') {
+            torus(d.ring.majorRadius, d.ring.tubeRadius, uSegs, vSegs);
+          } else {
+            drawSmoothTorus(d.ring.majorRadius, d.ring.tubeRadius, uSegs, vSegs);
+          }
+        } catch (e) {
+          try {
+            drawSmoothTorus(d.ring.majorRadius, d.ring.tubeRadius, Math.min(120, uSegs), Math.min(48, vSegs));
+          } catch (ee) {}
+        }
+        
+        try {
+          noFill();
+        } catch (e) {}
+        
+        if (overlayShader) resetShader();
+        pop();
+      }
+    }
+  }
+  // Isosurface overlay
+  else if (cache.type === 'iso') {
+    drawIsosurfaceOverlay(cache.data, Math.round(DZ2_OVERLAY_ALPHA * 0.5 * alphaScale), cache.color);
+  }
+  // Other D-orbitals overlay
+  else if (cache.type === 'd') {
+    const lobes = cache.data.lobes || [];
+    const entries = [];
+    
+    for (let li = 0; li < lobes.length; li++) {
+      const L = lobes[li];
+      const baseAxial = Math.max(0.01, L.axial);
+      const axialLen = Math.max(minLobeLen, baseAxial * OVERLAY_SCALE);
+      const radialMajor = Math.max(0.01, (L.radialMajor || L.radial) * OVERLAY_SCALE);
+      const radialMinor = Math.max(0.01, (L.radialMinor || L.radial) * OVERLAY_SCALE);
+      const rotationAngle = L.radialAngle || 0;
+      const axialOffsetBase = axialLen * D_OVERLAY_AXIAL_PUSH_MULT;
+      const axialOffset = axialOffsetBase + (L.nearSideCompression || 0);
+      
+      const cx = L.axisUnit[0] * (axialLen * 0.5 + axialOffset);
+      const cy = L.axisUnit[1] * (axialLen * 0.5 + axialOffset);
+      const cz = L.axisUnit[2] * (axialLen * 0.5 + axialOffset);
+      const cam = worldToCameraSpace(cx, cy, cz);
+      
+      entries.push({
+        depth: cam.z,
+        L: L,
+        axialLen: axialLen,
+        axialOffset: axialOffset,
+        radialMajor: radialMajor,
+        radialMinor: radialMinor,
+        rotationAngle: rotationAngle
+      });
+    }
+    
+    entries.sort((a, b) => a.depth - b.depth);
+    
+    for (let e of entries) {
+      push();
+      drawLobeEllipsoidBase3(
+        e.L.axisUnit,
+        e.axialLen,
+        e.radialMajor,
+        e.radialMinor,
+        e.rotationAngle,
+        overlayPhaseColor(e.L.phase, cache.color),
+        ((cache.data && cache.data.alpha) ? cache.data.alpha : DZ2_OVERLAY_ALPHA) * 0.5 * alphaScale,
+        e.axialOffset,
+        true
+      );
+      pop();
+    }
+  }
+}
+
+// Overlays to draw this frame with their opacity factor; complete mode skips orbitals
+// hidden in the legend and subshells whose overlay was switched off
+function visibleOverlayShapes(mode) {
+  if (mode === 'basic') return overlayCache ? [{ cache: overlayCache, alpha: 1 }] : [];
+  if (mode !== 'complete') return [];
+  // n = 1 without an element: only the main cloud, with the basic overlay
+  if (innerOrbitals.length === 0) return overlayCache ? [{ cache: overlayCache, alpha: 1 }] : [];
+  
+  const shapes = [];
+  for (const orbital of innerOrbitals) {
+    if (!orbital.overlayCache || hiddenOverlaySubshells.has(`${orbital.n},${orbital.l}`)) continue;
+    const alpha = orbitalEmphasis(orbital.n, orbital.l, orbital.m);
+    if (alpha > 0) shapes.push({ cache: orbital.overlayCache, alpha });
+  }
+  return shapes;
+}
+
+// ============================================
+// CACHED GEOMETRY FUNCTIONS
+// ============================================
+
+function getCachedSphereGeometry(radius, detailX = 64, detailY = 64) {
+  const cacheKey = `${radius}_${detailX}_${detailY}`;
+  
+  if (!cachedSphereGeometry) {
+    cachedSphereGeometry = {};
+  }
+  
+  if (cachedSphereGeometry[cacheKey]) {
+    return cachedSphereGeometry[cacheKey];
+  }
+  
+  const vertices = [];
+  const normals = [];
+  const indices = [];
+  
+  for (let lat = 0; lat <= detailY; lat++) {
+    const theta = lat * Math.PI / detailY;
+    const sinTheta = Math.sin(theta);
+    const cosTheta = Math.cos(theta);
+    
+    for (let lon = 0; lon <= detailX; lon++) {
+      const phi = lon * 2 * Math.PI / detailX;
+      const sinPhi = Math.sin(phi);
+      const cosPhi = Math.cos(phi);
+      
+      const nx = cosPhi * sinTheta;
+      const ny = cosTheta;
+      const nz = sinPhi * sinTheta;
+      
+      const x = radius * nx;
+      const y = radius * ny;
+      const z = radius * nz;
+      
+      vertices.push({ x, y, z });
+      normals.push({ x: nx, y: ny, z: nz });
+    }
+  }
+  
+  for (let lat = 0; lat < detailY; lat++) {
+    for (let lon = 0; lon < detailX; lon++) {
+      const first = lat * (detailX + 1) + lon;
+      const second = first + detailX + 1;
+      
+      indices.push(first, second, first + 1);
+      indices.push(second, second + 1, first + 1);
+    }
+  }
+  
+  const geometry = { vertices, normals, indices };
+  cachedSphereGeometry[cacheKey] = geometry;
+  return geometry;
+}
+
+function drawPerfectSmoothSphere(radius, detailX = 64, detailY = 64) {
+  const geom = getCachedSphereGeometry(radius, detailX, detailY);
+  
+  beginShape(TRIANGLES);
+  for (let i = 0; i < geom.indices.length; i++) {
+    const idx = geom.indices[i];
+    const v = geom.vertices[idx];
+    const n = geom.normals[idx];
+    normal(n.x, n.y, n.z);
+    vertex(v.x, v.y, v.z);
+  }
+  endShape();
+}
+
+function drawPerfectSmoothEllipsoid(sx, sy, sz, detailX = 64, detailY = 64) {
+  const geom = getCachedSphereGeometry(1.0, detailX, detailY);
+  
+  beginShape(TRIANGLES);
+  for (let i = 0; i < geom.indices.length; i++) {
+    const idx = geom.indices[i];
+    const v = geom.vertices[idx];
+    const n = geom.normals[idx];
+    
+    const x = sx * v.x;
+    const y = sy * v.y;
+    const z = sz * v.z;
+    
+    const nx = n.x / (sx * sx);
+    const ny = n.y / (sy * sy);
+    const nz = n.z / (sz * sz);
+    const nlen = Math.sqrt(nx * nx + ny * ny + nz * nz);
+    
+    normal(nx / nlen, ny / nlen, nz / nlen);
+    vertex(x, y, z);
+  }
+  endShape();
+}
+
+// ============================================
+// LOBE ELLIPSOID RENDERING
+// ============================================
+
+function drawLobeEllipsoidBase(axisVec, axialLen, radialRadius, fillColor, opacity = 140, axialOffset = 0, useUniformLighting = false) {
+  if (!axisVec) return;
+  
+  const len = Math.sqrt(axisVec[0] * axisVec[0] + axisVec[1] * axisVec[1] + axisVec[2] * axisVec[2]);
+  if (len === 0) return;
+  
+  const axisUnit = [axisVec[0] / len, axisVec[1] / len, axisVec[2] / len];
+  const rp = yawPitchFromVector(axisUnit);
+  
+  push();
+  rotateY(rp.yaw);
+  rotateX(rp.pitch);
+  translate(0, 0, axialLen * 0.5 + axialOffset);
+  
+  const sx = radialRadius;
+  const sy = radialRadius;
+  const sz = axialLen * 0.5;
+  
+  noStroke();
+  
+  if (overlayShader) {
+    shader(overlayShader);
+    overlayShader.setUniform('uLightDirection', [0.2, -0.4, 1.0]);
+    overlayShader.setUniform('uBaseColor', [fillColor[0] / 255, fillColor[1] / 255, fillColor[2] / 255]);
+    overlayShader.setUniform('uOpacity', opacity / 255);
+    overlayShader.setUniform('uAmbient', 0.25);
+    overlayShader.setUniform('uDiffuse', 0.50);
+    overlayShader.setUniform('uSpecular', 0.25);
+    overlayShader.setUniform('uShininess', 48.0);
+    overlayShader.setUniform('uRimPower', 3.0);
+    overlayShader.setUniform('uRimIntensity', 0.35);
+    
+    try {
+      fill(fillColor[0], fillColor[1], fillColor[2], Math.round(opacity * 0.6));
+    } catch (e) {}
+    
+    drawPerfectSmoothEllipsoid(sx, sy, sz, OVERLAY_SPHERE_DETAIL, OVERLAY_SPHERE_DETAIL);
+    resetShader();
+  } else {
+    const shaded = useUniformLighting ? shadedColorUniform(fillColor, opacity) : shadedColorForAxis(fillColor, axisUnit, opacity);
+    ambientMaterial(shaded[0], shaded[1], shaded[2]);
+    specularMaterial(90, 90, 90);
+    shininess(30);
+    
+    push();
+    scale(sx, sy, sz);
+    try {
+      if (typeof sphereDetail === 'function') sphereDetail(OVERLAY_SPHERE_DETAIL);
+      fill(fillColor[0], fillColor[1], fillColor[2], Math.round(opacity * 0.6));
+    } catch (e) {}
+    sphere(1.0);
+    try {
+      noFill();
+    } catch (e) {}
+    pop();
+  }
+  
+  // Micro highlights
+  push();
+  try {
+    pointLight(180, 180, 180, 1.0, -1.0, 0.5);
+  } catch (e) {}
+  push();
+  translate(0.45, -0.45, 0);
+  specularMaterial(200, 200, 200);
+  shininess(60);
+  sphere(0.18);
+  pop();
+  pop();
+  
+  push();
+  try {
+    pointLight(150, 150, 150, -0.8, 0.6, -0.3);
+  } catch (e) {}
+  push();
+  translate(-0.35, 0.35, -0.1);
+  specularMaterial(180, 180, 180);
+  shininess(50);
+  sphere(0.15);
+  pop();
+  pop();
+  
+  try {
+    if (typeof sphereDetail === 'function') sphereDetail(sphereResolution);
+  } catch (e) {}
+  pop();
+}
+
+function drawLobeEllipsoidBase3(axisVec, axialLen, radialMajor, radialMinor, rotationAngle = 0, fillColor = DZ2_OVERLAY_COLOR, opacity = 140, axialOffset = 0, useUniformLighting = false) {
+  if (!axisVec) return;
+  
+  const len = Math.sqrt(axisVec[0] * axisVec[0] + axisVec[1] * axisVec[1] + axisVec[2] * axisVec[2]);
+  if (len === 0) return;
+  
+  const axisUnit = [axisVec[0] / len, axisVec[1] / len, axisVec[2] / len];
+  const rp = yawPitchFromVector(axisUnit);
+  
+  push();
+  rotateY(rp.yaw);
+  rotateX(rp.pitch);
+  try {
+    rotateZ(rotationAngle);
+  } catch (e) {}
+  translate(0, 0, axialLen * 0.5 + axialOffset);
+  
+  const sx = radialMajor;
+  const sy = radialMinor;
+  const sz = axialLen * 0.5;
+  
+  noStroke();
+  
+  if (overlayShader) {
+    shader(overlayShader);
+    overlayShader.setUniform('uLightDirection', [0.2, -0.4, 1.0]);
+    overlayShader.setUniform('uBaseColor', [fillColor[0] / 255, fillColor[1] / 255, fillColor[2] / 255]);
+    overlayShader.setUniform('uOpacity', opacity / 255);
+    overlayShader.setUniform('uAmbient', 0.25);
+    overlayShader.setUniform('uDiffuse', 0.50);
+    overlayShader.setUniform('uSpecular', 0.25);
+    overlayShader.setUniform('uShininess', 48.0);
+    overlayShader.setUniform('uRimPower', 3.0);
+    overlayShader.setUniform('uRimIntensity', 0.35);
+    
+    try {
+      fill(fillColor[0], fillColor[1], fillColor[2], Math.round(opacity * 0.6));
+    } catch (e) {}
+    
+    drawPerfectSmoothEllipsoid(sx, sy, sz, OVERLAY_SPHERE_DETAIL, OVERLAY_SPHERE_DETAIL);
+    resetShader();
+  } else {
+    const shaded = useUniformLighting ? shadedColorUniform(fillColor, opacity) : shadedColorForAxis(fillColor, axisUnit, opacity);
+    ambientMaterial(shaded[0], shaded[1], shaded[2]);
+    specularMaterial(90, 90, 90);
+    shininess(30);
+    
+    push();
+    scale(sx, sy, sz);
+    try {
+      if (typeof sphereDetail === 'function') sphereDetail(OVERLAY_SPHERE_DETAIL);
+      fill(fillColor[0], fillColor[1], fillColor[2], Math.round(opacity * 0.6));
+    } catch (e) {}
+    sphere(1.0);
+    try {
+      noFill();
+    } catch (e) {}
+    pop();
+  }
+  
+  // Micro highlights
+  push();
+  try {
+    pointLight(180, 180, 180, 1.0, -1.0, 0.5);
+  } catch (e) {}
+  push();
+  translate(0.45, -0.45, 0);
+  specularMaterial(200, 200, 200);
+  shininess(60);
+  sphere(0.18);
+  pop();
+  pop();
+  
+  push();
+  try {
+    pointLight(150, 150, 150, -0.8, 0.6, -0.3);
+  } catch (e) {}
+  push();
+  translate(-0.35, 0.35, -0.1);
+  specularMaterial(180, 180, 180);
+  shininess(50);
+  sphere(0.15);
+  pop();
+  pop();
+  
+  try {
+    if (typeof sphereDetail === 'function') sphereDetail(sphereResolution);
+  } catch (e) {}
+  pop();
+}
+
+function drawLobeEllipsoid(axisVec, axialLen, radialRadius, fillColor, opacity = 140, axialOffset = 0, useUniformLighting = true) {
+  drawLobeEllipsoidBase(axisVec, axialLen, radialRadius, fillColor, opacity, axialOffset, useUniformLighting);
+}
+
+// ============================================
+// OVERLAY COMPUTATION
+// ============================================
+
+// Every step-th point of a cloud (at most OVERLAY_MAX_SAMPLES) for fitting the overlay shapes
+function downsampleForOverlay(srcPositions, srcPhases, count) {
+  const step = Math.max(1, Math.floor(count / OVERLAY_MAX_SAMPLES));
+  const sampled = new Float32Array(Math.ceil(count / step) * 3);
+  const sampledPhases = new Int8Array(Math.ceil(count / step));
+  let si = 0;
+  
+  for (let i = 0; i < count; i += step) {
+    const idx = i * 3;
+    if (srcPhases) sampledPhases[si / 3] = srcPhases[i];
+    sampled[si++] = srcPositions[idx];
+    sampled[si++] = srcPositions[idx + 1];
+    sampled[si++] = srcPositions[idx + 2];
+  }
+  
+  return { sampled, sampledPhases, count: Math.floor(si / 3) };
+}
+
+// Basic mode: overlay of the main cloud, for the orbital picked in the UI
+function computeOverlay() {
+  if (!overlayEnabled) {
+    overlayCache = null;
+    return;
+  }
+  
+  if (!positions || sampleCount <= 0) {
+    overlayCache = null;
+    return;
+  }
+  
+  const sample = downsampleForOverlay(positions, phases, sampleCount);
+  
+  setTimeout(() => {
+    const n = ui.nInput ? parseInt(ui.nInput.value(), 10) : 1;
+    const l = ui.lInput ? parseInt(ui.lInput.value(), 10) : 0;
+    const m = ui.mInput ? parseInt(ui.mInput.value(), 10) : 0;
+    
+    // Isosurface (also the only overlay for l > 2)
+    if (usesIsosurface(l, m)) {
+      overlayCache = { type: 'iso', data: buildIsosurfaceOverlay(n, l, m, isoEnclosedFraction()), color: DZ2_OVERLAY_COLOR };
+      return;
+    }
+    
+    overlayCache = buildOverlayCache(sample, l, m, 'kmeans');
+  }, 8);
+}
+
+// Complete mode: one overlay per orbital, fitted one per frame (stepInnerOverlayQueue)
+// so a configuration with many f orbitals doesn't stall the UI
+function computeInnerOverlays() {
+  for (const orbital of innerOrbitals) queueInnerOverlay(orbital, currentSamplingId);
+}
+
+function queueInnerOverlay(orbital, samplingId) {
+  if (innerOverlayQueue.some(entry => entry.orbital === orbital)) return;
+  innerOverlayQueue.push({ orbital, samplingId });
+}
+
+// Called from draw(); skips entries left over from an older sampling run
+function stepInnerOverlayQueue() {
+  while (innerOverlayQueue.length > 0) {
+    const { orbital, samplingId } = innerOverlayQueue.shift();
+    if (samplingId !== currentSamplingId || !overlayEnabled) continue;
+    safeCall(() => orbital.computeOverlay(), { where: 'Orbital.computeOverlay', n: orbital.n, l: orbital.l, m: orbital.m });
+    return;
+  }
+}
+
+// Recomputes whatever overlays the current mode shows, e.g. after a toggle
+function refreshOverlays() {
+  if (!overlayEnabled) return;
+  if ((window.orbitalMode || 'basic') === 'complete' && innerOrbitals.length > 0) computeInnerOverlays();
+  else if (sampleCount > 0 && !sampling) computeOverlay();
+}
+
+// Ellipsoid / ring fit of a downsampled cloud (s, p, d; see usesIsosurface for the rest).
+// kmeansStream names the seeded k-means sequence; color (default the overlay blue) is
+// the shape colour when phase colouring is off.
+function buildOverlayCache(sample, l, m, kmeansStream, color = null) {
+  const { sampled, sampledPhases, count: sampleCountSampled } = sample;
+  const cache = { type: null, data: null, color: color || DZ2_OVERLAY_COLOR };
+  const lenScale = lengthScaleForCharge();
+  const phaseAlong = (axisUnit) => phaseAlongAxis(sampled, sampledPhases, sampleCountSampled, axisUnit);
+  
+  // S-orbital
+  if (l === 0) {
+    const dists = [];
+    for (let i = 0; i < sampleCountSampled; i++) {
+      const idx = i * 3;
+      const r = Math.sqrt(sampled[idx] * sampled[idx] + sampled[idx + 1] * sampled[idx + 1] + sampled[idx + 2] * sampled[idx + 2]);
+      dists.push(r);
+    }
+    
+    let r95 = percentile(dists, OVERLAY_PERCENTILE);
+    r95 = Math.max(0.5 * lenScale, r95 * S_OVERLAY_SCALE);
+    cache.type = 's';
+    cache.data = { r95: r95, phase: majorityPhase(sampledPhases, sampleCountSampled) };
+    console.log(`📊 S-orbital overlay: r95=${r95.toFixed(1)}`);
+  }
+  // P-orbital
+  else if (l === 1) {
+    if (sampleCountSampled < 6) {
+      cache.type = 'p';
+      cache.data = {
+        lobes: [
+          { axisUnit: [1, 0, 0], t95: 8 * lenScale, r95: 2 * lenScale, phase: 0 },
+          { axisUnit: [-1, 0, 0], t95: 8 * lenScale, r95: 2 * lenScale, phase: 0 }
+        ]
+      };
+    } else {
+      const clusters = kmeans(sampled, sampleCountSampled, 2, 30, rngFor(samplingSeed, kmeansStream));
+      const lobesComputed = [];
+      
+      for (let c = 0; c < clusters.length; c++) {
+        const idxs = clusters[c];
+        if (!idxs || idxs.length < 6) continue;
+        
+        let sx = 0, sy = 0, sz = 0;
+        const axialVals = [];
+        const radialVals = [];
+        
+        for (let j = 0; j < idxs.length; j++) {
+          const i = idxs[j];
+          const x = sampled[i * 3], y = sampled[i * 3 + 1], z = sampled[i * 3 + 2];
+          sx += x;
+          sy += y;
+          sz += z;
+        }
+        
+        sx /= idxs.length;
+        sy /= idxs.length;
+        sz /= idxs.length;
+        
+        const axis = [sx, sy, sz];
+        const axisLen = Math.sqrt(axis[0] * axis[0] + axis[1] * axis[1] + axis[2] * axis[2]) || 1.0;
+        const axisUnit = [axis[0] / axisLen, axis[1] / axisLen, axis[2] / axisLen];
+        
+        for (let j = 0; j < idxs.length; j++) {
+          const i = idxs[j];
+          const x = sampled[i * 3], y = sampled[i * 3 + 1], z = sampled[i * 3 + 2];
+          const t = x * axisUnit[0] + y * axisUnit[1] + z * axisUnit[2];
+          axialVals.push(Math.abs(t));
+          const radialSq = x * x + y * y + z * z - t * t;
+          radialVals.push(Math.sqrt(Math.max(0, radialSq)));
+        }
+        
+        const t95 = percentile(axialVals, OVERLAY_PERCENTILE);
+        const r95 = percentile(radialVals, OVERLAY_PERCENTILE);
+        lobesComputed.push({
+          axisUnit: axisUnit,
+          t95: Math.max(0.01, t95),
+          r95: Math.max(0.01, r95)
+        });
+      }
+
+      if (lobesComputed.length < 2) {
+        const absX = [];
+        const rPerpX = [];
+        for (let i = 0; i < sampleCountSampled; i++) {
+          const x = sampled[i * 3], y = sampled[i * 3 + 1], z = sampled[i * 3 + 2];
+          absX.push(Math.abs(x));
+          rPerpX.push(Math.sqrt(y * y + z * z));
+        }
+        
+        let t95_px = absX.length ? percentile(absX, OVERLAY_PERCENTILE) : 8.0 * lenScale;
+        let r95_px = rPerpX.length ? percentile(rPerpX, OVERLAY_PERCENTILE) : 2.0 * lenScale;
+        t95_px = Math.max(0.01, t95_px * P_PX_AXIAL_BOOST);
+        r95_px = Math.max(0.01, r95_px * P_PX_RADIAL_BOOST);
+        
+        lobesComputed.push({ axisUnit: [1, 0, 0], t95: t95_px, r95: r95_px });
+        lobesComputed.push({ axisUnit: [-1, 0, 0], t95: t95_px, r95: r95_px });
+      }
+      
+      let bestIdx = -1;
+      let bestAlign = -1;
+      for (let i = 0; i < lobesComputed.length; i++) {
+        const ax = lobesComputed[i].axisUnit;
+        const align = Math.abs(ax[0]);
+        if (align > bestAlign) {
+          bestAlign = align;
+          bestIdx = i;
+        }
+      }
+      
+      let canonicalT = null;
+      let canonicalR = null;
+      
+      if (bestIdx >= 0) {
+        canonicalT = lobesComputed[bestIdx].t95;
+        canonicalR = lobesComputed[bestIdx].r95;
+      } else {
+        const absX = [];
+        const rPerpX = [];
+        for (let i = 0; i < sampleCountSampled; i++) {
+          const x = sampled[i * 3], y = sampled[i * 3 + 1], z = sampled[i * 3 + 2];
+          absX.push(Math.abs(x));
+          rPerpX.push(Math.sqrt(y * y + z * z));
+        }
+        
+        canonicalT = absX.length ? percentile(absX, OVERLAY_PERCENTILE) : 8.0 * lenScale;
+        canonicalR = rPerpX.length ? percentile(rPerpX, OVERLAY_PERCENTILE) : 2.0 * lenScale;
+        canonicalT = Math.max(0.01, canonicalT * P_PX_AXIAL_BOOST);
+        canonicalR = Math.max(0.01, canonicalR * P_PX_RADIAL_BOOST);
+      }
+      
+      const lobesFinal = [];
+      for (let i = 0; i < lobesComputed.length; i++) {
+        const axUnit = lobesComputed[i].axisUnit;
+        lobesFinal.push({
+          axisUnit: axUnit,
+          t95: canonicalT,
+          r95: canonicalR,
+          phase: phaseAlong(axUnit)
+        });
+      }
+      
+      if (lobesFinal.length === 1) {
+        const ax = lobesFinal[0].axisUnit;
+        const opposite = [-ax[0], -ax[1], -ax[2]];
+        lobesFinal.push({
+          axisUnit: opposite,
+          t95: canonicalT,
+          r95: canonicalR,
+          phase: phaseAlong(opposite)
+        });
+      }
+      
+      cache.type = 'p';
+      cache.data = { lobes: lobesFinal };
+      console.log(`📊 P-orbital overlay: axial=${canonicalT.toFixed(1)}, radial=${canonicalR.toFixed(1)}`);
+    }
+  }
+  // D-orbital (continued in next section due to length)
+  else if (l === 2) {
+    if (m === 0) {
+      // Dz² orbital with ring
+      const posAxial = [];
+      const negAxial = [];
+      const radialXYAll = [];
+      const radialXYEquatorial = [];
+      
+      for (let i = 0; i < sampleCountSampled; i++) {
+        const x = sampled[i * 3], y = sampled[i * 3 + 1], z = sampled[i * 3 + 2];
+        const rxy = Math.sqrt(x * x + y * y);
+        if (z >= 0) posAxial.push(z);
+        else negAxial.push(-z);
+        radialXYAll.push(rxy);
+      }
+      
+      const t95posRaw = posAxial.length ? percentile(posAxial, OVERLAY_PERCENTILE) : 0;
+      const t95negRaw = negAxial.length ? percentile(negAxial, OVERLAY_PERCENTILE) : 0;
+      const t95pos = Math.max(1.0 * lenScale, t95posRaw * DZ_LOBE_SCALE * LOBE_Z_SHRINK * LOBE_AXIAL_EXTEND);
+      const t95neg = Math.max(1.0 * lenScale, t95negRaw * DZ_LOBE_SCALE * LOBE_Z_SHRINK * LOBE_AXIAL_EXTEND);
+      
+      const lobeRadial95 = radialXYAll.length ? percentile(radialXYAll, OVERLAY_PERCENTILE) * LOBE_RADIAL_PERCENTILE_MULT : 2.0 * lenScale;
+      const lobeRadial = Math.max(0.9 * lenScale, lobeRadial95 * LOBE_RADIAL_EXTRA_GROW);
+      
+      let axialOffsetPos = t95pos * LOBE_Z_OFFSET_MULT;
+      let axialOffsetNeg = t95neg * LOBE_Z_OFFSET_MULT;
+      axialOffsetPos *= DZ2_AXIAL_OFFSET_SCALE;
+      axialOffsetNeg *= DZ2_AXIAL_OFFSET_SCALE;
+      
+      const eqThreshold = Math.max(0.2 * Math.max(t95posRaw, t95negRaw), 1.0 * lenScale);
+      let ringPhaseSum = 0;
+      for (let i = 0; i < sampleCountSampled; i++) {
+        const x = sampled[i * 3], y = sampled[i * 3 + 1], z = sampled[i * 3 + 2];
+        if (Math.abs(z) <= eqThreshold) {
+          radialXYEquatorial.push(Math.sqrt(x * x + y * y));
+          ringPhaseSum += sampledPhases[i];
+        }
+      }
+      
+      let ringInnerRadius, ringOuterRadius;
+      if (radialXYEquatorial.length >= 8) {
+        ringInnerRadius = Math.max((NUCLEUS_RADIUS + ELECTRON_MIN_GAP) * lenScale, percentile(radialXYEquatorial, OVERLAY_RING_INNER_P));
+        ringOuterRadius = Math.max(ringInnerRadius + 0.001, percentile(radialXYEquatorial, OVERLAY_RING_OUTER_P));
+      } else {
+        ringInnerRadius = RING_DEFAULT_INNER_DIAM * 0.5 * lenScale;
+        ringOuterRadius = RING_DEFAULT_OUTER_DIAM * 0.5 * lenScale;
+      }
+      
+      ringInnerRadius *= DZ2_RING_SHRINK_FACTOR;
+      ringOuterRadius *= DZ2_RING_SHRINK_FACTOR;
+      
+      let tubeRadius = Math.max(1.0 * lenScale, (ringOuterRadius - ringInnerRadius) * 0.5);
+      const majorRadius = (ringInnerRadius + ringOuterRadius) * 0.5;
+      
+      cache.type = 'dz2';
+      cache.data = {
+        t80pos: t95pos,
+        t80neg: t95neg,
+        lobeRadial: lobeRadial,
+        axialOffsetPos: axialOffsetPos,
+        axialOffsetNeg: axialOffsetNeg,
+        phasePos: phaseAlong([0, 0, 1]),
+        phaseNeg: phaseAlong([0, 0, -1]),
+        ring: {
+          innerRadius: ringInnerRadius,
+          outerRadius: ringOuterRadius,
+          majorRadius: majorRadius,
+          tubeRadius: tubeRadius,
+          color: color ? color.slice() : RING_COLOR.slice(),
+          alpha: RING_ALPHA,
+          phase: Math.sign(ringPhaseSum)
+        }
+      };
+      
+      console.log(`📊 Dz² overlay: axial=${t95pos.toFixed(1)}/${t95neg.toFixed(1)}, radial=${lobeRadial.toFixed(1)}, ring=${ringInnerRadius.toFixed(1)}-${ringOuterRadius.toFixed(1)}`);
+    } else {
+      // Other D-orbitals (dxy, dxz, dyz, dx2-y2)
+      if (sampleCountSampled < 8) {
+        const fallbackAxes = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0]];
+        const allAxial = [];
+        const allRadial = [];
+        
+        for (let i = 0; i < sampleCountSampled; i++) {
+          const x = sampled[i * 3], y = sampled[i * 3 + 1], z = sampled[i * 3 + 2];
+          allRadial.push(Math.sqrt(x * x + y * y));
+          allAxial.push(Math.abs(z));
+        }
+        
+        const globalT95 = Math.max(0.01, percentile(allAxial, OVERLAY_PERCENTILE) * 1.05);
+        const globalRBase = Math.max(0.01, percentile(allRadial, OVERLAY_PERCENTILE) * 1.05);
+        const globalR95 = globalRBase * D_RADIAL_SHRINK_FACTOR * D_RADIAL_EXPAND_FACTOR;
+        
+        const processedLobes = [];
+        for (let a of fallbackAxes) {
+          processedLobes.push({
+            axisUnit: a,
+            axial: globalT95,
+            radialMajor: globalR95,
+            radialMinor: globalR95,
+            radialAngle: 0,
+            nearSideCompression: Math.max(0.0, globalT95 * 0.06),
+            phase: phaseAlong(a)
+          });
+        }
+        
+        cache.type = 'd';
+        cache.data = { lobes: processedLobes, alpha: DZ2_OVERLAY_ALPHA };
+      } else {
+        const k = 4;
+        let clusters = kmeans(sampled, sampleCountSampled, k, 40, rngFor(samplingSeed, kmeansStream));
+        const minClusterSize = Math.max(4, Math.floor(sampleCountSampled * 0.02));
+        let needFallback = false;
+        
+        for (let c = 0; c < clusters.length; c++) {
+          if (clusters[c].length < minClusterSize) {
+            needFallback = true;
+            break;
+          }
+        }
+        
+        if (needFallback) {
+          clusters = kmeans(sampled, sampleCountSampled, k, 60, rngFor(samplingSeed, `${kmeansStream}-retry`));
+        }
+        
+        const lobes = [];
+        const COVER_P = OVERLAY_PERCENTILE;
+        
+        for (let c = 0; c < clusters.length; c++) {
+          const idxs = clusters[c];
+          if (!idxs || idxs.length < 4) continue;
+          
+          let sx = 0, sy = 0, sz = 0;
+          const axialVals = [];
+          const proj1 = [];
+          const proj2 = [];
+          const radialValsPerSample = [];
+          
+          for (let j = 0; j < idxs.length; j++) {
+            const i = idxs[j];
+            sx += sampled[i * 3];
+            sy += sampled[i * 3 + 1];
+            sz += sampled[i * 3 + 2];
+          }
+          
+          sx /= idxs.length;
+          sy /= idxs.length;
+          sz /= idxs.length;
+          
+          const axis = [sx, sy, sz];
+          const axisLen = Math.sqrt(axis[0] * axis[0] + axis[1] * axis[1] + axis[2] * axis[2]) || 1.0;
+          const axisUnit = [axis[0] / axisLen, axis[1] / axisLen, axis[2] / axisLen];
+          const basis = makePerpBasis(axisUnit);
+          
+          for (let j = 0; j < idxs.length; j++) {
+            const i = idxs[j];
+            const x = sampled[i * 3], y = sampled[i * 3 + 1], z = sampled[i * 3 + 2];
+            const t = x * axisUnit[0] + y * axisUnit[1] + z * axisUnit[2];
+            axialVals.push(Math.abs(t));
+            proj1.push(Math.abs(dot([x, y, z], basis.v1)));
+            proj2.push(Math.abs(dot([x, y, z], basis.v2)));
+            const radialSq = x * x + y * y + z * z - t * t;
+            radialValsPerSample.push(Math.sqrt(Math.max(0, radialSq)));
+          }
+          
+          const t95 = Math.max(0.01, percentile(axialVals, COVER_P));
+          const r1_95 = Math.max(0.01, percentile(proj1, COVER_P));
+          const r2_95 = Math.max(0.01, percentile(proj2, COVER_P));
+          
+          let rotationAngle = 0;
+          if (r2_95 > r1_95) rotationAngle = Math.PI * 0.5;
+          
+          let preciseAngle = rotationAngle;
+          if (idxs.length >= 8) {
+            const p1 = [], p2 = [];
+            for (let j = 0; j < idxs.length; j++) {
+              const ii = idxs[j];
+              const x = sampled[ii * 3], y = sampled[ii * 3 + 1], z = sampled[ii * 3 + 2];
+              p1.push(dot([x, y, z], basis.v1));
+              p2.push(dot([x, y, z], basis.v2));
+            }
+            const pc = pca2D(p1.map(Math.abs), p2.map(Math.abs));
+            if (pc && typeof pc.angle === 'number') preciseAngle = pc.angle;
+          }
+
+          lobes.push({
+            axisUnit: axisUnit,
+            t90: t95,
+            proj_r1_90: r1_95,
+            proj_r2_90: r2_95,
+            radialAngle: preciseAngle,
+            radialSamples: radialValsPerSample.slice(),
+            idxs: idxs.slice()
+          });
+        }
+
+        if (lobes.length < 4) {
+          lobes.length = 0;
+          const fallbackAxes = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0]];
+          const allAxial = [];
+          const allRadial = [];
+          
+          for (let i = 0; i < sampleCountSampled; i++) {
+            const x = sampled[i * 3], y = sampled[i * 3 + 1], z = sampled[i * 3 + 2];
+            allRadial.push(Math.sqrt(x * x + y * y));
+            allAxial.push(Math.abs(z));
+          }
+          
+          const globalT95 = Math.max(0.01, percentile(allAxial, OVERLAY_PERCENTILE) * 1.05);
+          const globalRBase = Math.max(0.01, percentile(allRadial, OVERLAY_PERCENTILE) * 1.05);
+          const globalR95 = globalRBase * D_RADIAL_SHRINK_FACTOR * D_RADIAL_EXPAND_FACTOR;
+          
+          for (let a of fallbackAxes) {
+            lobes.push({
+              axisUnit: a,
+              t90: globalT95,
+              radialMajor: globalR95,
+              radialMinor: globalR95,
+              radialAngle: 0,
+              idxs: []
+            });
+          }
+        }
+
+        const axialAll = [];
+        const radialAll = [];
+        
+        for (let li = 0; li < lobes.length; li++) {
+          const L = lobes[li];
+          const idxs = L.idxs || [];
+          
+          if (idxs.length > 0) {
+            for (let j = 0; j < idxs.length; j++) {
+              const ii = idxs[j];
+              const x = sampled[ii * 3], y = sampled[ii * 3 + 1], z = sampled[ii * 3 + 2];
+              const t = x * L.axisUnit[0] + y * L.axisUnit[1] + z * L.axisUnit[2];
+              axialAll.push(Math.abs(t));
+              const radialSq = x * x + y * y + z * z - t * t;
+              radialAll.push(Math.sqrt(Math.max(0, radialSq)));
+            }
+          } else {
+            axialAll.push(L.t90 || 0.0);
+            radialAll.push(Math.max(L.proj_r1_90 || 0.0, L.proj_r2_90 || 0.0));
+          }
+        }
+
+        const COVER_P_GLOBAL = OVERLAY_PERCENTILE;
+        let canonicalAxial = axialAll.length ? percentile(axialAll, COVER_P_GLOBAL) : 8.0 * lenScale;
+        let canonicalRadialBase = radialAll.length ? percentile(radialAll, COVER_P_GLOBAL) : 2.0 * lenScale;
+        canonicalAxial = Math.max(0.01, canonicalAxial);
+        const canonicalRadial = Math.max(0.01, canonicalRadialBase * D_RADIAL_SHRINK_FACTOR * D_RADIAL_EXPAND_FACTOR);
+
+        const processedLobes = [];
+        for (let i = 0; i < lobes.length; i++) {
+          const L = lobes[i];
+          const axisUnit = L.axisUnit;
+          let rotAng = (typeof L.radialAngle === 'number') ? L.radialAngle : 0;
+          rotAng = ((rotAng + Math.PI) % (2 * Math.PI)) - Math.PI;
+          const nearSideCompression = Math.max(0.0, canonicalAxial * 0.06);
+          
+          processedLobes.push({
+            axisUnit: axisUnit,
+            axial: canonicalAxial,
+            radialMajor: canonicalRadial,
+            radialMinor: canonicalRadial,
+            radialAngle: rotAng,
+            nearSideCompression: nearSideCompression,
+            phase: phaseAlong(axisUnit)
+          });
+        }
+
+        cache.type = 'd';
+        cache.data = { lobes: processedLobes, alpha: DZ2_OVERLAY_ALPHA };
+        console.log(`📊 D-orbital overlay: axial=${canonicalAxial.toFixed(1)}, radial=${canonicalRadial.toFixed(1)}, lobes=${processedLobes.length}`);
+      }
+    }
+  }
+  
+  return cache;
+}
+
+// ============================================
+// ISOSURFACE OVERLAY
+// ============================================
+
+// Ellipsoid lobes only model real s/p/d shapes; everything else gets the isosurface
+function usesIsosurface(l, m) {
+  return isosurfaceEnabled || l > 2 || (isComplexBasis() && m !== 0);
+}
+
+function isoEnclosedFraction() {
+  let pct = ui.isoLevelInput ? parseFloat(ui.isoLevelInput.value()) : ISO_DEFAULT_PERCENT;
+  if (!isFinite(pct)) pct = ISO_DEFAULT_PERCENT;
+  return constrain(pct, 1, 99) / 100;
+}
+
+// Basic-mode isosurface, cached on (n, l, m, basis, Z_eff, fraction)
+function buildIsosurfaceOverlay(n, l, m, fraction) {
+  const key = isosurfaceKey(n, l, m, fraction);
+  if (isoMeshCache && isoMeshCache.key === key) return isoMeshCache.data;
+  
+  const data = computeIsosurfaceMeshes(n, l, m, fraction, key);
+  disposeIsoMeshCache();
+  isoMeshCache = { key, data };
+  return data;
+}
+
+function isosurfaceKey(n, l, m, fraction) {
+  return `${n}|${l}|${m}|${isComplexBasis() ? 'c' : 'r'}|${effectiveChargeFor(n, l)}|${fraction}`;
+}
+
+// Surfaces |ψ| = level enclosing the requested probability, one mesh per phase
+// so the lobes can be coloured by sign. The 64³ grid and marching cubes run on the
+// sampler worker (or a timeout without one), never inside draw(); the returned
+// data has no meshes until they arrive.
+function computeIsosurfaceMeshes(n, l, m, fraction, key) {
+  const zEff = effectiveChargeFor(n, l);
+  const complexBasis = isComplexBasis();
+  const radialScale = a0 * ELECTRON_DISTANCE_MULTIPLIER / zEff;
+  const params = { n, l, m, fraction, complexBasis, halfExtent: radialQuantile(n, l, 0.999) * 1.1, res: ISO_GRID_RES };
+  const data = { meshes: [], fraction, level: 0, pending: true, disposed: false, n, l, m, complexBasis, radialScale, halfExtent: params.halfExtent };
+  
+  const onReady = (result) => fillIsosurfaceData(data, result, radialScale, complexBasis && m !== 0);
+  const onMainThread = () => setTimeout(() => {
+    if (data.disposed) return;
+    safeCall(() => onReady(extractIsosurfaces(params.n, params.l, params.m, params.halfExtent, params.res, params.fraction, params.complexBasis)), { where: 'isosurface', key });
+  }, 0);
+  
+  if (!requestWorkerIsosurface(params, onReady, onMainThread)) onMainThread();
+  return data;
+}
+
+function fillIsosurfaceData(data, result, radialScale, signless) {
+  data.pending = false;
+  if (data.disposed) return;
+  
+  data.level = result.level;
+  data.meshes = result.surfaces.map(surface => ({
+    phase: signless ? 0 : surface.sign,
+    mesh: { positions: surface.positions, normals: surface.normals, indices: surface.indices },
+    radialScale,
+    triangles: surface.indices.length / 3,
+    buffers: null, // IsoMeshBuffers, created on first draw
+    geometry: null // p5.Geometry, only without overlayMeshProgram
+  }));
+  
+  const triCount = data.meshes.reduce((acc, e) => acc + e.triangles, 0);
+  console.log(`📊 Isosurface overlay: ${Math.round(data.fraction * 100)}% enclosed, ${triCount} triangles`);
+}
+
+function isoMeshToGeometry(mesh, scale, gid) {
+  const geom = new p5.Geometry(1, 1);
+  geom.gid = gid;
+  
+  const P = mesh.positions, N = mesh.normals, I = mesh.indices;
+  for (let i = 0; i < P.length; i += 3) {
+    geom.vertices.push(createVector(P[i] * scale, P[i + 1] * scale, P[i + 2] * scale));
+    geom.vertexNormals.push(createVector(N[i], N[i + 1], N[i + 2]));
+  }
+  for (let i = 0; i < I.length; i += 3) {
+    geom.faces.push([I[i], I[i + 1], I[i + 2]]);
+  }
+  
+  return geom;
+}
+
+function disposeIsoMeshCache() {
+  if (!isoMeshCache) return;
+  freeIsosurfaceMeshes(isoMeshCache.data);
+  isoMeshCache = null;
+}
+
+function freeIsosurfaceMeshes(data) {
+  data.disposed = true;
+  for (const entry of data.meshes) {
     try {
-      fill(fillColor[0], fillColor[1], fillColor[2], Math.round(opacity * 0.6));
+      if (entry.buffers) entry.buffers.dispose(drawingContext);
+      if (entry.geometry && typeof freeGeometry === 'function') freeGeometry(entry.geometry);
     } catch (e) {}
+    entry.buffers = null;
+    entry.geometry = null;
+  }
+}
+
+function drawIsosurfaceOverlay(data, opacity, color = DZ2_OVERLAY_COLOR) {
+  if (!data || !data.meshes) return;
+  
+  for (const entry of data.meshes) {
+    const col = overlayPhaseColor(entry.phase, color);
     
-    drawPerfectSmoothEllipsoid(sx, sy, sz, OVERLAY_SPHERE_DETAIL, OVERLAY_SPHERE_DETAIL);
-    resetShader();
-  } else {
-    const shaded = useUniformLighting ? shadedColorUniform(fillColor, opacity) : shadedColorForAxis(fillColor, axisUnit, opacity);
-    ambientMaterial(shaded[0], shaded[1], shaded[2]);
-    specularMaterial(90, 90, 90);
-    shininess(30);
+    if (overlayMeshProgram) {
+      const gl = drawingContext;
+      if (!entry.buffers) entry.buffers = new IsoMeshBuffers(gl, entry.mesh, entry.radialScale, overlayMeshProgram.uintIndices);
+      entry.buffers.draw(gl, overlayMeshProgram, {
+        uLightDirection: [0.2, -0.4, 1.0],
+        uBaseColor: [col[0] / 255, col[1] / 255, col[2] / 255],
+        uOpacity: opacity / 255,
+        uAmbient: 0.25,
+        uDiffuse: 0.50,
+        uSpecular: 0.25,
+        uShininess: 48.0,
+        uRimPower: 3.0,
+        uRimIntensity: 0.35
+      });
+      continue;
+    }
+    
+    // No raw program: p5 geometry with its own lighting
+    if (!entry.geometry) entry.geometry = isoMeshToGeometry(entry.mesh, entry.radialScale, `iso|${++isoGeometrySeq}`);
     
     push();
-    scale(sx, sy, sz);
-    try {
-      if (typeof sphereDetail === 'function') sphereDetail(OVERLAY_SPHERE_DETAIL);
-      fill(fillColor[0], fillColor[1], fillColor[2], Math.round(opacity * 0.6));
-    } catch (e) {}
-    sphere(1.0);
+    noStroke();
+    const shaded = shadedColorUniform(col, opacity);
+    ambientMaterial(Math.round(shaded[0] * 0.9), Math.round(shaded[1] * 0.9), Math.round(shaded[2] * 0.9));
+    specularMaterial(100, 100, 100);
+    shininess(20);
+    
     try {
-      noFill();
+      fill(col[0], col[1], col[2], opacity);
     } catch (e) {}
+    
+    model(entry.geometry);
     pop();
   }
-  
-  // Micro highlights
-  push();
-  try {
-    pointLight(180, 180, 180, 1.0, -1.0, 0.5);
-  } catch (e) {}
-  push();
-  translate(0.45, -0.45, 0);
-  specularMaterial(200, 200, 200);
-  shininess(60);
-  sphere(0.18);
-  pop();
-  pop();
-  
-  push();
+}
+
+// ============================================
+// RADIAL PLOTS PANEL
+// ============================================
+
+const RADIAL_PLOT_SAMPLES = 400;
+const RADIAL_HIST_BINS = 60;
+const RADIAL_PLOT_REFRESH_MS = 250; // Histogram refresh rate while points are still streaming in
+const RADIAL_R_COLOR = [120, 200, 255];
+const RADIAL_R2_COLOR = [190, 140, 255];
+const RADIAL_P_COLOR = [255, 200, 90];
+const RADIAL_NODE_COLOR = [255, 110, 110];
+
+function translateUI(key, fallback) {
   try {
-    pointLight(150, 150, 150, -0.8, 0.6, -0.3);
+    if (typeof window.translateKey === 'function') {
+      const text = window.translateKey(key);
+      if (text) return text;
+    }
   } catch (e) {}
-  push();
-  translate(-0.35, 0.35, -0.1);
-  specularMaterial(180, 180, 180);
-  shininess(50);
-  sphere(0.15);
-  pop();
-  pop();
+  return fallback;
+}
+
+function cssColor(c, alpha = 1) {
+  return `rgba(${c[0]}, ${c[1]}, ${c[2]}, ${alpha})`;
+}
+
+// Radial nodes of R_nl in Bohr radii: roots of the Laguerre factor, bracketed on a
+// grid then bisected (the e^{-ρ/2} factor would underflow the sign test far out)
+function radialNodePositions(n, l, rMax) {
+  const nodes = [];
+  const k = n - l - 1;
+  if (k <= 0) return nodes;
+  
+  const f = r => generalizedLaguerre(k, 2 * l + 1, 2 * r / n);
+  const steps = 2000;
+  const dr = rMax / steps;
+  let prev = f(0);
+  
+  for (let i = 1; i <= steps && nodes.length < k; i++) {
+    const cur = f(i * dr);
+    if (prev === 0 || prev * cur < 0) {
+      let lo = (i - 1) * dr, hi = i * dr;
+      for (let it = 0; it < 40; it++) {
+        const mid = 0.5 * (lo + hi);
+        if (f(lo) * f(mid) <= 0) hi = mid;
+        else lo = mid;
+      }
+      nodes.push(0.5 * (lo + hi));
+    }
+    prev = cur;
+  }
   
-  try {
-    if (typeof sphereDetail === 'function') sphereDetail(sphereResolution);
-  } catch (e) {}
-  pop();
+  return nodes;
 }
 
-function drawLobeEllipsoidBase3(axisVec, axialLen, radialMajor, radialMinor, rotationAngle = 0, fillColor = DZ2_OVERLAY_COLOR, opacity = 140, axialOffset = 0, useUniformLighting = false) {
-  if (!axisVec) return;
+// Curves and histogram in physical a0 (Bohr radii divided by Z_eff); R is scaled to
+// max |R| = 1, |R|² and P(r) to a peak of 1, and the histogram shares P's scale
+function computeRadialPlotData(src, points, count) {
+  const { n, l, zEff, radialScale } = src;
+  const rMaxBohr = radialQuantile(n, l, 0.995) * 1.1;
+  const xMax = rMaxBohr / zEff;
+  
+  const xs = new Float64Array(RADIAL_PLOT_SAMPLES + 1);
+  const R = new Float64Array(RADIAL_PLOT_SAMPLES + 1);
+  const R2 = new Float64Array(RADIAL_PLOT_SAMPLES + 1);
+  const P = new Float64Array(RADIAL_PLOT_SAMPLES + 1);
+  let maxR = 1e-30, maxR2 = 1e-30, maxP = 1e-30, peakX = 0;
+  
+  for (let i = 0; i <= RADIAL_PLOT_SAMPLES; i++) {
+    const rBohr = rMaxBohr * i / RADIAL_PLOT_SAMPLES;
+    const v = radialWavefunction(n, l, rBohr);
+    xs[i] = rBohr / zEff;
+    R[i] = v;
+    R2[i] = v * v;
+    P[i] = rBohr * rBohr * v * v;
+    maxR = Math.max(maxR, Math.abs(v));
+    maxR2 = Math.max(maxR2, R2[i]);
+    if (P[i] > maxP) {
+      maxP = P[i];
+      peakX = xs[i];
+    }
+  }
   
-  const len = Math.sqrt(axisVec[0] * axisVec[0] + axisVec[1] * axisVec[1] + axisVec[2] * axisVec[2]);
-  if (len === 0) return;
+  let minY = 0;
+  for (let i = 0; i <= RADIAL_PLOT_SAMPLES; i++) {
+    R[i] /= maxR;
+    R2[i] /= maxR2;
+    P[i] /= maxP;
+    minY = Math.min(minY, R[i]);
+  }
   
-  const axisUnit = [axisVec[0] / len, axisVec[1] / len, axisVec[2] / len];
-  const rp = yawPitchFromVector(axisUnit);
+  // P(r) integrates to 1 over Bohr radii, so bin counts become c / (N · Δr_bohr)
+  const hist = new Float64Array(RADIAL_HIST_BINS);
+  const binBohr = rMaxBohr / RADIAL_HIST_BINS;
+  let inRange = 0;
+  if (points && count > 0 && radialScale > 0) {
+    for (let i = 0; i < count; i++) {
+      const idx = i * 3;
+      const x = points[idx], y = points[idx + 1], z = points[idx + 2];
+      const rBohr = Math.sqrt(x * x + y * y + z * z) / radialScale;
+      const bin = Math.floor(rBohr / binBohr);
+      if (bin >= 0 && bin < RADIAL_HIST_BINS) {
+        hist[bin]++;
+        inRange++;
+      }
+    }
+    for (let b = 0; b < RADIAL_HIST_BINS; b++) hist[b] /= count * binBohr * maxP;
+  }
   
-  push();
-  rotateY(rp.yaw);
-  rotateX(rp.pitch);
-  try {
-    rotateZ(rotationAngle);
-  } catch (e) {}
-  translate(0, 0, axialLen * 0.5 + axialOffset);
+  return {
+    xs, R, R2, P, hist, xMax, minY,
+    histCount: inRange,
+    nodes: radialNodePositions(n, l, rMaxBohr).map(r => r / zEff),
+    meanX: (3 * n * n - l * (l + 1)) / (2 * zEff),
+    peakX
+  };
+}
+
+function niceTickStep(range, targetTicks = 6) {
+  const raw = range / Math.max(1, targetTicks);
+  const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+  const norm = raw / mag;
+  const nice = norm < 1.5 ? 1 : (norm < 3 ? 2 : (norm < 7 ? 5 : 10));
+  return nice * mag;
+}
+
+// Called every frame while the panel is open; only repaints when the orbital, the
+// sample count, the language or the canvas size changed
+function updateRadialPlotPanel() {
+  const canvasEl = document.getElementById('radialPlotCanvas');
+  if (!canvasEl || !mainCloudInfo) return;
+  
+  const dpr = window.devicePixelRatio || 1;
+  const cssW = canvasEl.clientWidth || 380;
+  const cssH = canvasEl.clientHeight || 200;
+  const src = mainCloudInfo;
+  const count = positions ? Math.min(sampleCount, positions.length / 3) : 0;
+  const key = `${src.n}|${src.l}|${src.zEff}|${count}|${document.documentElement.lang}|${cssW}x${cssH}@${dpr}`;
+  if (key === radialPlotKey) return;
+  
+  const now = performance.now();
+  if (sampling && radialPlotKey !== null && now - radialPlotLastMs < RADIAL_PLOT_REFRESH_MS) return;
+  radialPlotKey = key;
+  radialPlotLastMs = now;
+  
+  if (canvasEl.width !== Math.round(cssW * dpr) || canvasEl.height !== Math.round(cssH * dpr)) {
+    canvasEl.width = Math.round(cssW * dpr);
+    canvasEl.height = Math.round(cssH * dpr);
+  }
   
-  const sx = radialMajor;
-  const sy = radialMinor;
-  const sz = axialLen * 0.5;
+  const ctx = canvasEl.getContext('2d');
+  if (!ctx) return;
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  drawRadialPlot(ctx, cssW, cssH, src, computeRadialPlotData(src, positions, count));
+}
+
+function drawRadialPlot(ctx, w, h, src, data) {
+  const padL = 10, padR = 10, padT = 22, padB = 30;
+  const plotW = w - padL - padR;
+  const plotH = h - padT - padB;
+  const yMin = data.minY - 0.05, yMax = 1.08;
+  const sx = x => padL + (x / data.xMax) * plotW;
+  const sy = y => padT + (yMax - y) / (yMax - yMin) * plotH;
+  
+  ctx.clearRect(0, 0, w, h);
+  ctx.font = `10px ${FONT_FALLBACK_NAME}`;
+  ctx.textBaseline = 'middle';
+  
+  // Orbital and charge caption
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+  ctx.textAlign = 'left';
+  ctx.fillText(`${getSubshellLabel(src.n, src.l)}  ·  Z_eff = ${src.zEff.toFixed(2)}`, padL, 9);
+  
+  // Histogram of the sampled radii
+  if (data.histCount > 0) {
+    const binW = data.xMax / RADIAL_HIST_BINS;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.16)';
+    for (let b = 0; b < RADIAL_HIST_BINS; b++) {
+      const v = Math.min(data.hist[b], yMax);
+      if (v <= 0) continue;
+      const x0 = sx(b * binW), x1 = sx((b + 1) * binW);
+      ctx.fillRect(x0, sy(v), Math.max(1, x1 - x0 - 1), sy(0) - sy(v));
+    }
+  }
   
-  noStroke();
+  // Zero line and x axis ticks
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(padL, sy(0));
+  ctx.lineTo(padL + plotW, sy(0));
+  ctx.stroke();
+  
+  const step = niceTickStep(data.xMax);
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+  ctx.textAlign = 'center';
+  for (let t = 0; t <= data.xMax + 1e-9; t += step) {
+    const x = sx(t);
+    ctx.beginPath();
+    ctx.moveTo(x, padT + plotH);
+    ctx.lineTo(x, padT + plotH + 3);
+    ctx.stroke();
+    ctx.fillText(String(+t.toFixed(3)), x, padT + plotH + 10);
+  }
+  ctx.fillText(translateUI('radialAxis', 'r (a₀)'), padL + plotW / 2, h - 7);
+  
+  // ⟨r⟩ dashed, most probable r solid
+  const markLine = (x, color, dashed) => {
+    if (!(x >= 0 && x <= data.xMax)) return;
+    ctx.save();
+    ctx.strokeStyle = cssColor(color, 0.9);
+    ctx.setLineDash(dashed ? [4, 3] : []);
+    ctx.beginPath();
+    ctx.moveTo(sx(x), padT);
+    ctx.lineTo(sx(x), padT + plotH);
+    ctx.stroke();
+    ctx.restore();
+  };
+  markLine(data.meanX, [255, 255, 255], true);
+  markLine(data.peakX, RADIAL_P_COLOR, false);
+  
+  // Curves
+  const curve = (arr, color) => {
+    ctx.strokeStyle = cssColor(color, 0.95);
+    ctx.lineWidth = 1.6;
+    ctx.beginPath();
+    for (let i = 0; i < arr.length; i++) {
+      const x = sx(data.xs[i]), y = sy(arr[i]);
+      if (i === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    }
+    ctx.stroke();
+  };
+  curve(data.R, RADIAL_R_COLOR);
+  curve(data.R2, RADIAL_R2_COLOR);
+  curve(data.P, RADIAL_P_COLOR);
+  
+  // Node markers on the zero line
+  ctx.fillStyle = cssColor(RADIAL_NODE_COLOR, 1);
+  for (const x of data.nodes) {
+    ctx.beginPath();
+    ctx.arc(sx(x), sy(0), 3, 0, Math.PI * 2);
+    ctx.fill();
+  }
   
-  if (overlayShader) {
-    shader(overlayShader);
-    overlayShader.setUniform('uLightDirection', [0.2, -0.4, 1.0]);
-    overlayShader.setUniform('uBaseColor', [fillColor[0] / 255, fillColor[1] / 255, fillColor[2] / 255]);
-    overlayShader.setUniform('uOpacity', opacity / 255);
-    overlayShader.setUniform('uAmbient', 0.25);
-    overlayShader.setUniform('uDiffuse', 0.50);
-    overlayShader.setUniform('uSpecular', 0.25);
-    overlayShader.setUniform('uShininess', 48.0);
-    overlayShader.setUniform('uRimPower', 3.0);
-    overlayShader.setUniform('uRimIntensity', 0.35);
-    
-    try {
-      fill(fillColor[0], fillColor[1], fillColor[2], Math.round(opacity * 0.6));
-    } catch (e) {}
-    
-    drawPerfectSmoothEllipsoid(sx, sy, sz, OVERLAY_SPHERE_DETAIL, OVERLAY_SPHERE_DETAIL);
-    resetShader();
-  } else {
-    const shaded = useUniformLighting ? shadedColorUniform(fillColor, opacity) : shadedColorForAxis(fillColor, axisUnit, opacity);
-    ambientMaterial(shaded[0], shaded[1], shaded[2]);
-    specularMaterial(90, 90, 90);
-    shininess(30);
+  // Legend (top right)
+  const legend = [
+    { color: RADIAL_R_COLOR, text: 'R(r)' },
+    { color: RADIAL_R2_COLOR, text: '|R|²' },
+    { color: RADIAL_P_COLOR, text: 'P(r) = r²|R|²' },
+    { color: [255, 255, 255], alpha: 0.35, text: `${translateUI('radialHistogram', 'Sampled points')} (${data.histCount})`, box: true },
+    { color: [255, 255, 255], text: `${translateUI('radialMean', '⟨r⟩')} = ${data.meanX.toFixed(2)} a₀`, dashed: true },
+    { color: RADIAL_P_COLOR, text: `${translateUI('radialPeak', 'Most probable r')} = ${data.peakX.toFixed(2)} a₀` }
+  ];
+  if (data.nodes.length > 0) {
+    legend.push({ color: RADIAL_NODE_COLOR, text: `${translateUI('radialNodes', 'Radial nodes')}: ${data.nodes.map(x => x.toFixed(2)).join(', ')}`, dot: true });
+  }
+  
+  ctx.textAlign = 'right';
+  const lx = padL + plotW - 18;
+  const legendW = legend.reduce((acc, item) => Math.max(acc, ctx.measureText(item.text).width), 0) + 26;
+  ctx.fillStyle = 'rgba(10, 14, 28, 0.6)';
+  ctx.fillRect(lx + 18 - legendW, padT - 3, legendW, legend.length * 12 + 2);
+  
+  legend.forEach((item, i) => {
+    const ly = padT + 4 + i * 12;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    ctx.fillText(item.text, lx - 4, ly);
     
-    push();
-    scale(sx, sy, sz);
-    try {
-      if (typeof sphereDetail === 'function') sphereDetail(OVERLAY_SPHERE_DETAIL);
-      fill(fillColor[0], fillColor[1], fillColor[2], Math.round(opacity * 0.6));
-    } catch (e) {}
-    sphere(1.0);
-    try {
-      noFill();
-    } catch (e) {}
-    pop();
+    ctx.save();
+    if (item.box) {
+      ctx.fillStyle = cssColor(item.color, item.alpha || 1);
+      ctx.fillRect(lx, ly - 4, 14, 8);
+    } else if (item.dot) {
+      ctx.fillStyle = cssColor(item.color, 1);
+      ctx.beginPath();
+      ctx.arc(lx + 7, ly, 3, 0, Math.PI * 2);
+      ctx.fill();
+    } else {
+      ctx.strokeStyle = cssColor(item.color, 0.95);
+      ctx.lineWidth = 1.6;
+      ctx.setLineDash(item.dashed ? [4, 3] : []);
+      ctx.beginPath();
+      ctx.moveTo(lx, ly);
+      ctx.lineTo(lx + 14, ly);
+      ctx.stroke();
+    }
+    ctx.restore();
+  });
+}
+
+// ============================================
+// CROSS-SECTION PANEL
+// ============================================
+
+// Perceptual dark-to-bright ramp (inferno-like) for the |ψ|² heatmap
+const SLICE_COLOR_STOPS = [
+  [0, 0, 4], [40, 11, 84], [101, 21, 110], [159, 42, 99],
+  [212, 72, 66], [245, 125, 21], [250, 193, 39], [252, 255, 164]
+];
+let sliceColorLUT = null;
+
+function getSliceColorLUT() {
+  if (sliceColorLUT) return sliceColorLUT;
+  
+  sliceColorLUT = new Uint8Array(256 * 3);
+  const segs = SLICE_COLOR_STOPS.length - 1;
+  for (let i = 0; i < 256; i++) {
+    const t = (i / 255) * segs;
+    const k = Math.min(segs - 1, Math.floor(t));
+    const c = mixColor(SLICE_COLOR_STOPS[k], SLICE_COLOR_STOPS[k + 1], t - k);
+    sliceColorLUT.set(c, i * 3);
+  }
+  return sliceColorLUT;
+}
+
+// Unit normal and in-plane axes (u to the right, v up in the panel)
+function sliceFrame(settings = sliceSettings) {
+  if (settings.mode === 'xz') return { normal: [0, 1, 0], u: [1, 0, 0], v: [0, 0, 1], uName: 'x', vName: 'z' };
+  if (settings.mode === 'yz') return { normal: [1, 0, 0], u: [0, 1, 0], v: [0, 0, 1], uName: 'y', vName: 'z' };
+  if (settings.mode === 'custom') {
+    const nv = settings.normal;
+    const len = Math.sqrt(nv[0] * nv[0] + nv[1] * nv[1] + nv[2] * nv[2]);
+    if (len > 1e-9) {
+      const normal = [nv[0] / len, nv[1] / len, nv[2] / len];
+      const basis = makePerpBasis(normal);
+      return { normal, u: basis.v1, v: basis.v2, uName: 'u', vName: 'v' };
+    }
   }
+  return { normal: [0, 0, 1], u: [1, 0, 0], v: [0, 1, 0], uName: 'x', vName: 'y' };
+}
+
+// Half-width of the slice in Bohr radii (already scaled by Z_eff, like the sampler)
+function sliceHalfExtent(info) {
+  return radialQuantile(info.n, info.l, 0.995) * 1.05;
+}
+
+// World-space clip plane [nx, ny, nz, d] for the point shader, or null when off
+function currentClipPlane() {
+  if (!sliceEnabled || !mainCloudInfo) return null;
   
-  // Micro highlights
-  push();
-  try {
-    pointLight(180, 180, 180, 1.0, -1.0, 0.5);
-  } catch (e) {}
-  push();
-  translate(0.45, -0.45, 0);
-  specularMaterial(200, 200, 200);
-  shininess(60);
-  sphere(0.18);
-  pop();
-  pop();
+  const frame = sliceFrame();
+  const d = sliceSettings.offset * sliceHalfExtent(mainCloudInfo) * mainCloudInfo.radialScale;
+  const s = sliceSettings.flip ? -1 : 1;
+  return [frame.normal[0] * s, frame.normal[1] * s, frame.normal[2] * s, d * s];
+}
+
+function readSliceControls() {
+  const val = (id, fallback) => {
+    const el = document.getElementById(id);
+    const v = el ? parseFloat(el.value) : NaN;
+    return isFinite(v) ? v : fallback;
+  };
+  
+  const modeEl = document.getElementById('slicePlaneSelect');
+  const flipEl = document.getElementById('sliceFlipInput');
+  sliceSettings = {
+    mode: modeEl ? modeEl.value : 'xy',
+    offset: constrain(val('sliceOffsetInput', 0) / 100, -1, 1),
+    flip: !!(flipEl && flipEl.checked),
+    normal: [val('sliceNxInput', 0), val('sliceNyInput', 0), val('sliceNzInput', 1)]
+  };
+  
+  const normalRow = document.getElementById('sliceNormalRow');
+  if (normalRow) normalRow.hidden = sliceSettings.mode !== 'custom';
+  slicePlotKey = null;
+}
+
+function setupSliceControls() {
+  ['slicePlaneSelect', 'sliceOffsetInput', 'sliceFlipInput', 'sliceNxInput', 'sliceNyInput', 'sliceNzInput'].forEach(id => {
+    const el = document.getElementById(id);
+    if (!el) return;
+    el.addEventListener('input', readSliceControls);
+    el.addEventListener('change', readSliceControls);
+  });
+  readSliceControls();
+}
+
+// Faint outline of the cutting plane in the 3D view
+function drawSlicePlaneFrame() {
+  if (!mainCloudInfo) return;
+  
+  const frame = sliceFrame();
+  const H = sliceHalfExtent(mainCloudInfo) * mainCloudInfo.radialScale;
+  const d = sliceSettings.offset * H;
+  const corner = (a, b) => [
+    frame.normal[0] * d + (a * frame.u[0] + b * frame.v[0]) * H,
+    frame.normal[1] * d + (a * frame.u[1] + b * frame.v[1]) * H,
+    frame.normal[2] * d + (a * frame.u[2] + b * frame.v[2]) * H
+  ];
   
   push();
-  try {
-    pointLight(150, 150, 150, -0.8, 0.6, -0.3);
-  } catch (e) {}
-  push();
-  translate(-0.35, 0.35, -0.1);
-  specularMaterial(180, 180, 180);
-  shininess(50);
-  sphere(0.15);
-  pop();
+  noFill();
+  stroke(255, 255, 255, 90);
+  strokeWeight(1);
+  beginShape();
+  for (const [a, b] of [[-1, -1], [1, -1], [1, 1], [-1, 1]]) {
+    const c = corner(a, b);
+    vertex(c[0], c[1], c[2]);
+  }
+  endShape(CLOSE);
   pop();
+}
+
+// Repaints only when the orbital, plane, language or canvas size changed
+function updateSlicePanel() {
+  const canvasEl = document.getElementById('slicePlotCanvas');
+  const info = mainCloudInfo;
+  
+  const H = info ? sliceHalfExtent(info) : 0;
+  const offsetEl = document.getElementById('sliceOffsetValue');
+  if (offsetEl && info) offsetEl.textContent = `${(sliceSettings.offset * H / info.zEff).toFixed(2)} a₀`;
+  if (!canvasEl || !info) return;
+  
+  const dpr = window.devicePixelRatio || 1;
+  const cssW = canvasEl.clientWidth || 340;
+  const cssH = canvasEl.clientHeight || 300;
+  const frame = sliceFrame();
+  const key = `${info.n}|${info.l}|${info.m}|${info.complexBasis}|${info.zEff}|${frame.normal.join(',')}|${sliceSettings.offset}|${document.documentElement.lang}|${cssW}x${cssH}@${dpr}`;
+  if (key === slicePlotKey) return;
+  slicePlotKey = key;
+  
+  if (canvasEl.width !== Math.round(cssW * dpr) || canvasEl.height !== Math.round(cssH * dpr)) {
+    canvasEl.width = Math.round(cssW * dpr);
+    canvasEl.height = Math.round(cssH * dpr);
+  }
+  
+  const ctx = canvasEl.getContext('2d');
+  if (!ctx) return;
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  
+  const d = sliceSettings.offset * H;
+  const origin = [frame.normal[0] * d, frame.normal[1] * d, frame.normal[2] * d];
+  const slice = sampleWavefunctionPlane(info.n, info.l, info.m, origin, frame.u, frame.v, H, SLICE_GRID_RES, info.complexBasis);
+  drawSlicePlot(ctx, cssW, cssH, info, frame, slice);
+}
+
+function drawSlicePlot(ctx, w, h, info, frame, slice) {
+  const padT = 6, padB = 34;
+  const size = Math.max(40, Math.min(w - 36, h - padT - padB));
+  const x0 = (w - size) / 2, y0 = padT;
+  const res = slice.res;
+  const toPx = (gi, gj) => [x0 + (gi / (res - 1)) * size, y0 + size - (gj / (res - 1)) * size];
+  
+  ctx.clearRect(0, 0, w, h);
+  ctx.font = `10px ${FONT_FALLBACK_NAME}`;
+  ctx.textBaseline = 'middle';
+  
+  // |ψ|² heatmap on a √ scale so the outer lobes stay visible
+  let maxDens = 0;
+  for (let i = 0; i < slice.density.length; i++) maxDens = Math.max(maxDens, slice.density[i]);
+  
+  const img = document.createElement('canvas');
+  img.width = res;
+  img.height = res;
+  const ictx = img.getContext('2d');
+  const imageData = ictx.createImageData(res, res);
+  const lut = getSliceColorLUT();
+  for (let j = 0; j < res; j++) {
+    for (let i = 0; i < res; i++) {
+      const v = maxDens > 0 ? Math.sqrt(slice.density[j * res + i] / maxDens) : 0;
+      const c = Math.min(255, Math.floor(v * 255)) * 3;
+      const o = ((res - 1 - j) * res + i) * 4;
+      imageData.data[o] = lut[c];
+      imageData.data[o + 1] = lut[c + 1];
+      imageData.data[o + 2] = lut[c + 2];
+      imageData.data[o + 3] = 255;
+    }
+  }
+  ictx.putImageData(imageData, 0, 0);
+  ctx.imageSmoothingEnabled = true;
+  ctx.drawImage(img, x0, y0, size, size);
+  
+  // ψ contour lines: solid by sign, dashed white for the nodal (ψ = 0) lines
+  let maxAbs = 0;
+  for (let i = 0; i < slice.psi.length; i++) maxAbs = Math.max(maxAbs, Math.abs(slice.psi[i]));
+  
+  const strokeContour = (level, color, dashed) => {
+    const seg = marchingSquares(slice.psi, res, level);
+    if (seg.length === 0) return;
+    ctx.save();
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1;
+    ctx.setLineDash(dashed ? [3, 3] : []);
+    ctx.beginPath();
+    for (let k = 0; k < seg.length; k += 4) {
+      const p0 = toPx(seg[k], seg[k + 1]);
+      const p1 = toPx(seg[k + 2], seg[k + 3]);
+      ctx.moveTo(p0[0], p0[1]);
+      ctx.lineTo(p1[0], p1[1]);
+    }
+    ctx.stroke();
+    ctx.restore();
+  };
+  
+  if (maxAbs > 0) {
+    for (let k = 1; k <= SLICE_CONTOUR_LEVELS; k++) {
+      const level = maxAbs * k / (SLICE_CONTOUR_LEVELS + 1);
+      strokeContour(level, cssColor(slice.unsigned ? [230, 230, 230] : PHASE_POSITIVE_COLOR, 0.9), false);
+      if (!slice.unsigned) strokeContour(-level, cssColor(PHASE_NEGATIVE_COLOR, 0.9), false);
+    }
+    if (!slice.unsigned) strokeContour(0, 'rgba(255, 255, 255, 0.7)', true);
+  }
+  
+  // Frame, axis names and extent in a0
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+  ctx.strokeRect(x0, y0, size, size);
+  
+  const extent = (slice.halfExtent / info.zEff).toFixed(1);
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+  ctx.textAlign = 'left';
+  ctx.fillText(`-${extent}`, x0, y0 + size + 8);
+  ctx.textAlign = 'right';
+  ctx.fillText(`${extent} a₀`, x0 + size, y0 + size + 8);
+  ctx.textAlign = 'center';
+  ctx.fillText(frame.uName, x0 + size / 2, y0 + size + 8);
+  ctx.save();
+  ctx.translate(x0 - 8, y0 + size / 2);
+  ctx.rotate(-Math.PI / 2);
+  ctx.fillText(frame.vName, 0, 0);
+  ctx.restore();
+  
+  // Legend line
+  const legend = slice.unsigned
+    ? `${translateUI('sliceDensity', '|ψ|² (√ scale)')} · ${translateUI('sliceContours', 'ψ contours')} (|ψ|)`
+    : `${translateUI('sliceDensity', '|ψ|² (√ scale)')} · ${translateUI('sliceContours', 'ψ contours')} ± · ${translateUI('sliceNodal', 'nodal lines')} - -`;
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+  ctx.textAlign = 'center';
+  ctx.fillText(`${getOrbitalLabel(info.n, info.l, info.m, info.complexBasis)}  ·  ${legend}`, w / 2, h - 9);
+}
+
+// ============================================
+// ORBITAL VISIBILITY & LEGEND
+// ============================================
+
+function orbitalKey(n, l, m) {
+  return `${n},${l},${m}`;
+}
+
+// Alpha factor for one orbital's cloud in complete mode. Hidden orbitals, and everything
+// but a solo orbital, are not drawn; a hovered diagram box or a "dim others" pick fades the rest
+function orbitalEmphasis(n, l, m) {
+  if ((window.orbitalMode || 'basic') !== 'complete') return 1;
+  const key = orbitalKey(n, l, m);
+  if (hiddenOrbitalKeys.has(key)) return 0;
+  if (soloOrbitalKey !== null) return key === soloOrbitalKey ? 1 : 0;
+  const focus = orbitalFocusKey();
+  if (focus !== null) return key === focus ? 1 : ORBITAL_DIM_ALPHA;
+  return 1;
+}
+
+// Orbital the others are faded around: the hovered one, else the "dim others" pick
+function orbitalFocusKey() {
+  return hoverOrbitalKey !== null ? hoverOrbitalKey : dimOthersKey;
+}
+
+// Changes whenever any visibility toggle does; panels fold it into their repaint keys
+function orbitalVisibilityKey() {
+  return `${Array.from(hiddenOrbitalKeys).sort().join(';')}|${soloOrbitalKey}|${dimOthersKey}|${hoverOrbitalKey}`;
+}
+
+// Solo (or null) replaces any "dim others" pick and un-hides the soloed orbital
+function setSoloOrbital(key) {
+  soloOrbitalKey = key;
+  if (key === null) return;
+  dimOthersKey = null;
+  hiddenOrbitalKeys.delete(key);
+}
+
+function setDimOthers(key) {
+  dimOthersKey = key;
+  if (key !== null) soloOrbitalKey = null;
+}
+
+function toggleOrbitalHidden(key) {
+  if (hiddenOrbitalKeys.has(key)) {
+    hiddenOrbitalKeys.delete(key);
+    return;
+  }
+  hiddenOrbitalKeys.add(key);
+  if (soloOrbitalKey === key) soloOrbitalKey = null;
+}
+
+function showAllOrbitals() {
+  hiddenOrbitalKeys.clear();
+  soloOrbitalKey = null;
+  dimOthersKey = null;
+}
+
+// Rows are rebuilt when the set of orbitals (or the language) changes; counts and toggle
+// states are refreshed in place every frame the panel is open
+function updateOrbitalLegend() {
+  const list = document.getElementById('legendList');
+  if (!list) return;
+  
+  const orbitals = (window.orbitalMode || 'basic') === 'complete' ? innerOrbitals : [];
+  const chipList = document.getElementById('legendOverlayList');
+  const structureKey = `${orbitals.map(o => orbitalKey(o.n, o.l, o.m)).join(' ')}|${isComplexBasis()}|${document.documentElement.lang}`;
+  if (structureKey !== legendStructureKey) {
+    legendStructureKey = structureKey;
+    buildOrbitalLegendRows(list, orbitals);
+    if (chipList) buildOverlaySubshellChips(chipList, orbitals);
+  }
   
-  try {
-    if (typeof sphereDetail === 'function') sphereDetail(sphereResolution);
-  } catch (e) {}
-  pop();
+  const overlayRow = document.getElementById('legendOverlayRow');
+  if (overlayRow) overlayRow.hidden = !(overlayEnabled && orbitals.length > 0);
+  if (chipList) {
+    for (const chip of chipList.children) setPressed(chip, !hiddenOverlaySubshells.has(chip.dataset.subshell));
+  }
+  
+  const rows = list.querySelectorAll('.legend-row');
+  rows.forEach((row, i) => {
+    const orbital = orbitals[i];
+    if (!orbital) return;
+    const key = row.dataset.key;
+    const count = String(orbital.sampleCount);
+    const countEl = row.querySelector('.legend-count');
+    if (countEl && countEl.textContent !== count) countEl.textContent = count;
+    
+    const hidden = hiddenOrbitalKeys.has(key);
+    const shown = orbitalEmphasis(orbital.n, orbital.l, orbital.m) > 0;
+    row.classList.toggle('is-hidden', !shown);
+    setLegendPressed(row, 'visible', !hidden);
+    setLegendPressed(row, 'solo', soloOrbitalKey === key);
+    setLegendPressed(row, 'dim', dimOthersKey === key);
+  });
 }
 
-function drawLobeEllipsoid(axisVec, axialLen, radialRadius, fillColor, opacity = 140, axialOffset = 0, useUniformLighting = true) {
-  drawLobeEllipsoidBase(axisVec, axialLen, radialRadius, fillColor, opacity, axialOffset, useUniformLighting);
+function setLegendPressed(row, action, pressed) {
+  setPressed(row.querySelector(`.legend-btn[data-action="${action}"]`), pressed);
 }
 
-// ============================================
-// ELECTRON PUSHING & OVERLAY COMPUTATION
-// ============================================
+function setPressed(btn, pressed) {
+  const value = pressed ? 'true' : 'false';
+  if (btn && btn.getAttribute('aria-pressed') !== value) btn.setAttribute('aria-pressed', value);
+}
 
-function pushElectronsOutward(globalFactor = GLOBAL_RADIAL_PUSH, equatorialFactor = EQ_RADIAL_PUSH, applyNearMultiplier = false, nearMultiplier = NEAR_NUCLEAR_PUSH_MULT, nearThresholdParam = null, nearEquatorialThresholdParam = null) {
-  if (!positions || sampleCount <= 0) return;
+function buildOrbitalLegendRows(list, orbitals) {
+  list.textContent = '';
   
-  const posAxial = [], negAxial = [];
-  for (let i = 0; i < sampleCount; i++) {
-    const z = positions[i * 3 + 2];
-    if (z >= 0) posAxial.push(z);
-    else negAxial.push(-z);
+  if (orbitals.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'legend-empty';
+    empty.textContent = translateUI('legendEmpty', 'Switch to complete mode to list the orbitals');
+    list.appendChild(empty);
+    return;
   }
   
-  const t80posRaw = posAxial.length ? percentile(posAxial, 0.80) : 0;
-  const t80negRaw = negAxial.length ? percentile(negAxial, 0.80) : 0;
-  const eqThreshold = Math.max(0.2 * Math.max(t80posRaw, t80negRaw), 1.0);
-  const minAllowed = NUCLEUS_RADIUS + ELECTRON_MIN_GAP;
-  const nearThreshold = (typeof nearThresholdParam === 'number' && isFinite(nearThresholdParam)) ? nearThresholdParam : (minAllowed * NEAR_THRESHOLD_MULT);
-  const nearEqThreshold = (typeof nearEquatorialThresholdParam === 'number' && isFinite(nearEquatorialThresholdParam)) ? nearEquatorialThresholdParam : nearThreshold;
-  const EPS = 1e-6;
+  const actions = [
+    { action: 'visible', text: '◉', key: 'legendVisible', fallback: 'Show / hide' },
+    { action: 'solo', text: 'S', key: 'legendSolo', fallback: 'Solo' },
+    { action: 'dim', text: '◐', key: 'legendDim', fallback: 'Dim others' }
+  ];
   
-  for (let i = 0; i < sampleCount; i++) {
-    const idx = i * 3;
-    let x = positions[idx], y = positions[idx + 1], z = positions[idx + 2];
-    const rXY = Math.sqrt(x * x + y * y);
-    const r3D = Math.sqrt(x * x + y * y + z * z);
-    const isEquatorial = Math.abs(z) <= eqThreshold;
-    
-    let factor = isEquatorial ? equatorialFactor : globalFactor;
-    let targetMinDistance = minAllowed;
-    
-    if (applyNearMultiplier) {
-      if (isEquatorial && r3D <= nearEqThreshold) {
-        factor *= nearMultiplier;
-        targetMinDistance = Math.max(minAllowed, nearEqThreshold);
-      } else if (!isEquatorial && r3D <= nearThreshold) {
-        factor *= nearMultiplier;
-        targetMinDistance = Math.max(minAllowed, nearThreshold);
-      }
-    }
+  for (const orbital of orbitals) {
+    const label = getOrbitalLabel(orbital.n, orbital.l, orbital.m);
+    const row = document.createElement('div');
+    row.className = 'legend-row';
+    row.setAttribute('role', 'listitem');
+    row.dataset.key = orbitalKey(orbital.n, orbital.l, orbital.m);
+    row.style.setProperty('--swatch-color', orbital.color.join(', '));
     
-    if (applyNearMultiplier) {
-      if (r3D <= EPS) {
-        const ang = random(0, TWO_PI);
-        const newR = Math.max(targetMinDistance, 0.5 * factor);
-        positions[idx] = Math.cos(ang) * newR;
-        positions[idx + 1] = Math.sin(ang) * newR;
-        positions[idx + 2] = 0;
-      } else {
-        const newR3D = Math.max(targetMinDistance, r3D * factor);
-        const s = newR3D / r3D;
-        positions[idx] = x * s;
-        positions[idx + 1] = y * s;
-        positions[idx + 2] = z * s;
-      }
-    } else {
-      if (rXY <= EPS) {
-        if (r3D <= EPS) {
-          const u = random(-1, 1);
-          const theta = acos(u);
-          const phi = random(0, TWO_PI);
-          const sr = Math.sin(theta);
-          positions[idx] = minAllowed * sr * Math.cos(phi);
-          positions[idx + 1] = minAllowed * sr * Math.sin(phi);
-          positions[idx + 2] = minAllowed * Math.cos(theta);
-        } else {
-          const newR3D = Math.max(minAllowed, r3D * factor);
-          const s = newR3D / r3D;
-          positions[idx] = x * s;
-          positions[idx + 1] = y * s;
-          positions[idx + 2] = z * s;
-        }
-      } else {
-        const newR3D = Math.max(minAllowed, r3D * factor);
-        const s = newR3D / r3D;
-        positions[idx] = x * s;
-        positions[idx + 1] = y * s;
-        positions[idx + 2] = z * s;
-      }
+    const swatch = document.createElement('span');
+    swatch.className = 'legend-swatch';
+    const name = document.createElement('span');
+    name.className = 'legend-label';
+    name.textContent = label;
+    const count = document.createElement('span');
+    count.className = 'legend-count';
+    row.append(swatch, name, count);
+    
+    for (const item of actions) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'legend-btn';
+      btn.dataset.action = item.action;
+      btn.textContent = item.text;
+      btn.title = `${translateUI(item.key, item.fallback)}: ${label}`;
+      btn.setAttribute('aria-label', btn.title);
+      btn.setAttribute('aria-pressed', 'false');
+      row.appendChild(btn);
     }
+    
+    list.appendChild(row);
   }
 }
 
-function computeOverlay() {
-  if (!overlayEnabled) {
-    overlayCache = null;
-    return;
-  }
+// Complete-mode overlay switches, one per subshell
+function buildOverlaySubshellChips(container, orbitals) {
+  container.textContent = '';
+  const seen = new Set();
   
-  if (!positions || sampleCount <= 0) {
-    overlayCache = null;
-    return;
+  for (const orbital of orbitals) {
+    const key = `${orbital.n},${orbital.l}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'legend-btn legend-chip';
+    chip.dataset.subshell = key;
+    chip.textContent = getSubshellLabel(orbital.n, orbital.l);
+    chip.title = `${translateUI('legendOverlay', 'Overlay')}: ${chip.textContent}`;
+    chip.setAttribute('aria-label', chip.title);
+    chip.setAttribute('aria-pressed', 'true');
+    chip.style.setProperty('--swatch-color', orbital.color.join(', '));
+    container.appendChild(chip);
   }
+}
 
-  const maxSampleForOverlay = 3000;
-  const n = sampleCount;
-  const step = Math.max(1, Math.floor(n / maxSampleForOverlay));
-  const sampled = new Float32Array(Math.ceil(n / step) * 3);
-  let si = 0;
+function setupOrbitalLegend() {
+  const list = document.getElementById('legendList');
+  if (!list) return;
   
-  for (let i = 0; i < n; i += step) {
-    const idx = i * 3;
-    sampled[si++] = positions[idx];
-    sampled[si++] = positions[idx + 1];
-    sampled[si++] = positions[idx + 2];
+  list.addEventListener('click', ev => {
+    const btn = ev.target.closest('.legend-btn');
+    const row = btn ? btn.closest('.legend-row') : null;
+    if (!row) return;
+    
+    const key = row.dataset.key;
+    if (btn.dataset.action === 'visible') toggleOrbitalHidden(key);
+    else if (btn.dataset.action === 'solo') setSoloOrbital(soloOrbitalKey === key ? null : key);
+    else if (btn.dataset.action === 'dim') setDimOthers(dimOthersKey === key ? null : key);
+  });
+  
+  const showAllBtn = document.getElementById('legendShowAllBtn');
+  if (showAllBtn) showAllBtn.addEventListener('click', showAllOrbitals);
+  
+  const chipList = document.getElementById('legendOverlayList');
+  if (chipList) {
+    chipList.addEventListener('click', ev => {
+      const chip = ev.target.closest('.legend-chip');
+      if (!chip) return;
+      const key = chip.dataset.subshell;
+      if (hiddenOverlaySubshells.has(key)) hiddenOverlaySubshells.delete(key);
+      else hiddenOverlaySubshells.add(key);
+    });
   }
+}
 
-  setTimeout(() => {
-    const sampleCountSampled = Math.floor(si / 3);
-    const l = ui.lInput ? parseInt(ui.lInput.value(), 10) : 0;
-    const m = ui.mInput ? parseInt(ui.mInput.value(), 10) : 0;
-    const overlayColor = DZ2_OVERLAY_COLOR;
-    const cache = { type: null, data: null, color: overlayColor };
+function setLegendPanelOpen(open) {
+  legendPanelEnabled = open;
+  setToggleButtonState(legendBtn, open);
+  
+  const panel = document.getElementById('legendPanel');
+  if (panel) panel.hidden = !open;
+  legendStructureKey = null;
+}
 
-    // S-orbital
-    if (l === 0) {
-      const dists = [];
-      for (let i = 0; i < sampleCountSampled; i++) {
-        const idx = i * 3;
-        const r = Math.sqrt(sampled[idx] * sampled[idx] + sampled[idx + 1] * sampled[idx + 1] + sampled[idx + 2] * sampled[idx + 2]);
-        dists.push(r);
+// ============================================
+// ENERGY LEVEL DIAGRAM
+// ============================================
+
+// Occupied subshells of the complete-mode orbitals, lowest energy first (AUFBAU_ORDER,
+// then Madelung n + l for anything past it): [{ n, l, boxes: [{ m, count }] }] with the
+// boxes from m = l down to -l, as Hund's rule fills them
+function energyDiagramRows() {
+  const counts = new Map();
+  for (const o of innerOrbitals) counts.set(orbitalKey(o.n, o.l, o.m), o.occupancy);
+  
+  const subshells = new Map();
+  for (const o of innerOrbitals) subshells.set(`${o.n},${o.l}`, { n: o.n, l: o.l });
+  const rank = ({ n, l }) => {
+    const idx = AUFBAU_ORDER.findIndex(([an, al]) => an === n && al === l);
+    return idx >= 0 ? idx : AUFBAU_ORDER.length + (n + l) * 100 + n;
+  };
+  
+  return Array.from(subshells.values())
+    .sort((a, b) => rank(a) - rank(b))
+    .map(({ n, l }) => ({
+      n, l,
+      boxes: hundFillOrder(l).slice(0, 2 * l + 1).map(m => ({ m, count: counts.get(orbitalKey(n, l, m)) || 0 }))
+    }));
+}
+
+// Called every frame while the panel is open; only repaints when the orbitals, the
+// hovered or isolated box, the language or the canvas size changed
+function updateEnergyDiagramPanel() {
+  const canvasEl = document.getElementById('energyPlotCanvas');
+  if (!canvasEl) return;
+  
+  const dpr = window.devicePixelRatio || 1;
+  const cssW = canvasEl.clientWidth || 340;
+  const cssH = canvasEl.clientHeight || 320;
+  const mode = window.orbitalMode || 'basic';
+  const complete = mode === 'complete';
+  const molecule = mode === 'molecule' ? moleculeFromUI() : null;
+  const rows = complete ? energyDiagramRows() : [];
+  const rowsKey = rows.map(r => `${r.n}.${r.l}:${r.boxes.map(b => b.count).join('')}`).join(' ');
+  const moleculeKey = molecule ? `${molecule.key}|${molecule.bond}|${molecule.choice}` : '';
+  const key = `${mode}|${rowsKey}|${moleculeKey}|${configElementZ}|${configCharge}|${orbitalVisibilityKey()}|${document.documentElement.lang}|${cssW}x${cssH}@${dpr}`;
+  if (key === energyPlotKey) return;
+  energyPlotKey = key;
+  
+  if (canvasEl.width !== Math.round(cssW * dpr) || canvasEl.height !== Math.round(cssH * dpr)) {
+    canvasEl.width = Math.round(cssW * dpr);
+    canvasEl.height = Math.round(cssH * dpr);
+  }
+  
+  const ctx = canvasEl.getContext('2d');
+  if (!ctx) return;
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  energyBoxes = molecule ? drawMoDiagram(ctx, cssW, cssH, molecule) : drawEnergyDiagram(ctx, cssW, cssH, rows, complete);
+}
+
+// One row per subshell, staircased into s / p / d / f columns; returns the hit
+// rectangles of the occupied boxes
+function drawEnergyDiagram(ctx, w, h, rows, complete) {
+  ctx.clearRect(0, 0, w, h);
+  ctx.font = `10px ${FONT_FALLBACK_NAME}`;
+  ctx.textBaseline = 'middle';
+  
+  if (!complete || rows.length === 0) {
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.textAlign = 'center';
+    ctx.fillText(translateUI('energyNeedsComplete', 'Switch to complete mode to see the diagram'), w / 2, h / 2);
+    return [];
+  }
+  
+  const padL = 22, padR = 6, padT = 22, padB = 6, labelW = 28, gap = 8;
+  const maxL = rows.reduce((acc, r) => Math.max(acc, r.l), 0);
+  let boxColumns = 0;
+  for (let l = 0; l <= maxL; l++) boxColumns += 2 * l + 1;
+  const bw = Math.min(20, (w - padL - padR - labelW - maxL * gap) / boxColumns);
+  const rowH = Math.min(26, (h - padT - padB) / rows.length);
+  const bh = Math.max(6, Math.min(bw, rowH - 4));
+  const colX = l => {
+    let x = padL + labelW;
+    for (let k = 0; k < l; k++) x += (2 * k + 1) * bw + gap;
+    return x;
+  };
+  
+  // Configuration caption
+  const config = rows.map(r => ({ n: r.n, l: r.l, count: r.boxes.reduce((sum, b) => sum + b.count, 0) }));
+  const caption = formatConfiguration(config);
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+  ctx.textAlign = 'left';
+  ctx.fillText(configElementZ !== null ? `${ionLabel(configElementZ, configCharge)}: ${caption}` : caption, padL, 9);
+  
+  drawEnergyAxis(ctx, padL - 12, padT, h - padB);
+  
+  const boxes = [];
+  rows.forEach((row, i) => {
+    const cy = h - padB - (i + 0.5) * rowH;
+    const color = getSubshellColor(row.n, row.l);
+    const x0 = colX(row.l);
+    const y = cy - bh / 2;
+    
+    ctx.fillStyle = cssColor(color, 1);
+    ctx.textAlign = 'right';
+    ctx.fillText(getSubshellLabel(row.n, row.l), x0 - 4, cy);
+    
+    row.boxes.forEach((box, j) => {
+      const x = x0 + j * bw;
+      const key = orbitalKey(row.n, row.l, box.m);
+      const active = key === soloOrbitalKey || (soloOrbitalKey === null && key === orbitalFocusKey());
+      const faded = hiddenOrbitalKeys.has(key) || (soloOrbitalKey !== null && !active);
+      
+      if (active) {
+        ctx.fillStyle = cssColor(color, 0.35);
+        ctx.fillRect(x, y, bw, bh);
       }
+      ctx.strokeStyle = cssColor(color, faded ? 0.3 : 0.9);
+      ctx.lineWidth = active ? 2 : 1;
+      ctx.strokeRect(x + 0.5, y + 0.5, bw - 1, bh - 1);
       
-      let r95 = percentile(dists, OVERLAY_PERCENTILE);
-      r95 = Math.max(0.5, r95 * S_OVERLAY_SCALE);
-      cache.type = 's';
-      cache.data = { r95: r95 };
-      console.log(`📊 S-orbital overlay: r95=${r95.toFixed(1)}`);
-    }
-    // P-orbital
-    else if (l === 1) {
-      if (sampleCountSampled < 6) {
-        cache.type = 'p';
-        cache.data = {
-          lobes: [
-            { axisUnit: [1, 0, 0], t95: 8, r95: 2 },
-            { axisUnit: [-1, 0, 0], t95: 8, r95: 2 }
-          ]
-        };
-      } else {
-        const clusters = kmeans(sampled, sampleCountSampled, 2, 30);
-        const lobesComputed = [];
-        
-        for (let c = 0; c < clusters.length; c++) {
-          const idxs = clusters[c];
-          if (!idxs || idxs.length < 6) continue;
-          
-          let sx = 0, sy = 0, sz = 0;
-          const axialVals = [];
-          const radialVals = [];
-          
-          for (let j = 0; j < idxs.length; j++) {
-            const i = idxs[j];
-            const x = sampled[i * 3], y = sampled[i * 3 + 1], z = sampled[i * 3 + 2];
-            sx += x;
-            sy += y;
-            sz += z;
-          }
-          
-          sx /= idxs.length;
-          sy /= idxs.length;
-          sz /= idxs.length;
-          
-          const axis = [sx, sy, sz];
-          const axisLen = Math.sqrt(axis[0] * axis[0] + axis[1] * axis[1] + axis[2] * axis[2]) || 1.0;
-          const axisUnit = [axis[0] / axisLen, axis[1] / axisLen, axis[2] / axisLen];
-          
-          for (let j = 0; j < idxs.length; j++) {
-            const i = idxs[j];
-            const x = sampled[i * 3], y = sampled[i * 3 + 1], z = sampled[i * 3 + 2];
-            const t = x * axisUnit[0] + y * axisUnit[1] + z * axisUnit[2];
-            axialVals.push(Math.abs(t));
-            const radialSq = x * x + y * y + z * z - t * t;
-            radialVals.push(Math.sqrt(Math.max(0, radialSq)));
-          }
-          
-          const t95 = percentile(axialVals, OVERLAY_PERCENTILE);
-          const r95 = percentile(radialVals, OVERLAY_PERCENTILE);
-          lobesComputed.push({
-            axisUnit: axisUnit,
-            t95: Math.max(0.01, t95),
-            r95: Math.max(0.01, r95)
-          });
-        }
+      ctx.strokeStyle = `rgba(255, 255, 255, ${faded ? 0.3 : 0.9})`;
+      ctx.lineWidth = 1.2;
+      if (box.count >= 1) drawSpinArrow(ctx, x + bw * (box.count === 2 ? 0.33 : 0.5), y + 2, y + bh - 2, true);
+      if (box.count === 2) drawSpinArrow(ctx, x + bw * 0.67, y + 2, y + bh - 2, false);
+      
+      if (box.count > 0) boxes.push({ key, x, y, w: bw, h: bh, label: getOrbitalLabel(row.n, row.l, box.m) });
+    });
+  });
+  
+  return boxes;
+}
 
-        if (lobesComputed.length < 2) {
-          const absX = [];
-          const rPerpX = [];
-          for (let i = 0; i < sampleCountSampled; i++) {
-            const x = sampled[i * 3], y = sampled[i * 3 + 1], z = sampled[i * 3 + 2];
-            absX.push(Math.abs(x));
-            rPerpX.push(Math.sqrt(y * y + z * z));
-          }
-          
-          let t95_px = absX.length ? percentile(absX, OVERLAY_PERCENTILE) : 8.0;
-          let r95_px = rPerpX.length ? percentile(rPerpX, OVERLAY_PERCENTILE) : 2.0;
-          t95_px = Math.max(0.01, t95_px * P_PX_AXIAL_BOOST);
-          r95_px = Math.max(0.01, r95_px * P_PX_RADIAL_BOOST);
-          
-          lobesComputed.push({ axisUnit: [1, 0, 0], t95: t95_px, r95: r95_px });
-          lobesComputed.push({ axisUnit: [-1, 0, 0], t95: t95_px, r95: r95_px });
-        }
-        
-        let bestIdx = -1;
-        let bestAlign = -1;
-        for (let i = 0; i < lobesComputed.length; i++) {
-          const ax = lobesComputed[i].axisUnit;
-          const align = Math.abs(ax[0]);
-          if (align > bestAlign) {
-            bestAlign = align;
-            bestIdx = i;
-          }
-        }
-        
-        let canonicalT = null;
-        let canonicalR = null;
-        
-        if (bestIdx >= 0) {
-          canonicalT = lobesComputed[bestIdx].t95;
-          canonicalR = lobesComputed[bestIdx].r95;
-        } else {
-          const absX = [];
-          const rPerpX = [];
-          for (let i = 0; i < sampleCountSampled; i++) {
-            const x = sampled[i * 3], y = sampled[i * 3 + 1], z = sampled[i * 3 + 2];
-            absX.push(Math.abs(x));
-            rPerpX.push(Math.sqrt(y * y + z * z));
-          }
-          
-          canonicalT = absX.length ? percentile(absX, OVERLAY_PERCENTILE) : 8.0;
-          canonicalR = rPerpX.length ? percentile(rPerpX, OVERLAY_PERCENTILE) : 2.0;
-          canonicalT = Math.max(0.01, canonicalT * P_PX_AXIAL_BOOST);
-          canonicalR = Math.max(0.01, canonicalR * P_PX_RADIAL_BOOST);
-        }
-        
-        const lobesFinal = [];
-        for (let i = 0; i < lobesComputed.length; i++) {
-          const axUnit = lobesComputed[i].axisUnit;
-          lobesFinal.push({
-            axisUnit: axUnit,
-            t95: canonicalT,
-            r95: canonicalR
-          });
-        }
-        
-        if (lobesFinal.length === 1) {
-          const ax = lobesFinal[0].axisUnit;
-          lobesFinal.push({
-            axisUnit: [-ax[0], -ax[1], -ax[2]],
-            t95: canonicalT,
-            r95: canonicalR
-          });
-        }
-        
-        cache.type = 'p';
-        cache.data = { lobes: lobesFinal };
-        console.log(`📊 P-orbital overlay: axial=${canonicalT.toFixed(1)}, radial=${canonicalR.toFixed(1)}`);
+// Vertical energy axis with an arrowhead at the top
+function drawEnergyAxis(ctx, axisX, top, bottom) {
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(axisX, bottom);
+  ctx.lineTo(axisX, top);
+  ctx.moveTo(axisX - 3, top + 5);
+  ctx.lineTo(axisX, top);
+  ctx.lineTo(axisX + 3, top + 5);
+  ctx.stroke();
+  ctx.save();
+  ctx.translate(axisX - 6, top + (bottom - top) / 2);
+  ctx.rotate(-Math.PI / 2);
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+  ctx.textAlign = 'center';
+  ctx.fillText(translateUI('energyAxis', 'Energy'), 0, 0);
+  ctx.restore();
+}
+
+// Electron spin arrow from y0 to y1, pointing up or down
+function drawSpinArrow(ctx, x, y0, y1, up) {
+  const tip = up ? y0 : y1;
+  const dir = up ? 1 : -1;
+  ctx.beginPath();
+  ctx.moveTo(x, y0);
+  ctx.lineTo(x, y1);
+  ctx.moveTo(x - 2.5, tip + dir * 3.5);
+  ctx.lineTo(x, tip);
+  ctx.lineTo(x + 2.5, tip + dir * 3.5);
+  ctx.stroke();
+}
+
+// Molecule mode: the atomic levels of both atoms at the sides, the MOs in the middle
+// joined to the level they come from, each with its electrons. Returns the hit
+// rectangles of the MOs (every MO, so an empty antibonding one can be picked too).
+function drawMoDiagram(ctx, w, h, info) {
+  const { key, molecule, bond, mos, choice } = info;
+  ctx.clearRect(0, 0, w, h);
+  ctx.font = `10px ${FONT_FALLBACK_NAME}`;
+  ctx.textBaseline = 'middle';
+  
+  const padL = 40, padR = 30, padT = 46, padB = 12, sideW = 54, segW = 24;
+  const aoKeys = molecule.Z < 3 ? ['1s'] : ['1s', '2s', '2p'];
+  const energies = mos.map(mo => mo.energy).concat(aoKeys.map(k => AO_LEVELS[k]));
+  const eMin = Math.min(...energies) - 0.3, eMax = Math.max(...energies) + 0.3;
+  const yOf = e => h - padB - (e - eMin) / (eMax - eMin) * (h - padT - padB);
+  const leftX = padL, rightX = w - padR - sideW, cx = (w + padL - padR) / 2;
+  
+  // Captions: MO configuration, then bond order, unpaired electrons and R
+  const order = bondOrder(mos);
+  const unpaired = unpairedElectrons(mos);
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+  ctx.textAlign = 'left';
+  ctx.fillText(`${molecule.label}: ${moConfigurationLabel(key, mos)}`, 6, 9);
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.65)';
+  ctx.fillText(`${translateUI('moBondOrder', 'Bond order')} ${order} · R = ${bond.toFixed(2)} a₀${unpaired ? ` · ${unpaired} ${translateUI('moUnpaired', 'unpaired')}` : ''}`, 6, 23);
+  
+  drawEnergyAxis(ctx, padL - 22, padT, h - padB);
+  
+  const symbol = elementSymbol(molecule.Z) || '?';
+  ctx.textAlign = 'center';
+  ctx.fillText(symbol, leftX + sideW / 2, padT - 8);
+  ctx.fillText(symbol, rightX + sideW / 2, padT - 8);
+  ctx.fillText(molecule.label, cx, padT - 8);
+  
+  const drawLevel = (x, y, width, count, color, alpha, lineWidth = 1.5) => {
+    ctx.strokeStyle = cssColor(color, alpha);
+    ctx.lineWidth = lineWidth;
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    ctx.lineTo(x + width, y);
+    ctx.stroke();
+    
+    ctx.strokeStyle = `rgba(255, 255, 255, ${alpha})`;
+    ctx.lineWidth = 1.2;
+    if (count >= 1) drawSpinArrow(ctx, x + width * (count === 2 ? 0.33 : 0.5), y - 8, y + 4, true);
+    if (count === 2) drawSpinArrow(ctx, x + width * 0.67, y - 8, y + 4, false);
+  };
+  
+  // Atomic levels; atom A takes the odd electron of H₂⁺
+  const atomCounts = [Math.ceil(molecule.electrons / 2), Math.floor(molecule.electrons / 2)].map(electrons => {
+    const counts = {};
+    for (const shell of aufbauConfiguration(electrons)) counts[`${shell.n}${SUBSHELL_LETTERS[shell.l]}`] = shell.count;
+    return counts;
+  });
+  const aoEnds = {};
+  
+  for (const ao of aoKeys) {
+    const y = yOf(AO_LEVELS[ao]);
+    const color = getSubshellColor(Number(ao[0]), ao[1] === 'p' ? 1 : 0);
+    const slots = ao[1] === 'p' ? 3 : 1;
+    const slotW = (sideW - (slots - 1) * 3) / slots;
+    
+    [leftX, rightX].forEach((x0, side) => {
+      const count = atomCounts[side][ao] || 0;
+      const fill = slots === 3 ? hundFillOrder(1).slice(0, count) : [];
+      for (let k = 0; k < slots; k++) {
+        const inSlot = slots === 3 ? fill.filter(m => m === 1 - k).length : count;
+        drawLevel(x0 + k * (slotW + 3), y, slotW, inSlot, color, 0.8);
       }
+    });
+    
+    ctx.fillStyle = cssColor(color, 1);
+    ctx.textAlign = 'right';
+    ctx.fillText(ao, leftX - 4, y);
+    ctx.textAlign = 'left';
+    ctx.fillText(ao, rightX + sideW + 4, y);
+    aoEnds[ao] = y;
+  }
+  
+  // MOs, degenerate pairs side by side
+  const boxes = [];
+  const groups = [];
+  for (const mo of mos) {
+    const last = groups[groups.length - 1];
+    if (last && last[0].energy === mo.energy) last.push(mo);
+    else groups.push([mo]);
+  }
+  
+  for (const group of groups) {
+    const y = yOf(group[0].energy);
+    const groupW = group.length * segW + (group.length - 1) * 6;
+    const x0 = cx - groupW / 2;
+    const aoY = aoEnds[group[0].ao.slice(0, 2)];
+    
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([3, 3]);
+    ctx.beginPath();
+    ctx.moveTo(leftX + sideW + 2, aoY);
+    ctx.lineTo(x0 - 2, y);
+    ctx.moveTo(rightX - 2, aoY);
+    ctx.lineTo(x0 + groupW + 2, y);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    
+    group.forEach((mo, k) => {
+      const x = x0 + k * (segW + 6);
+      const shown = choice === mo.id || (choice === 'occupied' && mo.occupancy > 0);
+      const color = getSubshellColor(mo.n, mo.l);
+      drawLevel(x, y, segW, mo.occupancy, color, shown ? 1 : 0.45, shown ? 3 : 1.5);
+      boxes.push({ moId: mo.id, x, y: y - 9, w: segW, h: 15, label: mo.label });
+    });
+    
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.textAlign = 'left';
+    ctx.fillText(group[0].label.replace(/\([xy]\)$/, ''), x0 + groupW + 4, y - 6);
+  }
+  
+  return boxes;
+}
+
+function energyBoxAt(canvasEl, ev) {
+  const rect = canvasEl.getBoundingClientRect();
+  const x = ev.clientX - rect.left;
+  const y = ev.clientY - rect.top;
+  return energyBoxes.find(b => x >= b.x && x <= b.x + b.w && y >= b.y && y <= b.y + b.h) || null;
+}
+
+// Hovering a box highlights its orbital in the 3D view; a click solos it and a
+// second click (or a click beside the boxes) ends the solo. In molecule mode a
+// click on an MO shows that MO alone (a second click goes back to all occupied).
+function setupEnergyDiagram() {
+  const canvasEl = document.getElementById('energyPlotCanvas');
+  if (!canvasEl) return;
+  
+  canvasEl.addEventListener('mousemove', ev => {
+    const box = energyBoxAt(canvasEl, ev);
+    hoverOrbitalKey = box ? box.key || null : null;
+    canvasEl.style.cursor = box ? 'pointer' : 'default';
+    canvasEl.title = box ? box.label : '';
+  });
+  canvasEl.addEventListener('mouseleave', () => {
+    hoverOrbitalKey = null;
+  });
+  canvasEl.addEventListener('click', ev => {
+    const box = energyBoxAt(canvasEl, ev);
+    if (box && box.moId) {
+      showMolecularOrbital(box.moId);
+      return;
     }
-    // D-orbital (continued in next section due to length)
-    else if (l === 2) {
-      if (m === 0) {
-        // Dz² orbital with ring
-        const posAxial = [];
-        const negAxial = [];
-        const radialXYAll = [];
-        const radialXYEquatorial = [];
-        
-        for (let i = 0; i < sampleCountSampled; i++) {
-          const x = sampled[i * 3], y = sampled[i * 3 + 1], z = sampled[i * 3 + 2];
-          const rxy = Math.sqrt(x * x + y * y);
-          if (z >= 0) posAxial.push(z);
-          else negAxial.push(-z);
-          radialXYAll.push(rxy);
-        }
-        
-        const t95posRaw = posAxial.length ? percentile(posAxial, OVERLAY_PERCENTILE) : 0;
-        const t95negRaw = negAxial.length ? percentile(negAxial, OVERLAY_PERCENTILE) : 0;
-        const t95pos = Math.max(1.0, t95posRaw * DZ_LOBE_SCALE * LOBE_Z_SHRINK * LOBE_AXIAL_EXTEND);
-        const t95neg = Math.max(1.0, t95negRaw * DZ_LOBE_SCALE * LOBE_Z_SHRINK * LOBE_AXIAL_EXTEND);
-        
-        const lobeRadial95 = radialXYAll.length ? percentile(radialXYAll, OVERLAY_PERCENTILE) * LOBE_RADIAL_PERCENTILE_MULT : 2.0;
-        const lobeRadial = Math.max(0.9, lobeRadial95 * LOBE_RADIAL_EXTRA_GROW);
-        
-        let axialOffsetPos = t95pos * LOBE_Z_OFFSET_MULT;
-        let axialOffsetNeg = t95neg * LOBE_Z_OFFSET_MULT;
-        axialOffsetPos *= DZ2_AXIAL_OFFSET_SCALE;
-        axialOffsetNeg *= DZ2_AXIAL_OFFSET_SCALE;
-        
-        const eqThreshold = Math.max(0.2 * Math.max(t95posRaw, t95negRaw), 1.0);
-        for (let i = 0; i < sampleCountSampled; i++) {
-          const x = sampled[i * 3], y = sampled[i * 3 + 1], z = sampled[i * 3 + 2];
-          if (Math.abs(z) <= eqThreshold) {
-            radialXYEquatorial.push(Math.sqrt(x * x + y * y));
-          }
-        }
-        
-        let ringInnerRadius, ringOuterRadius;
-        if (radialXYEquatorial.length >= 8) {
-          ringInnerRadius = Math.max(NUCLEUS_RADIUS + ELECTRON_MIN_GAP, percentile(radialXYEquatorial, OVERLAY_RING_INNER_P));
-          ringOuterRadius = Math.max(ringInnerRadius + 0.001, percentile(radialXYEquatorial, OVERLAY_RING_OUTER_P));
-        } else {
-          ringInnerRadius = RING_DEFAULT_INNER_DIAM * 0.5;
-          ringOuterRadius = RING_DEFAULT_OUTER_DIAM * 0.5;
-        }
-        
-        ringInnerRadius *= DZ2_RING_SHRINK_FACTOR;
-        ringOuterRadius *= DZ2_RING_SHRINK_FACTOR;
-        
-        let tubeRadius = Math.max(1.0, (ringOuterRadius - ringInnerRadius) * 0.5);
-        const majorRadius = (ringInnerRadius + ringOuterRadius) * 0.5;
-        
-        cache.type = 'dz2';
-        cache.data = {
-          t80pos: t95pos,
-          t80neg: t95neg,
-          lobeRadial: lobeRadial,
-          axialOffsetPos: axialOffsetPos,
-          axialOffsetNeg: axialOffsetNeg,
-          ring: {
-            innerRadius: ringInnerRadius,
-            outerRadius: ringOuterRadius,
-            majorRadius: majorRadius,
-            tubeRadius: tubeRadius,
-            color: RING_COLOR.slice(),
-            alpha: RING_ALPHA
-          }
-        };
-        
-        console.log(`📊 Dz² overlay: axial=${t95pos.toFixed(1)}/${t95neg.toFixed(1)}, radial=${lobeRadial.toFixed(1)}, ring=${ringInnerRadius.toFixed(1)}-${ringOuterRadius.toFixed(1)}`);
-      } else {
-        // Other D-orbitals (dxy, dxz, dyz, dx2-y2)
-        if (sampleCountSampled < 8) {
-          const fallbackAxes = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0]];
-          const allAxial = [];
-          const allRadial = [];
-          
-          for (let i = 0; i < sampleCountSampled; i++) {
-            const x = sampled[i * 3], y = sampled[i * 3 + 1], z = sampled[i * 3 + 2];
-            allRadial.push(Math.sqrt(x * x + y * y));
-            allAxial.push(Math.abs(z));
-          }
-          
-          const globalT95 = Math.max(0.01, percentile(allAxial, OVERLAY_PERCENTILE) * 1.05);
-          const globalRBase = Math.max(0.01, percentile(allRadial, OVERLAY_PERCENTILE) * 1.05);
-          const globalR95 = globalRBase * D_RADIAL_SHRINK_FACTOR * D_RADIAL_EXPAND_FACTOR;
-          
-          const processedLobes = [];
-          for (let a of fallbackAxes) {
-            processedLobes.push({
-              axisUnit: a,
-              axial: globalT95,
-              radialMajor: globalR95,
-              radialMinor: globalR95,
-              radialAngle: 0,
-              nearSideCompression: Math.max(0.0, globalT95 * 0.06)
-            });
-          }
-          
-          cache.type = 'd';
-          cache.data = { lobes: processedLobes, alpha: DZ2_OVERLAY_ALPHA };
-        } else {
-          const k = 4;
-          let clusters = kmeans(sampled, sampleCountSampled, k, 40);
-          const minClusterSize = Math.max(4, Math.floor(sampleCountSampled * 0.02));
-          let needFallback = false;
-          
-          for (let c = 0; c < clusters.length; c++) {
-            if (clusters[c].length < minClusterSize) {
-              needFallback = true;
-              break;
-            }
-          }
-          
-          if (needFallback) {
-            clusters = kmeans(sampled, sampleCountSampled, k, 60);
-          }
-          
-          const lobes = [];
-          const COVER_P = OVERLAY_PERCENTILE;
-          
-          for (let c = 0; c < clusters.length; c++) {
-            const idxs = clusters[c];
-            if (!idxs || idxs.length < 4) continue;
-            
-            let sx = 0, sy = 0, sz = 0;
-            const axialVals = [];
-            const proj1 = [];
-            const proj2 = [];
-            const radialValsPerSample = [];
-            
-            for (let j = 0; j < idxs.length; j++) {
-              const i = idxs[j];
-              sx += sampled[i * 3];
-              sy += sampled[i * 3 + 1];
-              sz += sampled[i * 3 + 2];
-            }
-            
-            sx /= idxs.length;
-            sy /= idxs.length;
-            sz /= idxs.length;
-            
-            const axis = [sx, sy, sz];
-            const axisLen = Math.sqrt(axis[0] * axis[0] + axis[1] * axis[1] + axis[2] * axis[2]) || 1.0;
-            const axisUnit = [axis[0] / axisLen, axis[1] / axisLen, axis[2] / axisLen];
-            const basis = makePerpBasis(axisUnit);
-            
-            for (let j = 0; j < idxs.length; j++) {
-              const i = idxs[j];
-              const x = sampled[i * 3], y = sampled[i * 3 + 1], z = sampled[i * 3 + 2];
-              const t = x * axisUnit[0] + y * axisUnit[1] + z * axisUnit[2];
-              axialVals.push(Math.abs(t));
-              proj1.push(Math.abs(dot([x, y, z], basis.v1)));
-              proj2.push(Math.abs(dot([x, y, z], basis.v2)));
-              const radialSq = x * x + y * y + z * z - t * t;
-              radialValsPerSample.push(Math.sqrt(Math.max(0, radialSq)));
-            }
-            
-            const t95 = Math.max(0.01, percentile(axialVals, COVER_P));
-            const r1_95 = Math.max(0.01, percentile(proj1, COVER_P));
-            const r2_95 = Math.max(0.01, percentile(proj2, COVER_P));
-            
-            let rotationAngle = 0;
-            if (r2_95 > r1_95) rotationAngle = Math.PI * 0.5;
-            
-            let preciseAngle = rotationAngle;
-            if (idxs.length >= 8) {
-              const p1 = [], p2 = [];
-              for (let j = 0; j < idxs.length; j++) {
-                const ii = idxs[j];
-                const x = sampled[ii * 3], y = sampled[ii * 3 + 1], z = sampled[ii * 3 + 2];
-                p1.push(dot([x, y, z], basis.v1));
-                p2.push(dot([x, y, z], basis.v2));
-              }
-              const pc = pca2D(p1.map(Math.abs), p2.map(Math.abs));
-              if (pc && typeof pc.angle === 'number') preciseAngle = pc.angle;
-            }
+    setSoloOrbital((box && box.key !== soloOrbitalKey) ? box.key : null);
+  });
+}
 
-            lobes.push({
-              axisUnit: axisUnit,
-              t90: t95,
-              proj_r1_90: r1_95,
-              proj_r2_90: r2_95,
-              radialAngle: preciseAngle,
-              radialSamples: radialValsPerSample.slice(),
-              idxs: idxs.slice()
-            });
-          }
+function setEnergyPanelOpen(open) {
+  energyPanelEnabled = open;
+  setToggleButtonState(energyBtn, open);
+  
+  const panel = document.getElementById('energyPanel');
+  if (panel) panel.hidden = !open;
+  energyPlotKey = null;
+  if (!open) hoverOrbitalKey = null;
+}
 
-          if (lobes.length < 4) {
-            lobes.length = 0;
-            const fallbackAxes = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0]];
-            const allAxial = [];
-            const allRadial = [];
-            
-            for (let i = 0; i < sampleCountSampled; i++) {
-              const x = sampled[i * 3], y = sampled[i * 3 + 1], z = sampled[i * 3 + 2];
-              allRadial.push(Math.sqrt(x * x + y * y));
-              allAxial.push(Math.abs(z));
-            }
-            
-            const globalT95 = Math.max(0.01, percentile(allAxial, OVERLAY_PERCENTILE) * 1.05);
-            const globalRBase = Math.max(0.01, percentile(allRadial, OVERLAY_PERCENTILE) * 1.05);
-            const globalR95 = globalRBase * D_RADIAL_SHRINK_FACTOR * D_RADIAL_EXPAND_FACTOR;
-            
-            for (let a of fallbackAxes) {
-              lobes.push({
-                axisUnit: a,
-                t90: globalT95,
-                radialMajor: globalR95,
-                radialMinor: globalR95,
-                radialAngle: 0,
-                idxs: []
-              });
-            }
-          }
+// ============================================
+// TRANSITIONS & SPECTRUM
+// ============================================
 
-          const axialAll = [];
-          const radialAll = [];
-          
-          for (let li = 0; li < lobes.length; li++) {
-            const L = lobes[li];
-            const idxs = L.idxs || [];
-            
-            if (idxs.length > 0) {
-              for (let j = 0; j < idxs.length; j++) {
-                const ii = idxs[j];
-                const x = sampled[ii * 3], y = sampled[ii * 3 + 1], z = sampled[ii * 3 + 2];
-                const t = x * L.axisUnit[0] + y * L.axisUnit[1] + z * L.axisUnit[2];
-                axialAll.push(Math.abs(t));
-                const radialSq = x * x + y * y + z * z - t * t;
-                radialAll.push(Math.sqrt(Math.max(0, radialSq)));
-              }
-            } else {
-              axialAll.push(L.t90 || 0.0);
-              radialAll.push(Math.max(L.proj_r1_90 || 0.0, L.proj_r2_90 || 0.0));
-            }
-          }
+// Initial and final (n, l, m) of the transitions panel; invalid quantum numbers are
+// clamped and written back
+function transitionLevelsFromUI() {
+  const level = (prefix, fallback) => {
+    const els = ['N', 'L', 'M'].map(q => select(`#${prefix}${q}Input`));
+    if (els.some(el => !el)) return Object.assign({}, fallback);
+    
+    const read = (el, def) => {
+      const v = parseInt(el.value(), 10);
+      return isNaN(v) ? def : v;
+    };
+    const n = constrain(read(els[0], fallback.n), 1, TRANSITION_MAX_N);
+    const l = constrain(read(els[1], fallback.l), 0, n - 1);
+    const m = constrain(read(els[2], fallback.m), -l, l);
+    [n, l, m].forEach((v, i) => {
+      if (String(v) !== els[i].value()) els[i].value(v);
+    });
+    return { n, l, m };
+  };
+  
+  return {
+    from: level('transFrom', TRANSITION_DEFAULTS.from),
+    to: level('transTo', TRANSITION_DEFAULTS.to)
+  };
+}
+
+function setupTransitionPanel() {
+  for (const prefix of ['transFrom', 'transTo']) {
+    for (const q of ['N', 'L', 'M']) {
+      const el = document.getElementById(`${prefix}${q}Input`);
+      if (el) el.addEventListener('input', () => { transitionPlotKey = null; });
+    }
+  }
+  
+  const morphBtn = document.getElementById('transitionMorphBtn');
+  if (morphBtn) morphBtn.addEventListener('click', playTransitionMorph);
+}
+
+function setTransitionPanelOpen(open) {
+  transitionPanelEnabled = open;
+  setToggleButtonState(transitionBtn, open);
+  
+  const panel = document.getElementById('transitionPanel');
+  if (panel) panel.hidden = !open;
+  transitionPlotKey = null;
+}
 
-          const COVER_P_GLOBAL = OVERLAY_PERCENTILE;
-          let canonicalAxial = axialAll.length ? percentile(axialAll, COVER_P_GLOBAL) : 8.0;
-          let canonicalRadialBase = radialAll.length ? percentile(radialAll, COVER_P_GLOBAL) : 2.0;
-          canonicalAxial = Math.max(0.01, canonicalAxial);
-          const canonicalRadial = Math.max(0.01, canonicalRadialBase * D_RADIAL_SHRINK_FACTOR * D_RADIAL_EXPAND_FACTOR);
-
-          const processedLobes = [];
-          for (let i = 0; i < lobes.length; i++) {
-            const L = lobes[i];
-            const axisUnit = L.axisUnit;
-            let rotAng = (typeof L.radialAngle === 'number') ? L.radialAngle : 0;
-            rotAng = ((rotAng + Math.PI) % (2 * Math.PI)) - Math.PI;
-            const nearSideCompression = Math.max(0.0, canonicalAxial * 0.06);
-            
-            processedLobes.push({
-              axisUnit: axisUnit,
-              axial: canonicalAxial,
-              radialMajor: canonicalRadial,
-              radialMinor: canonicalRadial,
-              radialAngle: rotAng,
-              nearSideCompression: nearSideCompression
-            });
-          }
+// "+1", "−1", "0"
+function signedInt(v) {
+  return v > 0 ? `+${v}` : (v < 0 ? `−${-v}` : '0');
+}
 
-          cache.type = 'd';
-          cache.data = { lobes: processedLobes, alpha: DZ2_OVERLAY_ALPHA };
-          console.log(`📊 D-orbital overlay: axial=${canonicalAxial.toFixed(1)}, radial=${canonicalRadial.toFixed(1)}, lobes=${processedLobes.length}`);
-        }
+// Called every frame while the panel is open; only rewrites the verdict and redraws
+// the strip when the levels, Z, basis, language or canvas size changed
+function updateTransitionPanel() {
+  const canvasEl = document.getElementById('spectrumCanvas');
+  const infoEl = document.getElementById('transitionInfo');
+  if (!canvasEl || !infoEl) return;
+  
+  const dpr = window.devicePixelRatio || 1;
+  const cssW = canvasEl.clientWidth || 356;
+  const cssH = canvasEl.clientHeight || 100;
+  const { from, to } = transitionLevelsFromUI();
+  const complexBasis = isComplexBasis();
+  const key = `${from.n},${from.l},${from.m}|${to.n},${to.l},${to.m}|${nuclearCharge}|${complexBasis}|${document.documentElement.lang}|${cssW}x${cssH}@${dpr}`;
+  if (key === transitionPlotKey) return;
+  transitionPlotKey = key;
+  
+  const rules = dipoleSelection(from, to, complexBasis);
+  const photon = transitionPhoton(from.n, to.n, nuclearCharge);
+  const dmName = complexBasis ? 'Δm' : 'Δ|m|';
+  const needs = [];
+  if (!rules.lRule) needs.push(translateUI('transNeedL', 'needs Δl = ±1'));
+  if (!rules.mRule) {
+    needs.push(complexBasis
+      ? translateUI('transNeedM', 'needs Δm = 0, ±1')
+      : translateUI('transNeedAxis', 'no x, y or z component links the two orbitals'));
+  }
+  // Real orbitals: which polarisations drive the transition
+  const via = rules.allowed && rules.axes ? ` · ${translateUI('transPolarization', 'polarization')} ${rules.axes.join(', ')}` : '';
+  
+  const verdict = `${getOrbitalLabel(from.n, from.l, from.m, complexBasis)} → ${getOrbitalLabel(to.n, to.l, to.m, complexBasis)}: ` +
+    `${rules.allowed ? '✓' : '✗'} ${rules.allowed ? translateUI('transAllowed', 'Allowed') : translateUI('transForbidden', 'Forbidden')}` +
+    ` · Δl = ${signedInt(rules.deltaL)}, ${dmName} = ${signedInt(rules.deltaM)}${needs.length ? ` (${needs.join('; ')})` : ''}${via}`;
+  
+  let line = translateUI('transNoPhoton', 'Same energy level: no photon');
+  if (photon) {
+    const region = { uv: translateUI('regionUV', 'UV'), visible: translateUI('regionVisible', 'visible'), ir: translateUI('regionIR', 'IR') };
+    line = `${photon.emission ? translateUI('transEmission', 'Emission') : translateUI('transAbsorption', 'Absorption')}` +
+      ` · ${translateUI('transSeries', 'Series')}: ${photon.series || `n = ${photon.lower}`}` +
+      ` · λ = ${photon.wavelengthNm.toFixed(1)} nm (${region[spectralRegion(photon.wavelengthNm)]})` +
+      ` · E = ${photon.energyEV.toFixed(2)} eV`;
+  }
+  infoEl.textContent = '';
+  for (const text of [verdict, line]) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    infoEl.appendChild(div);
+  }
+  infoEl.classList.toggle('is-forbidden', !rules.allowed);
+  
+  if (canvasEl.width !== Math.round(cssW * dpr) || canvasEl.height !== Math.round(cssH * dpr)) {
+    canvasEl.width = Math.round(cssW * dpr);
+    canvasEl.height = Math.round(cssH * dpr);
+  }
+  
+  const ctx = canvasEl.getContext('2d');
+  if (!ctx) return;
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  drawSpectrumStrip(ctx, cssW, cssH, photon, nuclearCharge);
+}
+
+// Hydrogen-like emission spectrum on a log-wavelength strip from past the Lyman limit
+// to Pfund α: the visible band in colour, the first lines of each series fading toward
+// its limit, and the chosen transition's line on top
+function drawSpectrumStrip(ctx, w, h, photon, Z) {
+  ctx.clearRect(0, 0, w, h);
+  ctx.font = `10px ${FONT_FALLBACK_NAME}`;
+  ctx.textBaseline = 'middle';
+  
+  let lo = seriesLimitNm(1, Z) * 0.85;
+  let hi = transitionPhoton(SPECTRUM_SERIES_SHOWN + 1, SPECTRUM_SERIES_SHOWN, Z).wavelengthNm * 1.1;
+  if (photon) {
+    lo = Math.min(lo, photon.wavelengthNm * 0.9);
+    hi = Math.max(hi, photon.wavelengthNm * 1.1);
+  }
+  const padL = 4, padR = 4, top = 18, bottom = h - 28;
+  const xOf = nm => padL + Math.log(nm / lo) / Math.log(hi / lo) * (w - padL - padR);
+  
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.04)';
+  ctx.fillRect(padL, top, w - padL - padR, bottom - top);
+  
+  // Visible band
+  const x0 = Math.max(padL, Math.floor(xOf(VISIBLE_MIN_NM)));
+  const x1 = Math.min(w - padR, Math.ceil(xOf(VISIBLE_MAX_NM)));
+  for (let x = x0; x < x1; x++) {
+    const c = wavelengthColor(lo * Math.pow(hi / lo, (x + 0.5 - padL) / (w - padL - padR)));
+    if (!c) continue;
+    ctx.fillStyle = cssColor(c, 0.3);
+    ctx.fillRect(x, top, 1, bottom - top);
+  }
+  
+  // Series lines, labelled at their α line
+  const lineColor = nm => wavelengthColor(nm) || (nm < VISIBLE_MIN_NM ? SPECTRUM_UV_COLOR : SPECTRUM_IR_COLOR);
+  ctx.lineWidth = 1;
+  for (let lower = 1; lower <= SPECTRUM_SERIES_SHOWN; lower++) {
+    seriesLines(lower, SPECTRUM_LINES_PER_SERIES, Z).forEach((line, k) => {
+      const x = xOf(line.wavelengthNm);
+      ctx.strokeStyle = cssColor(lineColor(line.wavelengthNm), 0.8 * (1 - k / (SPECTRUM_LINES_PER_SERIES + 2)));
+      ctx.beginPath();
+      ctx.moveTo(x + 0.5, top);
+      ctx.lineTo(x + 0.5, bottom);
+      ctx.stroke();
+      
+      if (k === 0) {
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.textAlign = 'right';
+        ctx.fillText(SPECTRAL_SERIES[lower], x, bottom + 8);
       }
+    });
+  }
+  
+  // Wavelength ticks
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.45)';
+  ctx.textAlign = 'center';
+  for (let decade = Math.floor(Math.log10(lo)); decade <= Math.ceil(Math.log10(hi)); decade++) {
+    for (const mantissa of [1, 2, 5]) {
+      const nm = mantissa * Math.pow(10, decade);
+      if (nm < lo || nm > hi) continue;
+      const x = xOf(nm);
+      ctx.fillRect(x, bottom, 1, 3);
+      ctx.fillText(nm >= 1000 ? `${+(nm / 1000).toPrecision(3)} µm` : `${+nm.toPrecision(3)} nm`, x, bottom + 20);
     }
-    
-    overlayCache = cache;
-  }, 8);
+  }
+  
+  if (!photon) return;
+  
+  // The chosen transition
+  const x = xOf(photon.wavelengthNm);
+  const c = lineColor(photon.wavelengthNm);
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+  ctx.lineWidth = 4;
+  ctx.beginPath();
+  ctx.moveTo(x, top - 4);
+  ctx.lineTo(x, bottom + 2);
+  ctx.stroke();
+  ctx.strokeStyle = cssColor(c, 1);
+  ctx.lineWidth = 2;
+  ctx.stroke();
+  
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+  ctx.textAlign = x < w / 2 ? 'left' : 'right';
+  ctx.fillText(`${photon.wavelengthNm.toFixed(1)} nm`, x + (x < w / 2 ? 4 : -4), 8);
+}
+
+// Puts (n, l, m) in the main inputs and resamples now
+function showMainOrbital(q) {
+  if (!ui.nInput || !ui.lInput || !ui.mInput) return;
+  ui.nInput.value(q.n);
+  ui.lInput.value(q.l);
+  ui.mInput.value(q.m);
+  try {
+    if (typeof window.refreshOrbitalLabel === 'function') window.refreshOrbitalLabel();
+  } catch (e) {}
+  createOrbitalFromUI();
+}
+
+// Shows the initial orbital (in basic mode, unless complete mode is on) and, once it
+// has been on screen for TRANSITION_HOLD_MS, the final one: the display buffers carry
+// each point from its old position to its new one
+function playTransitionMorph() {
+  const { from, to } = transitionLevelsFromUI();
+  const mode = window.orbitalMode || 'basic';
+  if (mode !== 'basic' && mode !== 'complete' && ui.modeSelect && ui.modeSelect.elt) {
+    ui.modeSelect.elt.value = 'basic';
+    ui.modeSelect.elt.dispatchEvent(new Event('change'));
+  }
+  
+  showMainOrbital(from);
+  transitionMorph = { to, since: millis() };
+}
+
+// Called from draw() while a morph is pending; the hold starts once sampling is done
+function stepTransitionMorph() {
+  if (sampling) {
+    transitionMorph.since = millis();
+    return;
+  }
+  if (millis() - transitionMorph.since < TRANSITION_HOLD_MS) return;
+  
+  const to = transitionMorph.to;
+  transitionMorph = null;
+  showMainOrbital(to);
 }
 
 // ============================================
@@ -2457,6 +6302,7 @@ function initDisplayBuffersAfterSampling(prevPositions, prevCount, newPositions,
 
   const newDisp = new Float32Array(maxCount * 3);
   const newAlphas = new Float32Array(maxCount);
+  const rng = rngFor(samplingSeed, 'display');
 
   for (let i = 0; i < maxCount; i++) {
     if (i < pCount && prevPositions && prevPositions.length >= (i * 3 + 3)) {
@@ -2471,7 +6317,7 @@ function initDisplayBuffersAfterSampling(prevPositions, prevCount, newPositions,
       newAlphas[i] = 1.0;
     } else {
       const ang = (i * 97.3) % (Math.PI * 2);
-      const rr = NUCLEUS_RADIUS + ELECTRON_MIN_GAP + (Math.random() * 6.0);
+      const rr = NUCLEUS_RADIUS + ELECTRON_MIN_GAP + (rng() * 6.0);
       newDisp[i * 3] = Math.cos(ang) * rr;
       newDisp[i * 3 + 1] = Math.sin(ang) * rr;
       newDisp[i * 3 + 2] = 0;
@@ -2520,7 +6366,7 @@ function updateDisplayBuffers() {
   
   displayCount = maxCount;
 
-  const updates = Math.min(DISPLAY_UPDATES_PER_FRAME, maxCount);
+  const updates = Math.ceil(Math.min(Math.max(DISPLAY_UPDATES_PER_FRAME, maxCount / DISPLAY_SWEEP_FRAMES), maxCount));
   let start = displayUpdateCursor;
   let end = Math.min(maxCount, start + updates);
 
@@ -2550,6 +6396,7 @@ function updateDisplayBuffers() {
     }
   }
 
+  if (mainPointCloud) mainPointCloud.markDirty(start, end);
   displayUpdateCursor = end >= maxCount ? 0 : end;
   
   // Update inner orbitals
@@ -2563,10 +6410,14 @@ function updateDisplayBuffers() {
 // ============================================
 
 function draw() {
-  background(0);
+  if (snapshotState && snapshotState.transparent) clear();
+  else background(0);
   
   const dt = (typeof deltaTime !== 'undefined' && isFinite(deltaTime)) ? Math.min(deltaTime, 100) : 16.67;
 
+  // Superposition mode: recordings evolve by a fixed step per frame, like the rotation
+  if ((window.orbitalMode || 'basic') === 'superposition') advanceSuperpositionTime(turntableState ? 1000 / TURNTABLE_FPS : dt);
+
   // ✅ OPTIMIZED: Smooth zoom with lerp
   const ZOOM_LERP = 0.12;
   if (isFinite(camZoomTarget) && Math.abs(camZoomTarget - camZoom) > 1e-5) {
@@ -2575,7 +6426,13 @@ function draw() {
   }
 
   // ✅ OPTIMIZED: Physics-based smooth rotation (NO JERKING)
-  if (autoRotate && !isDragging) {
+  if (turntableState) {
+    // Recording: a fixed step per frame, independent of deltaTime
+    rotY = turntableState.startRotY + TWO_PI * turntableState.frame / turntableState.frames;
+    rotYTarget = rotY;
+    rotYVelocity = 0;
+    rotX = turntableState.tilt;
+  } else if (autoRotate && !isDragging) {
     // Apply constant angular velocity
     rotYVelocity = ROTATION_SPEED * dt;
     rotYTarget += rotYVelocity;
@@ -2611,13 +6468,16 @@ function draw() {
   
   const axisLen = computeAxisLength90();
   drawAxes(axisLen);
+  if (sliceEnabled) drawSlicePlaneFrame();
 
   ensureSceneLights();
 
-  // Render nucleus
-  if (nucleus) nucleus.render(rotX, rotY, camZoom, worldToScreen, normalizeVec3, backLightColor);
+  // Render nucleus (two in molecule mode)
+  if (window.orbitalMode === 'molecule') drawMoleculeNuclei();
+  else if (nucleus) nucleus.render(rotX, rotY, camZoom, worldToScreen, normalizeVec3, backLightColor);
 
   updateDisplayBuffers();
+  stepInnerOverlayQueue();
 
   // Enable depth testing
   try {
@@ -2638,13 +6498,11 @@ function draw() {
       noLights();
       
       const baseUIVal = (ui.electronSizeInput && ui.electronSizeInput.value) ? parseFloat(ui.electronSizeInput.value()) || 1 : 1;
-      const pointSize = constrain(max(0.5, baseUIVal * 1.5), 0.5, 18);
       
       for (let i = 0; i < innerOrbitals.length; i++) {
-        innerOrbitals[i].render(pointSize);
+        innerOrbitals[i].render(baseUIVal);
       }
       
-      strokeWeight(1);
       ensureSceneLights();
     }
     
@@ -2657,38 +6515,43 @@ function draw() {
         noLights();
         
         let electronColor;
+        let emphasis = 1;
         if (currentMode === 'complete' && ui.nInput && ui.lInput) {
           const n = parseInt(ui.nInput.value(), 10);
           const l = parseInt(ui.lInput.value(), 10);
           electronColor = getSubshellColor(n, l);
+          if (ui.mInput) emphasis = orbitalEmphasis(n, l, parseInt(ui.mInput.value(), 10));
         } else {
           electronColor = getSubshellColor(1, 0);
         }
         
         const baseUIVal = (ui.electronSizeInput && ui.electronSizeInput.value) ? parseFloat(ui.electronSizeInput.value()) || 1 : 1;
-        const pointSize = constrain(max(0.5, baseUIVal * 1.5), 0.5, 18);
-        
-        strokeWeight(pointSize);
-        beginShape(POINTS);
-        for (let i = 0; i < renderCount; i++) {
-          const idx = i * 3;
-          const alpha = (alphasDisplay && i < alphasDisplay.length) ? alphasDisplay[i] : 1.0;
-          const alphaVal = Math.round(255 * constrain(alpha, 0, 1));
-          
-          stroke(electronColor[0], electronColor[1], electronColor[2], alphaVal);
-          fill(electronColor[0], electronColor[1], electronColor[2], alphaVal);
-          vertex(renderPositions[idx], renderPositions[idx + 1], renderPositions[idx + 2]);
-        }
-        endShape();
+        const renderAlphas = (renderPositions === positionsDisplay) ? alphasDisplay : null;
         
-        strokeWeight(1);
+        drawPointCloud(mainPointCloud, {
+          positions: renderPositions,
+          alphas: renderAlphas,
+          sizes,
+          phases,
+          sampleCount,
+          count: renderCount,
+          defaultSize: baseUIVal
+        }, electronColor, emphasis);
         ensureSceneLights();
       }
     }
   }
 
-  // Render overlay (S, P, D orbitals)
-  if (currentMode === 'basic' && overlayEnabled && overlayCache) {
+  if (currentMode === 'hybrid') drawHybridDirections();
+  if (currentMode === 'superposition') {
+    noLights();
+    drawSuperpositionDipole();
+    ensureSceneLights();
+  }
+
+  // Render overlays: the main cloud's in basic mode, one per orbital in complete mode
+  const overlayShapes = overlayEnabled ? visibleOverlayShapes(currentMode) : [];
+  if (overlayShapes.length > 0) {
     try {
       hint(ENABLE_DEPTH_TEST);
     } catch (e) {}
@@ -2710,244 +6573,8 @@ function draw() {
       blendMode(BLEND);
     } catch (e) {}
 
-    const safeLobeAlpha = Math.max(8, Math.round(DZ2_OVERLAY_ALPHA * 0.35));
-    const safeRingAlpha = Math.max(6, Math.round(RING_ALPHA * 0.30));
-
-    // S-orbital overlay
-    if (overlayCache.type === 's') {
-      const r95 = overlayCache.data.r95;
-      
-      push();
-      noStroke();
-      const scaledR = r95 * OVERLAY_SCALE;
-      
-      if (overlayShader) {
-        shader(overlayShader);
-        overlayShader.setUniform('uLightDirection', [0.2, -0.4, 1.0]);
-        overlayShader.setUniform('uBaseColor', [DZ2_OVERLAY_COLOR[0] / 255, DZ2_OVERLAY_COLOR[1] / 255, DZ2_OVERLAY_COLOR[2] / 255]);
-        overlayShader.setUniform('uOpacity', safeLobeAlpha / 255);
-        overlayShader.setUniform('uAmbient', 0.25);
-        overlayShader.setUniform('uDiffuse', 0.50);
-        overlayShader.setUniform('uSpecular', 0.25);
-        overlayShader.setUniform('uShininess', 48.0);
-        overlayShader.setUniform('uRimPower', 3.0);
-        overlayShader.setUniform('uRimIntensity', 0.35);
-        
-        try {
-          fill(DZ2_OVERLAY_COLOR[0], DZ2_OVERLAY_COLOR[1], DZ2_OVERLAY_COLOR[2], safeLobeAlpha);
-        } catch (e) {}
-        
-        drawPerfectSmoothSphere(scaledR, OVERLAY_SPHERE_DETAIL, OVERLAY_SPHERE_DETAIL);
-        resetShader();
-      } else {
-        const shaded = shadedColorForAxis(DZ2_OVERLAY_COLOR, [0, 0, 1], safeLobeAlpha);
-        ambientMaterial(Math.round(shaded[0] * 0.9), Math.round(shaded[1] * 0.9), Math.round(shaded[2] * 0.9));
-        specularMaterial(100, 100, 100);
-        shininess(20);
-        
-        try {
-          if (typeof sphereDetail === 'function') sphereDetail(OVERLAY_SPHERE_DETAIL);
-          fill(Math.round(shaded[0] * 0.9), Math.round(shaded[1] * 0.9), Math.round(shaded[2] * 0.9), safeLobeAlpha);
-        } catch (e) {}
-        
-        sphere(scaledR);
-        
-        try {
-          noFill();
-        } catch (e) {}
-      }
-      
-      // Highlights
-      push();
-      try {
-        pointLight(180, 180, 180, scaledR * 0.3, -scaledR * 0.3, scaledR * 0.2);
-      } catch (e) {}
-      translate(scaledR * 0.25, -scaledR * 0.25, 0);
-      specularMaterial(200, 200, 200);
-      shininess(60);
-      sphere(scaledR * 0.05);
-      pop();
-      
-      push();
-      try {
-        pointLight(150, 150, 150, -scaledR * 0.25, scaledR * 0.25, -scaledR * 0.15);
-      } catch (e) {}
-      translate(-scaledR * 0.22, scaledR * 0.22, -scaledR * 0.08);
-      specularMaterial(180, 180, 180);
-      shininess(50);
-      sphere(scaledR * 0.04);
-      pop();
-      
-      try {
-        if (typeof sphereDetail === 'function') sphereDetail(sphereResolution);
-      } catch (e) {}
-      pop();
-    }
-    // P-orbital overlay
-    else if (overlayCache.type === 'p') {
-      const lobes = overlayCache.data.lobes || [];
-      const lobeEntries = [];
-      
-      for (let li = 0; li < lobes.length; li++) {
-        const L = lobes[li];
-        const axialLen = Math.max(4, L.t95) * OVERLAY_SCALE;
-        const axialOffset = 0;
-        const cx = L.axisUnit[0] * (axialLen * 0.5 + axialOffset);
-        const cy = L.axisUnit[1] * (axialLen * 0.5 + axialOffset);
-        const cz = L.axisUnit[2] * (axialLen * 0.5 + axialOffset);
-        const cam = worldToCameraSpace(cx, cy, cz);
-        lobeEntries.push({ idx: li, depth: cam.z, L: L });
-      }
-      
-      lobeEntries.sort((a, b) => a.depth - b.depth);
-      
-      for (let e of lobeEntries) {
-        const L = e.L;
-        const scaledAxial = Math.max(4, L.t95) * OVERLAY_SCALE;
-        const scaledRadial = Math.max(0.01, L.r95) * OVERLAY_SCALE;
-        
-        push();
-        drawLobeEllipsoidBase(L.axisUnit, scaledAxial, scaledRadial, DZ2_OVERLAY_COLOR, safeLobeAlpha, 0, true);
-        pop();
-      }
-    }
-    // Dz² overlay
-    else if (overlayCache.type === 'dz2') {
-      const d = overlayCache.data;
-      
-      if (d) {
-        const lobeAxialPos = d.t80pos;
-        const lobeAxialNeg = d.t80neg;
-        const axialOffsetPos = d.axialOffsetPos || 0;
-        const axialOffsetNeg = d.axialOffsetNeg || 0;
-        const lobeRadial = d.lobeRadial;
-        
-        const entries = [];
-        const cpos = [0, 0, (lobeAxialPos * 0.5 + axialOffsetPos)];
-        const cneg = [0, 0, (-lobeAxialNeg * 0.5 + axialOffsetNeg)];
-        const camPos = worldToCameraSpace(cpos[0], cpos[1], cpos[2]);
-        const camNeg = worldToCameraSpace(cneg[0], cneg[1], cneg[2]);
-        
-        entries.push({
-          depth: camPos.z,
-          draw: () => drawLobeEllipsoid([0, 0, 1], lobeAxialPos, lobeRadial, DZ2_OVERLAY_COLOR, safeLobeAlpha, axialOffsetPos, true)
-        });
-        
-        entries.push({
-          depth: camNeg.z,
-          draw: () => drawLobeEllipsoid([0, 0, -1], lobeAxialNeg, lobeRadial, DZ2_OVERLAY_COLOR, safeLobeAlpha, axialOffsetNeg, true)
-        });
-        
-        entries.sort((a, b) => a.depth - b.depth);
-        
-        for (let ent of entries) {
-          push();
-          ent.draw();
-          pop();
-        }
-        
-        // Ring
-        if (d.ring) {
-          push();
-          noStroke();
-          
-          if (overlayShader) {
-            shader(overlayShader);
-            overlayShader.setUniform('uLightDirection', [0.2, -0.4, 1.0]);
-            overlayShader.setUniform('uBaseColor', [d.ring.color[0] / 255, d.ring.color[1] / 255, d.ring.color[2] / 255]);
-            overlayShader.setUniform('uOpacity', safeRingAlpha / 255);
-            overlayShader.setUniform('uAmbient', 0.25);
-            overlayShader.setUniform('uDiffuse', 0.50);
-            overlayShader.setUniform('uSpecular', 0.25);
-            overlayShader.setUniform('uShininess', 48.0);
-            overlayShader.setUniform('uRimPower', 3.0);
-            overlayShader.setUniform('uRimIntensity', 0.35);
-          } else {
-            const shadedRing = shadedColorForAxis(d.ring.color, [0, 0, 1], safeRingAlpha);
-            ambientMaterial(Math.round(shadedRing[0] * 0.9), Math.round(shadedRing[1] * 0.9), Math.round(shadedRing[2] * 0.9));
-            specularMaterial(100, 100, 100);
-            shininess(20);
-          }
-          
-          try {
-            fill(d.ring.color[0], d.ring.color[1], d.ring.color[2], safeRingAlpha);
-          } catch (e) {}
-          
-          const segs = computeTorusSegments(d.ring.majorRadius, d.ring.tubeRadius);
-          const uSegs = Math.max(48, Math.min(segs.uSegs, 512));
-          const vSegs = Math.max(12, Math.min(segs.vSegs, 128));
-          
-          try {
-            if (typeof torus === 'function') {
-              torus(d.ring.majorRadius, d.ring.tubeRadius, uSegs, vSegs);
-            } else {
-              drawSmoothTorus(d.ring.majorRadius, d.ring.tubeRadius, uSegs, vSegs);
-            }
-          } catch (e) {
-            try {
-              drawSmoothTorus(d.ring.majorRadius, d.ring.tubeRadius, Math.min(120, uSegs), Math.min(48, vSegs));
-            } catch (ee) {}
-          }
-          
-          try {
-            noFill();
-          } catch (e) {}
-          
-          if (overlayShader) resetShader();
-          pop();
-        }
-      }
-    }
-    // Other D-orbitals overlay
-    else if (overlayCache.type === 'd') {
-      const lobes = overlayCache.data.lobes || [];
-      const entries = [];
-      
-      for (let li = 0; li < lobes.length; li++) {
-        const L = lobes[li];
-        const baseAxial = Math.max(0.01, L.axial);
-        const axialLen = Math.max(4, baseAxial * OVERLAY_SCALE);
-        const radialMajor = Math.max(0.01, (L.radialMajor || L.radial) * OVERLAY_SCALE);
-        const radialMinor = Math.max(0.01, (L.radialMinor || L.radial) * OVERLAY_SCALE);
-        const rotationAngle = L.radialAngle || 0;
-        const axialOffsetBase = axialLen * D_OVERLAY_AXIAL_PUSH_MULT;
-        const axialOffset = axialOffsetBase + (L.nearSideCompression || 0);
-        
-        const cx = L.axisUnit[0] * (axialLen * 0.5 + axialOffset);
-        const cy = L.axisUnit[1] * (axialLen * 0.5 + axialOffset);
-        const cz = L.axisUnit[2] * (axialLen * 0.5 + axialOffset);
-        const cam = worldToCameraSpace(cx, cy, cz);
-        
-        entries.push({
-          depth: cam.z,
-          L: L,
-          axialLen: axialLen,
-          axialOffset: axialOffset,
-          radialMajor: radialMajor,
-          radialMinor: radialMinor,
-          rotationAngle: rotationAngle
-        });
-      }
-      
-      entries.sort((a, b) => a.depth - b.depth);
-      
-      for (let e of entries) {
-        push();
-        drawLobeEllipsoidBase3(
-          e.L.axisUnit,
-          e.axialLen,
-          e.radialMajor,
-          e.radialMinor,
-          e.rotationAngle,
-          DZ2_OVERLAY_COLOR,
-          ((overlayCache.data && overlayCache.data.alpha) ? overlayCache.data.alpha : DZ2_OVERLAY_ALPHA) * 0.5,
-          e.axialOffset,
-          true
-        );
-        pop();
-      }
-    }
-
+    for (const shape of overlayShapes) drawOverlayShapes(shape.cache, shape.alpha);
+    
     pop();
     setWebGLDepthMask(true);
     
@@ -2982,6 +6609,25 @@ function draw() {
   } else {
     if (progressDiv) progressDiv.hide();
   }
+
+  if (radialPanelEnabled) {
+    safeCall(updateRadialPlotPanel, { where: 'updateRadialPlotPanel' });
+  }
+  if (sliceEnabled) {
+    safeCall(updateSlicePanel, { where: 'updateSlicePanel' });
+  }
+  if (energyPanelEnabled) {
+    safeCall(updateEnergyDiagramPanel, { where: 'updateEnergyDiagramPanel' });
+  }
+  if (legendPanelEnabled) {
+    safeCall(updateOrbitalLegend, { where: 'updateOrbitalLegend' });
+  }
+  if (transitionPanelEnabled) {
+    safeCall(updateTransitionPanel, { where: 'updateTransitionPanel' });
+  }
+  if (transitionMorph) {
+    safeCall(stepTransitionMorph, { where: 'stepTransitionMorph' });
+  }
 }
 
 // ============================================
@@ -3100,6 +6746,7 @@ function createOrbitalFromUI() {
   let m = parseInt(ui.mInput.value(), 10);
   let electronSize = parseFloat(ui.electronSizeInput.value());
   let numElectrons = parseInt(ui.numElectronsInput.value(), 10);
+  let Z = ui.zInput ? parseInt(ui.zInput.value(), 10) : 1;
   
   if (isNaN(n) || n < 1) {
     n = 1;
@@ -3121,6 +6768,14 @@ function createOrbitalFromUI() {
     numElectrons = 0;
     ui.numElectronsInput.value(numElectrons);
   }
+  if (isNaN(Z) || Z < 1 || Z > MAX_NUCLEAR_CHARGE) {
+    Z = constrain(isNaN(Z) ? 1 : Z, 1, MAX_NUCLEAR_CHARGE);
+    if (ui.zInput) ui.zInput.value(Z);
+  }
+  
+  nuclearCharge = Z;
+  if (nucleus) nucleus.radius = NUCLEUS_RADIUS * lengthScaleForCharge();
+  if (ui.seedInput) setSamplingSeed(ui.seedInput.value());
   
   if (numElectrons > MAX_ELECTRONS) {
     numElectrons = MAX_ELECTRONS;
@@ -3138,16 +6793,30 @@ function createOrbitalFromUI() {
     } catch (e) {}
   }
   
+  if (window.orbitalMode === 'hybrid') {
+    createHybridOrbitalsFromUI(numElectrons, electronSize);
+    return;
+  }
+  if (window.orbitalMode === 'molecule') {
+    createMolecularOrbitalsFromUI(numElectrons, electronSize);
+    return;
+  }
+  if (window.orbitalMode === 'superposition') {
+    createSuperpositionFromUI(numElectrons, electronSize);
+    return;
+  }
+  
   if (l >= n) return;
   if (Math.abs(m) > l) return;
   
-  const uiHash = `${n}|${l}|${m}|${electronSize}|${numElectrons}|${window.orbitalMode}`;
+  const uiHash = `${n}|${l}|${m}|${Z}|${slaterEnabled}|${configElementZ}|${configCharge}|${electronSize}|${numElectrons}|${window.orbitalMode}|${window.orbitalBasis}|${samplingSeed}`;
   if (uiHash === lastUIHash) return;
   lastUIHash = uiHash;
   
   if (numElectrons === 0) {
     positions = null;
     sizes = null;
+    phases = null;
     sampleCount = 0;
     sampleTarget = 0;
     sampling = false;
@@ -3155,13 +6824,19 @@ function createOrbitalFromUI() {
     positionsDisplay = null;
     displayCount = 0;
     alphasDisplay = null;
-    innerOrbitals = [];
+    clearInnerOrbitals();
     return;
   }
   
   currentSamplingId++;
   const mySamplingId = currentSamplingId;
+  cancelWorkerSampling(mySamplingId);
   overlayCache = null;
+  
+  if (keepViewFromUrl) {
+    keepViewFromUrl = false;
+    viewLockedSamplingId = mySamplingId;
+  }
 
   const prevPositionsForTransition = positionsDisplay ? Float32Array.from(positionsDisplay)
     : (positions ? Float32Array.from(positions) : null);
@@ -3169,14 +6844,15 @@ function createOrbitalFromUI() {
 
   positions = new Float32Array(numElectrons * 3);
   sizes = new Float32Array(numElectrons);
+  phases = new Int8Array(numElectrons);
   sampleCount = 0;
   sampleTarget = numElectrons;
   sampling = true;
 
-  innerOrbitals = [];
+  clearInnerOrbitals();
 
   const estAxis = estimateAxisLenFromQuantum(n, l);
-  fitViewToAxisLen(estAxis, false, false);
+  if (autoFitAllowed(mySamplingId)) fitViewToAxisLen(estAxis, false, false);
 
   setTimeout(() => {
     sampleOrbitalChunked(n, l, m, numElectrons, electronSize, mySamplingId, () => {
@@ -3184,21 +6860,17 @@ function createOrbitalFromUI() {
         if (mySamplingId !== currentSamplingId) return;
         sampling = false;
         
-        const applyNearDoubling = (l === 2 && m === 0);
-        const nearThresholdForCall = applyNearDoubling ? NEAR_THRESHOLD_ABS : null;
-        const nearEqThresholdForCall = applyNearDoubling ? NEAR_THRESHOLD_EQ_ABS : null;
-        pushElectronsOutward(GLOBAL_RADIAL_PUSH, EQ_RADIAL_PUSH, applyNearDoubling, NEAR_NUCLEAR_PUSH_MULT, nearThresholdForCall, nearEqThresholdForCall);
-        
         const mainOrbital = new Orbital(n, l, m, numElectrons, electronSize);
         mainOrbital.positions = positions;
         mainOrbital.sizes = sizes;
+        mainOrbital.phases = phases;
         mainOrbital.sampleCount = sampleCount;
         
-        if (window.orbitalMode === 'complete' && n > 1) {
+        if (window.orbitalMode === 'complete' && (n > 1 || configElementZ !== null)) {
           createAllInnerOrbitals(n, l, m, numElectrons, electronSize, mySamplingId);
         }
         
-        fitViewToPoints(false, true);
+        if (autoFitAllowed(mySamplingId)) fitViewToPoints(false, true);
 
         try {
           if (window.instantTransition) {
@@ -3226,7 +6898,8 @@ function createOrbitalFromUI() {
           console.warn('Instant transition fallback due to error', e);
         }
 
-        if (overlayEnabled && window.orbitalMode === 'basic') {
+        // Complete mode without inner orbitals (n = 1, no element) shows the main cloud's overlay
+        if (overlayEnabled && (window.orbitalMode === 'basic' || (window.orbitalMode === 'complete' && innerOrbitals.length === 0))) {
           try {
             computeOverlay();
           } catch (err) {
@@ -3240,151 +6913,453 @@ function createOrbitalFromUI() {
   }, 10);
 }
 
-function createAllInnerOrbitals(outerN, outerL, outerM, numElectrons, electronSize, samplingId) {
-  const allOrbitals = getAllInnerOrbitalsAufbau(outerN, outerL, outerM);
-  console.log(`🔬 Aufbau Mode: Creating ${allOrbitals.length} orbitals for (${outerN},${outerL},${outerM})`);
+// Hybrid and molecule modes: the main cloud gives way to the Orbitals makeOrbitals()
+// returns, sampled side by side; estAxis is the first guess at the view size
+function createOrbitalSet(uiHash, numElectrons, makeOrbitals, estAxis) {
+  if (uiHash === lastUIHash) return;
+  lastUIHash = uiHash;
+  
+  currentSamplingId++;
+  const mySamplingId = currentSamplingId;
+  cancelWorkerSampling(mySamplingId);
+  
+  positions = null;
+  sizes = null;
+  phases = null;
+  sampleCount = 0;
+  sampleTarget = 0;
+  sampling = false;
+  overlayCache = null;
+  mainCloudInfo = null;
+  positionsDisplay = null;
+  displayCount = 0;
+  alphasDisplay = null;
+  clearInnerOrbitals();
+  if (numElectrons === 0) return;
+  
+  if (keepViewFromUrl) {
+    keepViewFromUrl = false;
+    viewLockedSamplingId = mySamplingId;
+  }
+  
+  innerOrbitals = makeOrbitals();
+  if (autoFitAllowed(mySamplingId)) fitViewToAxisLen(estAxis, false, false);
+  
+  let pending = innerOrbitals.length;
+  for (const orbital of innerOrbitals) {
+    sampleOrbitalForObject(orbital, mySamplingId, () => {
+      if (mySamplingId !== currentSamplingId) return;
+      orbital.initDisplayBuffers(null, 0);
+      pending--;
+      if (pending === 0 && autoFitAllowed(mySamplingId)) fitViewToPoints(false, true);
+    });
+  }
+}
+
+// Hybrid mode: one HybridOrbital per hybrid shown, the points split evenly between them
+function createHybridOrbitalsFromUI(numElectrons, electronSize) {
+  const setKey = ui.hybridSetSelect ? ui.hybridSetSelect.value() : 'sp3';
+  const choice = ui.hybridIndexSelect ? ui.hybridIndexSelect.value() : 'all';
+  const hybrids = hybridOrbitals(setKey);
+  const chosen = hybrids.filter(h => String(h.index + 1) === choice);
+  const shown = chosen.length > 0 ? chosen : hybrids;
+  const perHybrid = Math.max(1, Math.round(numElectrons / shown.length));
+  
+  createOrbitalSet(
+    `hybrid|${setKey}|${choice}|${nuclearCharge}|${electronSize}|${numElectrons}|${samplingSeed}`,
+    numElectrons,
+    () => shown.map(h => new HybridOrbital(h, perHybrid, electronSize)),
+    estimateAxisLenFromQuantum(HYBRID_SHELLS[setKey], 1)
+  );
+}
+
+// Molecule mode: one MolecularOrbital per MO shown (every occupied one, or the one
+// picked), the points split evenly between them
+function createMolecularOrbitalsFromUI(numElectrons, electronSize) {
+  const { key, molecule, bond, mos, choice } = moleculeFromUI();
+  if (nucleus) nucleus.radius = NUCLEUS_RADIUS * MOLECULE_NUCLEUS_SCALE;
+  
+  const chosen = mos.filter(mo => mo.id === choice);
+  const shown = chosen.length > 0 ? chosen : mos.filter(mo => mo.occupancy > 0);
+  const perMo = Math.max(1, Math.round(numElectrons / Math.max(1, shown.length)));
+  const zeff = mo => slaterEffectiveCharge(molecule.Z, mo.n, mo.l, aufbauConfiguration(molecule.Z));
+  const reach = shown.reduce((acc, mo) => Math.max(acc, radialQuantile(mo.n, mo.l, 0.99) / zeff(mo)), 0);
+  
+  createOrbitalSet(
+    `molecule|${key}|${bond}|${choice}|${electronSize}|${numElectrons}|${samplingSeed}`,
+    numElectrons,
+    () => shown.map(mo => new MolecularOrbital(mo, key, bond, zeff(mo), perMo, electronSize)),
+    max((bond / 2 + reach) * a0 * ELECTRON_DISTANCE_MULTIPLIER * 1.12, 120)
+  );
+}
+
+// Superposition mode: one SuperpositionOrbital for the two states of the editor
+function createSuperpositionFromUI(numElectrons, electronSize) {
+  const states = superpositionStatesFromUI();
+  const terms = superpositionTerms(states, nuclearCharge);
+  const outer = states.reduce((acc, s) => (s.n > acc.n ? s : acc), states[0]);
+  
+  createOrbitalSet(
+    `superposition|${states.map(s => `${s.n},${s.l},${s.m},${s.c}`).join('|')}|${nuclearCharge}|${electronSize}|${numElectrons}|${samplingSeed}`,
+    numElectrons,
+    () => [new SuperpositionOrbital(terms, nuclearCharge, numElectrons, electronSize)],
+    estimateAxisLenFromQuantum(outer.n, outer.l)
+  );
+}
+
+function createAllInnerOrbitals(outerN, outerL, outerM, numElectrons, electronSize, samplingId) {
+  const config = activeConfiguration();
+  const allOrbitals = config ? configurationOrbitals(config) : getAllInnerOrbitalsAufbau(outerN, outerL, outerM);
+  if (config) console.log(`🔬 ${ionLabel(configElementZ, configCharge)}: Creating ${allOrbitals.length} orbitals for ${formatConfiguration(config)}`);
+  else console.log(`🔬 Aufbau Mode: Creating ${allOrbitals.length} orbitals for (${outerN},${outerL},${outerM})`);
+  
+  const totalOrbitals = allOrbitals.length;
+  let pendingInner = 0;
+  const baseElectronCount = Math.max(800, Math.floor(numElectrons * 1.5 / totalOrbitals));
+  
+  for (let i = 0; i < allOrbitals.length; i++) {
+    const { n, l, m } = allOrbitals[i];
+    let innerElectronCount;
+    const shellDistance = Math.max(0, outerN - n);
+    const isMainOrbital = (n === outerN && l === outerL && m === outerM);
+    
+    if (isMainOrbital) {
+      innerElectronCount = Math.min(MAX_INNER_ELECTRONS, Math.floor(numElectrons * 0.25));
+    } else {
+      let scaleFactor;
+      if (shellDistance === 0) scaleFactor = 1.2;
+      else if (shellDistance === 1) scaleFactor = 1.4;
+      else if (shellDistance === 2) scaleFactor = 1.6;
+      else scaleFactor = 1.8;
+      
+      innerElectronCount = Math.floor(baseElectronCount * scaleFactor);
+      if (n === 1) innerElectronCount = Math.floor(innerElectronCount * 2.0);
+      else if (n === 2) innerElectronCount = Math.floor(innerElectronCount * 1.5);
+    }
+    
+    innerElectronCount = Math.max(800, Math.min(innerElectronCount, MAX_INNER_ELECTRONS));
+    if (allOrbitals[i].count === 1) innerElectronCount = Math.round(innerElectronCount / 2); // Singly occupied (Hund)
+    
+    if (innerElectronCount <= 0) continue;
+    
+    const orbital = new Orbital(n, l, m, innerElectronCount, electronSize);
+    orbital.occupancy = allOrbitals[i].count || (isMainOrbital ? 1 : 2);
+    innerOrbitals.push(orbital);
+    pendingInner++;
+    sampleOrbitalForObject(orbital, samplingId, () => {
+      if (samplingId !== currentSamplingId) return;
+      if (window.instantTransition && orbital.sampleCount > 0) orbital.initDisplayBuffers(null, 0);
+      if (overlayEnabled) queueInnerOverlay(orbital, samplingId);
+      pendingInner--;
+      if (pendingInner === 0 && autoFitAllowed(samplingId)) fitViewToPoints(false, true);
+    });
+    
+    const marker = isMainOrbital ? '⭐' : '  ';
+    const orbitalName = getOrbitalLabel(n, l, m);
+    const shellLabel = shellDistance === 0 ? 'SAME' : `-${shellDistance}`;
+    console.log(`${marker}[${i + 1}/${totalOrbitals}] ${orbitalName.padEnd(8)} | ${String(innerElectronCount).padStart(5)} e⁻ | Shell: ${shellLabel} | Z_eff ${orbital.zEff.toFixed(2)} | RGB(${orbital.color.join(',')})`);
+  }
+  
+  hoverOrbitalKey = null;
+  const keys = new Set(innerOrbitals.map(o => orbitalKey(o.n, o.l, o.m)));
+  if (!keys.has(soloOrbitalKey)) soloOrbitalKey = null;
+  if (!keys.has(dimOthersKey)) dimOthersKey = null;
+  
+  console.log(`✅ Created ${innerOrbitals.length} orbitals with improved distribution`);
+  console.log(`📊 Total electrons: ${innerOrbitals.reduce((sum, o) => sum + o.electronCount, 0) + numElectrons}`);
+}
+
+// ============================================
+// SAMPLER WORKER CLIENT
+// ============================================
+
+let samplerWorker = null;
+let samplerWorkerFailed = false;
+let samplerJobSeq = 0;
+const samplerJobs = new Map();
+const isosurfaceJobs = new Map(); // Isosurface requests share the worker and the job ids
+
+function getSamplerWorker() {
+  if (samplerWorkerFailed || typeof Worker === 'undefined') return null;
+  if (samplerWorker) return samplerWorker;
+  
+  try {
+    samplerWorker = new Worker('samplerWorker.js');
+    samplerWorker.onmessage = handleSamplerMessage;
+    samplerWorker.onerror = (ev) => {
+      console.warn('⚠️ Sampler worker failed, falling back to main thread', ev && ev.message ? ev.message : ev);
+      try {
+        if (ev && typeof ev.preventDefault === 'function') ev.preventDefault();
+      } catch (e) {}
+      disableSamplerWorker();
+    };
+  } catch (e) {
+    console.warn('⚠️ Sampler worker unavailable, sampling on main thread', e);
+    samplerWorker = null;
+    samplerWorkerFailed = true;
+  }
+  
+  return samplerWorker;
+}
+
+// Tear the worker down and re-run every pending job on the main thread
+function disableSamplerWorker() {
+  samplerWorkerFailed = true;
+  try {
+    if (samplerWorker) samplerWorker.terminate();
+  } catch (e) {}
+  samplerWorker = null;
+  
+  const pending = Array.from(samplerJobs.values());
+  samplerJobs.clear();
+  for (const job of pending) {
+    if (job.samplingId !== currentSamplingId) continue;
+    safeCall(job.fallback, { where: 'sampler worker fallback', jobId: job.jobId, samplingId: job.samplingId });
+  }
+  
+  const pendingIso = Array.from(isosurfaceJobs.values());
+  isosurfaceJobs.clear();
+  for (const job of pendingIso) safeCall(job.fallback, { where: 'isosurface worker fallback', jobId: job.jobId });
+}
+
+function cancelWorkerSampling(samplingId) {
+  for (const [jobId, job] of samplerJobs) {
+    if (job.samplingId < samplingId) samplerJobs.delete(jobId);
+  }
+  
+  if (!samplerWorker) return;
+  try {
+    samplerWorker.postMessage({ type: 'cancel', samplingId });
+  } catch (e) {}
+}
+
+function handleSamplerMessage(ev) {
+  const msg = ev.data || {};
+  if (msg.type === 'isosurface' || msg.type === 'isosurfaceError') {
+    handleIsosurfaceMessage(msg);
+    return;
+  }
+  
+  const job = samplerJobs.get(msg.jobId);
+  if (!job) return;
+  
+  if (job.samplingId !== currentSamplingId) {
+    samplerJobs.delete(msg.jobId);
+    return;
+  }
+  
+  if (msg.type === 'batch') {
+    safeCall(() => job.onBatch(msg.start, msg.count, msg.positions, msg.phases), { where: 'sampler batch', jobId: msg.jobId });
+  } else if (msg.type === 'done') {
+    samplerJobs.delete(msg.jobId);
+    safeCall(job.onDone, { where: 'sampler done', jobId: msg.jobId });
+  } else if (msg.type === 'error') {
+    samplerJobs.delete(msg.jobId);
+    console.warn('Sampler worker job failed, retrying on main thread', msg.message);
+    safeCall(job.fallback, { where: 'sampler job error fallback', jobId: msg.jobId });
+  }
+}
+
+// Queues a sampling job on the worker; returns false when the caller must sample itself
+function requestWorkerSampling(params, samplingId, callbacks) {
+  const worker = getSamplerWorker();
+  if (!worker) return false;
+  
+  const jobId = ++samplerJobSeq;
+  samplerJobs.set(jobId, {
+    jobId,
+    samplingId,
+    onBatch: callbacks.onBatch,
+    onDone: callbacks.onDone,
+    fallback: callbacks.fallback
+  });
+  
+  try {
+    worker.postMessage(Object.assign({
+      type: 'sample',
+      jobId,
+      samplingId,
+      batchSize: CHUNK_SAMPLES,
+      attemptsPerBatch: ATTEMPTS_PER_CHUNK
+    }, params));
+  } catch (e) {
+    samplerJobs.delete(jobId);
+    console.warn('⚠️ Failed to post sampling job, sampling on main thread', e);
+    return false;
+  }
+  
+  return true;
+}
+
+function handleIsosurfaceMessage(msg) {
+  const job = isosurfaceJobs.get(msg.jobId);
+  if (!job) return;
+  isosurfaceJobs.delete(msg.jobId);
   
-  const totalOrbitals = allOrbitals.length;
-  const baseElectronCount = Math.max(800, Math.floor(numElectrons * 1.5 / totalOrbitals));
+  if (msg.type === 'isosurface') {
+    safeCall(() => job.onReady({ level: msg.level, surfaces: msg.surfaces }), { where: 'isosurface result', jobId: msg.jobId });
+  } else {
+    console.warn('Isosurface worker job failed, retrying on main thread', msg.message);
+    safeCall(job.fallback, { where: 'isosurface job error fallback', jobId: msg.jobId });
+  }
+}
+
+// Queues an isosurface extraction on the worker; returns false when the caller must run it itself
+function requestWorkerIsosurface(params, onReady, fallback) {
+  const worker = getSamplerWorker();
+  if (!worker) return false;
   
-  for (let i = 0; i < allOrbitals.length; i++) {
-    const { n, l, m } = allOrbitals[i];
-    let innerElectronCount;
-    const shellDistance = outerN - n;
-    const isMainOrbital = (n === outerN && l === outerL && m === outerM);
-    
-    if (isMainOrbital) {
-      innerElectronCount = Math.min(MAX_INNER_ELECTRONS, Math.floor(numElectrons * 0.25));
-    } else {
-      let scaleFactor;
-      if (shellDistance === 0) scaleFactor = 1.2;
-      else if (shellDistance === 1) scaleFactor = 1.4;
-      else if (shellDistance === 2) scaleFactor = 1.6;
-      else scaleFactor = 1.8;
-      
-      innerElectronCount = Math.floor(baseElectronCount * scaleFactor);
-      if (n === 1) innerElectronCount = Math.floor(innerElectronCount * 2.0);
-      else if (n === 2) innerElectronCount = Math.floor(innerElectronCount * 1.5);
-    }
-    
-    innerElectronCount = Math.max(800, Math.min(innerElectronCount, MAX_INNER_ELECTRONS));
-    
-    if (innerElectronCount <= 0) continue;
-    
-    const orbital = new Orbital(n, l, m, innerElectronCount, electronSize);
-    sampleOrbitalForObject(orbital, samplingId);
-    innerOrbitals.push(orbital);
-    
-    const marker = isMainOrbital ? '⭐' : '  ';
-    const orbitalName = getOrbitalLabel(n, l, m);
-    const shellLabel = shellDistance === 0 ? 'SAME' : `-${shellDistance}`;
-    console.log(`${marker}[${i + 1}/${totalOrbitals}] ${orbitalName.padEnd(8)} | ${String(innerElectronCount).padStart(5)} e⁻ | Shell: ${shellLabel} | RGB(${orbital.color.join(',')})`);
+  const jobId = ++samplerJobSeq;
+  isosurfaceJobs.set(jobId, { jobId, onReady, fallback });
+  
+  try {
+    worker.postMessage(Object.assign({ type: 'isosurface', jobId }, params));
+  } catch (e) {
+    isosurfaceJobs.delete(jobId);
+    console.warn('⚠️ Failed to post isosurface job, extracting on main thread', e);
+    return false;
   }
   
-  console.log(`✅ Created ${innerOrbitals.length} orbitals with improved distribution`);
-  console.log(`📊 Total electrons: ${innerOrbitals.reduce((sum, o) => sum + o.electronCount, 0) + numElectrons}`);
+  return true;
+}
+
+// stream names the cloud ('main', 'inner') so each one draws its own seeded sequence
+function samplerParamsFor(n, l, m, count, distanceScale, zEff, angularTries, stream) {
+  return {
+    n, l, m, count, angularTries,
+    radialScale: a0 * distanceScale / zEff,
+    minR: (NUCLEUS_RADIUS + ELECTRON_MIN_GAP) * lengthScaleForCharge(),
+    complexBasis: isComplexBasis(),
+    seed: samplingSeed,
+    stream: `${stream}|${n}|${l}|${m}|${count}`
+  };
+}
+
+// Seeded sequence for one purpose, or p5's random() when no seed is set
+function rngFor(seed, stream) {
+  return seed === null ? () => random() : createSeededRng(hashSeed(seed, stream));
+}
+
+// Seed from the UI: any short string, blank for unseeded sampling. Unmapped subshell
+// colours are drawn from the seed too, so a seeded link looks the same everywhere.
+function setSamplingSeed(value) {
+  const seed = String(value === null || value === undefined ? '' : value).trim().slice(0, MAX_SEED_LENGTH) || null;
+  if (seed === samplingSeed) return;
+  
+  samplingSeed = seed;
+  ORBITAL_COLORS = generateVibrantColors(30, seed === null ? Math.random : createSeededRng(hashSeed(seed, 'colors')));
 }
 
-function sampleOrbitalForObject(orbital, samplingId) {
+// ============================================
+// ORBITAL SAMPLING
+// ============================================
+
+function sampleOrbitalForObject(orbital, samplingId, onDone) {
   if (orbital.electronCount <= 0) return;
+  if (orbital.psi) {
+    sampleOrbitalMetropolis(orbital, samplingId, onDone);
+    return;
+  }
   
   const n = orbital.n, l = orbital.l, m = orbital.m;
   const numSamples = orbital.electronCount, electronSize = orbital.electronSize;
   
   orbital.positions = new Float32Array(numSamples * 3);
   orbital.sizes = new Float32Array(numSamples);
+  orbital.phases = new Int8Array(numSamples);
   orbital.sampleCount = 0;
   
-  const k = Math.max(1, 2 * l + 3);
-  const thetaScale = (n * a0) / 2.5;
-  const radialScale = radialLScale(l) * orbital.distanceScale;
-  const maxAngular = estimateMaxAngular(l, m, 500) * 1.2;
-  const minR = NUCLEUS_RADIUS + ELECTRON_MIN_GAP;
+  const params = samplerParamsFor(n, l, m, numSamples, orbital.distanceScale, orbital.zEff, 10, 'inner');
+  if (orbital.hybrid) {
+    params.terms = orbital.hybrid.terms;
+    params.stream = `hybrid|${orbital.hybrid.set}|${orbital.hybrid.index}|${params.stream}`;
+  }
+  const finish = () => {
+    safeCall(() => {
+      onDone && onDone();
+    }, { where: 'sampleOrbitalForObject finish', samplingId, n, l, m });
+  };
+  
+  const queued = requestWorkerSampling(params, samplingId, {
+    onBatch: (start, count, batch, batchPhases) => {
+      orbital.positions.set(batch, start * 3);
+      if (batchPhases) orbital.phases.set(batchPhases, start);
+      orbital.sizes.fill(electronSize, start, start + count);
+      orbital.sampleCount = start + count;
+    },
+    onDone: finish,
+    fallback: () => {
+      orbital.sampleCount = 0;
+      if (sampleOrbitalForObjectSync(orbital, params, samplingId)) finish();
+    }
+  });
+  
+  if (!queued && sampleOrbitalForObjectSync(orbital, params, samplingId)) finish();
+}
+
+// Main-thread fallback; returns false if a newer sampling run took over
+function sampleOrbitalForObjectSync(orbital, params, samplingId) {
+  const numSamples = orbital.electronCount;
+  const rng = rngFor(params.seed, params.stream);
+  const state = params.terms
+    ? createCombinationSamplerState(params.terms, params.radialScale, params.minR, params.angularTries, rng)
+    : createSamplerState(params.n, params.l, params.m, params.radialScale, params.minR, params.angularTries, rng, params.complexBasis);
   
   let sampleCount = 0, attempts = 0;
   const maxAttempts = ATTEMPTS_PER_CHUNK * 5;
   
   while (sampleCount < numSamples && attempts < maxAttempts) {
-    if (samplingId !== currentSamplingId) return;
-    attempts++;
-    
-    let sumExp = 0;
-    for (let i = 0; i < k; i++) {
-      let u = random();
-      if (u <= 1e-12) u = 1e-12;
-      sumExp += -Math.log(u);
-    }
-    
-    let r = thetaScale * sumExp * radialScale;
-    if (r < minR) continue;
-    
-    let accepted = false, thetaS = 0, phiS = 0;
-    for (let aTry = 0; aTry < 10; aTry++) {
-      const cosT = random(-1, 1);
-      thetaS = acos(cosT);
-      phiS = random(0, TWO_PI);
-      const ang = angularProb(thetaS, phiS, l, m);
-      if (random() < ang / maxAngular) {
-        accepted = true;
-        break;
-      }
-    }
+    if (samplingId !== currentSamplingId) return false;
     
-    if (!accepted) continue;
-    
-    const x = r * sin(thetaS) * cos(phiS);
-    const y = r * sin(thetaS) * sin(phiS);
-    const z = r * cos(thetaS);
-    
-    const idx = sampleCount * 3;
-    orbital.positions[idx] = x;
-    orbital.positions[idx + 1] = y;
-    orbital.positions[idx + 2] = z;
-    orbital.sizes[sampleCount] = electronSize;
-    sampleCount++;
+    const res = sampleOrbitalBatch(state, orbital.positions, sampleCount, Math.min(CHUNK_SAMPLES, numSamples - sampleCount), maxAttempts - attempts, rng, orbital.phases);
+    sampleCount += res.written;
+    attempts += res.attempts;
   }
   
   if (sampleCount < numSamples) {
-    const rMax = Math.max(1, n * n * a0 * 1.4);
-    for (let i = sampleCount; i < numSamples; i++) {
-      let rr = rMax * pow(random(), 1.0 / 3.0) * radialScale;
-      if (rr < minR) rr = minR + (rMax - minR) * pow(random(), 1.0 / 3.0);
-      const theta2 = acos(random(-1, 1));
-      const phi2 = random(0, TWO_PI);
-      
-      const idx = i * 3;
-      orbital.positions[idx] = rr * sin(theta2) * cos(phi2);
-      orbital.positions[idx + 1] = rr * sin(theta2) * sin(phi2);
-      orbital.positions[idx + 2] = rr * cos(theta2);
-      orbital.sizes[i] = electronSize;
-    }
+    fillUniformBall(state, orbital.positions, sampleCount, numSamples, rng, orbital.phases);
     sampleCount = numSamples;
   }
   
+  orbital.sizes.fill(orbital.electronSize, 0, sampleCount);
   orbital.sampleCount = sampleCount;
+  return true;
+}
+
+// Metropolis–Hastings fill from orbital.psi, for wavefunctions the separable samplers
+// cannot draw. ψ takes hydrogen-like Bohr radii (world = Bohr · a0 · distanceScale /
+// Z_eff, as for every cloud). A callback cannot be posted to the worker, so this runs
+// on the main thread in chunks; the display buffers pick points up as they arrive.
+function sampleOrbitalMetropolis(orbital, samplingId, onDone) {
+  const numSamples = orbital.electronCount;
+  orbital.positions = new Float32Array(numSamples * 3);
+  orbital.sizes = new Float32Array(numSamples);
+  orbital.phases = new Int8Array(numSamples);
+  orbital.sampleCount = 0;
   
-  const globalFactor = GLOBAL_RADIAL_PUSH * 0.95;
-  const EPS = 1e-6;
+  const radialScale = a0 * orbital.distanceScale / orbital.zEff;
+  const minR = (orbital.psiOptions && orbital.psiOptions.minR !== undefined) ? orbital.psiOptions.minR : (NUCLEUS_RADIUS + ELECTRON_MIN_GAP) * lengthScaleForCharge();
+  const rng = rngFor(samplingSeed, `metropolis|${orbital.psiStream || `${orbital.n}|${orbital.l}|${orbital.m}`}|${numSamples}`);
+  const state = createMetropolisState(orbital.psi, radialScale, minR, orbital.psiOptions || {}, rng);
   
-  for (let i = 0; i < sampleCount; i++) {
-    const idx = i * 3;
-    let x = orbital.positions[idx], y = orbital.positions[idx + 1], z = orbital.positions[idx + 2];
-    const r3D = Math.sqrt(x * x + y * y + z * z);
-    
-    if (r3D <= EPS) {
-      const ang = random(0, TWO_PI);
-      const newR = Math.max(minR, 0.5 * globalFactor);
-      orbital.positions[idx] = Math.cos(ang) * newR;
-      orbital.positions[idx + 1] = Math.sin(ang) * newR;
-      orbital.positions[idx + 2] = 0;
-    } else {
-      const newR3D = Math.max(minR, r3D * globalFactor);
-      const s = newR3D / r3D;
-      orbital.positions[idx] = x * s;
-      orbital.positions[idx + 1] = y * s;
-      orbital.positions[idx + 2] = z * s;
+  const step = () => {
+    if (samplingId !== currentSamplingId) return;
+    
+    const start = orbital.sampleCount;
+    const res = sampleMetropolisBatch(state, orbital.positions, start, Math.min(CHUNK_SAMPLES, numSamples - start), ATTEMPTS_PER_CHUNK, rng, orbital.phases);
+    orbital.sizes.fill(orbital.electronSize, start, start + res.written);
+    orbital.sampleCount = start + res.written;
+    
+    if (orbital.sampleCount >= numSamples) {
+      safeCall(() => {
+        onDone && onDone();
+      }, { where: 'sampleOrbitalMetropolis finish', samplingId });
+      return;
     }
-  }
+    setTimeout(step, 0);
+  };
+  
+  setTimeout(step, 0);
 }
 
 function sampleOrbitalChunked(n, l, m, numSamples, electronSize, samplingId, onDone) {
@@ -3395,154 +7370,259 @@ function sampleOrbitalChunked(n, l, m, numSamples, electronSize, samplingId, onD
     return;
   }
   
-  const k = Math.max(1, 2 * l + 3);
-  const thetaScale = (n * a0) / 2.0;
-  const radialScale = radialLScale(l) * ELECTRON_DISTANCE_MULTIPLIER;
-  const maxAngular = estimateMaxAngular(l, m, 500) * 1.2;
-  const minR = NUCLEUS_RADIUS + ELECTRON_MIN_GAP;
+  const zEff = effectiveChargeFor(n, l);
+  const params = samplerParamsFor(n, l, m, numSamples, ELECTRON_DISTANCE_MULTIPLIER, zEff, 20, 'main');
+  mainCloudInfo = { n, l, m, complexBasis: params.complexBasis, zEff, radialScale: params.radialScale };
+  const finish = (where) => {
+    safeCall(() => {
+      onDone && onDone();
+    }, { where, samplingId, n, l, m, numSamples });
+  };
+  
+  const queued = requestWorkerSampling(params, samplingId, {
+    onBatch: (start, count, batch, batchPhases) => {
+      positions.set(batch, start * 3);
+      if (batchPhases) phases.set(batchPhases, start);
+      sizes.fill(electronSize, start, start + count);
+      sampleCount = start + count;
+    },
+    onDone: () => finish('sampleOrbitalChunked worker finish'),
+    fallback: () => {
+      sampleCount = 0;
+      sampleOrbitalChunkedMainThread(params, numSamples, electronSize, samplingId, finish);
+    }
+  });
+  
+  if (!queued) sampleOrbitalChunkedMainThread(params, numSamples, electronSize, samplingId, finish);
+}
+
+// Main-thread fallback: setTimeout chunks so the UI keeps breathing
+function sampleOrbitalChunkedMainThread(params, numSamples, electronSize, samplingId, finish) {
+  const rng = rngFor(params.seed, params.stream);
+  const state = createSamplerState(params.n, params.l, params.m, params.radialScale, params.minR, params.angularTries, rng, params.complexBasis);
   
   function chunk() {
     if (samplingId !== currentSamplingId) return;
     
     const stopIndex = Math.min(numSamples, sampleCount + CHUNK_SAMPLES);
-    let attemptsThisChunk = 0;
-    const startCount = sampleCount;
-    
-    while (sampleCount < stopIndex && attemptsThisChunk < ATTEMPTS_PER_CHUNK) {
-      if (samplingId !== currentSamplingId) return;
-      attemptsThisChunk++;
-      
-      let sumExp = 0;
-      for (let i = 0; i < k; i++) {
-        let u = random();
-        if (u <= 1e-12) u = 1e-12;
-        sumExp += -Math.log(u);
-      }
-      
-      let r = thetaScale * sumExp * radialScale;
-      if (r < minR) continue;
-      
-      let accepted = false, thetaS = 0, phiS = 0;
-      for (let aTry = 0; aTry < 20; aTry++) {
-        const cosT = random(-1, 1);
-        thetaS = acos(cosT);
-        phiS = random(0, TWO_PI);
-        const ang = angularProb(thetaS, phiS, l, m);
-        if (random() < ang / maxAngular) {
-          accepted = true;
-          break;
-        }
-      }
-      
-      if (!accepted) continue;
-      
-      const x = r * sin(thetaS) * cos(phiS);
-      const y = r * sin(thetaS) * sin(phiS);
-      const z = r * cos(thetaS);
-      
-      const idx = sampleCount * 3;
-      positions[idx] = x;
-      positions[idx + 1] = y;
-      positions[idx + 2] = z;
-      sizes[sampleCount] = electronSize;
-      sampleCount++;
-    }
+    const res = sampleOrbitalBatch(state, positions, sampleCount, stopIndex - sampleCount, ATTEMPTS_PER_CHUNK, rng, phases);
+    sizes.fill(electronSize, sampleCount, sampleCount + res.written);
+    sampleCount += res.written;
     
     if (sampleCount < numSamples) {
-      if (attemptsThisChunk >= ATTEMPTS_PER_CHUNK && sampleCount === startCount) {
-        const rMax = Math.max(1, n * n * a0 * 1.8);
-        for (let i = sampleCount; i < numSamples; i++) {
-          let rr = rMax * pow(random(), 1.0 / 3.0) * radialScale;
-          if (rr < minR) rr = minR + (rMax - minR) * pow(random(), 1.0 / 3.0);
-          const theta2 = acos(random(-1, 1));
-          const phi2 = random(0, TWO_PI);
-          
-          const idx = i * 3;
-          positions[idx] = rr * sin(theta2) * cos(phi2);
-          positions[idx + 1] = rr * sin(theta2) * sin(phi2);
-          positions[idx + 2] = rr * cos(theta2);
-          sizes[i] = electronSize;
-        }
+      if (res.attempts >= ATTEMPTS_PER_CHUNK && res.written === 0) {
+        fillUniformBall(state, positions, sampleCount, numSamples, rng, phases);
+        sizes.fill(electronSize, sampleCount, numSamples);
         sampleCount = numSamples;
-        safeCall(() => {
-          onDone && onDone();
-        }, { where: 'sampleOrbitalChunked fallback-fill', samplingId, n, l, m, numSamples });
+        finish('sampleOrbitalChunked fallback-fill');
         return;
       }
       
-      if (samplingId !== currentSamplingId) return;
-      
-      if (attemptsThisChunk >= ATTEMPTS_PER_CHUNK) setTimeout(chunk, 10);
+      if (res.attempts >= ATTEMPTS_PER_CHUNK) setTimeout(chunk, 10);
       else setTimeout(chunk, 0);
       return;
     }
     
-    safeCall(() => {
-      onDone && onDone();
-    }, { where: 'sampleOrbitalChunked finish', samplingId, n, l, m, numSamples });
+    finish('sampleOrbitalChunked finish');
   }
   
   chunk();
 }
 
 // ============================================
-// WAVEFUNCTION HELPERS
+// NUCLEAR CHARGE & SLATER SHIELDING
 // ============================================
 
-function estimateMaxAngular(l, m, trialCount = 400) {
-  let maxVal = 1e-20;
+// World lengths shrink as 1/Z so the nucleus and cut-offs stay in proportion
+function lengthScaleForCharge() {
+  return 1.0 / Math.max(1, nuclearCharge);
+}
+
+// Slater groups: 1s | 2s2p | 3s3p | 3d | 4s4p | 4d | 4f | 5s5p ...
+function slaterGroupRank(n, l) {
+  const type = l <= 1 ? 0 : l - 1;
+  return n * 4 + type;
+}
+
+function slaterEffectiveCharge(Z, n, l, config) {
+  const rank = slaterGroupRank(n, l);
+  const isSP = l <= 1;
+  let shielding = 0;
+  
+  for (const shell of config) {
+    const shellRank = slaterGroupRank(shell.n, shell.l);
+    const count = (shell.n === n && shell.l === l) ? Math.max(0, shell.count - 1) : shell.count;
+    if (count <= 0) continue;
+    
+    if (shellRank === rank) {
+      shielding += count * (n === 1 ? 0.30 : 0.35);
+    } else if (shellRank < rank) {
+      shielding += count * ((isSP && shell.n === n - 1) ? 0.85 : 1.00);
+    }
+  }
   
-  for (let i = 0; i < trialCount; i++) {
-    const cosT = random(-1, 1);
-    const theta = acos(cosT);
-    const phi = random(0, TWO_PI);
-    const v = angularProb(theta, phi, l, m);
-    if (v > maxVal) maxVal = v;
+  return Math.max(1, Z - shielding);
+}
+
+// Charge seen by an (n, l) electron: bare Z, or Slater Z_eff in complete mode
+// (shielded by the chosen element's configuration when there is one)
+function effectiveChargeFor(n, l) {
+  const Z = Math.max(1, nuclearCharge);
+  if (!slaterEnabled || window.orbitalMode !== 'complete') return Z;
+  return slaterEffectiveCharge(Z, n, l, activeConfiguration() || aufbauConfiguration(Z));
+}
+
+// ============================================
+// ELEMENT CONFIGURATION
+// ============================================
+
+// Configuration of the chosen element or ion, or null when complete mode derives the
+// inner orbitals from the outermost (n, l, m) alone
+function activeConfiguration() {
+  if (configElementZ === null) return null;
+  return electronConfiguration(configElementZ, configCharge);
+}
+
+// At least one electron, and no more than the Aufbau table holds
+function clampIonCharge(Z, charge) {
+  const q = isFinite(charge) ? Math.round(charge) : 0;
+  return constrain(q, Math.max(MIN_ION_CHARGE, Z - AUFBAU_CAPACITY), Math.min(MAX_ION_CHARGE, Z - 1));
+}
+
+// Picks element Z (null clears it) as an ion of the given charge and sets the Z input;
+// unless keepOrbital, (n, l, m) moves to the orbital of the last electron placed
+function setConfigElement(Z, charge = 0, keepOrbital = false) {
+  if (!Z) {
+    configElementZ = null;
+    configCharge = 0;
+  } else {
+    configElementZ = Z;
+    configCharge = clampIonCharge(Z, charge);
+    if (ui.zInput) ui.zInput.value(Z);
+    
+    if (!keepOrbital && ui.nInput && ui.lInput && ui.mInput) {
+      const valence = valenceOrbital(activeConfiguration());
+      ui.nInput.value(valence.n);
+      ui.lInput.value(valence.l);
+      ui.mInput.value(valence.m);
+    }
   }
   
-  return maxVal;
+  syncElementControls();
+  updateConfigurationLabel();
+  updatePeriodicHighlight();
+}
+
+function syncElementControls() {
+  const selectEl = document.getElementById('elementSelect');
+  const chargeEl = document.getElementById('ionChargeInput');
+  if (selectEl) selectEl.value = configElementZ === null ? '' : String(configElementZ);
+  if (chargeEl && configElementZ !== null) chargeEl.value = String(configCharge);
+}
+
+// "Fe²⁺: [Ar] 3d⁶" under the orbital label; hidden without an element
+function updateConfigurationLabel() {
+  const labelEl = document.getElementById('configLabel');
+  if (!labelEl) return;
+  
+  const config = activeConfiguration();
+  labelEl.hidden = !config;
+  labelEl.textContent = config ? `${ionLabel(configElementZ, configCharge)}: ${formatConfiguration(config)}` : '';
 }
 
-function angularProb(theta, phi, l, m) {
-  const x = cos(theta);
-  const mm = abs(m);
-  const Plm = associatedLegendre(l, mm, x);
+function setupElementControls() {
+  const selectEl = document.getElementById('elementSelect');
+  const chargeEl = document.getElementById('ionChargeInput');
+  if (!selectEl) return;
+  
+  for (let Z = 1; Z <= ELEMENT_SYMBOLS.length; Z++) {
+    const option = document.createElement('option');
+    option.value = String(Z);
+    option.textContent = `${Z} ${elementSymbol(Z)}`;
+    selectEl.appendChild(option);
+  }
   
-  let ang = Plm;
-  if (m > 0) ang *= cos(m * phi);
-  else if (m < 0) ang *= sin(mm * phi);
+  // The synthetic input event runs the usual validation, constraints and resampling
+  const onChange = () => {
+    const Z = parseInt(selectEl.value, 10) || null;
+    setConfigElement(Z, chargeEl ? parseInt(chargeEl.value, 10) : 0);
+    if (ui.nInput && ui.nInput.elt) ui.nInput.elt.dispatchEvent(new Event('input'));
+  };
   
-  return ang * ang + 1e-30;
+  selectEl.addEventListener('change', onChange);
+  if (chargeEl) chargeEl.addEventListener('change', onChange);
 }
 
-function associatedLegendre(l, m, x) {
-  if (m > l) return 0;
+// ============================================
+// PERIODIC TABLE
+// ============================================
+
+// One button per element; a click selects the neutral atom (valence orbital in basic
+// mode, whole configuration in complete mode) and re-samples like the element select
+function setupPeriodicTable() {
+  const grid = document.getElementById('periodicGrid');
+  if (!grid || grid.childElementCount > 0) return;
   
-  let pmm = 1.0;
-  if (m > 0) {
-    let somx2 = sqrt(max(0, 1 - x * x));
-    let fact = 1.0;
-    for (let i = 1; i <= m; i++) {
-      pmm *= -fact * somx2;
-      fact += 2.0;
-    }
+  for (let Z = 1; Z <= ELEMENT_SYMBOLS.length; Z++) {
+    const pos = periodicTablePosition(Z);
+    const shell = lastFilledSubshell(Z);
+    const color = getSubshellColor(shell.n, shell.l);
+    
+    const cell = document.createElement('button');
+    cell.type = 'button';
+    cell.className = 'pt-cell';
+    cell.textContent = elementSymbol(Z);
+    cell.dataset.z = String(Z);
+    cell.dataset.block = elementBlock(Z);
+    cell.style.gridRow = String(pos.row);
+    cell.style.gridColumn = String(pos.col);
+    cell.style.setProperty('--cell-color', color.join(', '));
+    cell.title = `${Z} ${elementSymbol(Z)}: ${formatConfiguration(electronConfiguration(Z))}`;
+    cell.setAttribute('aria-label', cell.title);
+    grid.appendChild(cell);
   }
   
-  if (l === m) return pmm;
+  grid.addEventListener('click', ev => {
+    const cell = ev.target.closest('.pt-cell');
+    if (!cell) return;
+    setConfigElement(parseInt(cell.dataset.z, 10), 0);
+    if (ui.nInput && ui.nInput.elt) ui.nInput.elt.dispatchEvent(new Event('input'));
+  });
   
-  let pmmp1 = x * (2 * m + 1) * pmm;
-  if (l === m + 1) return pmmp1;
+  updatePeriodicHighlight();
+}
+
+// Selected element plus its whole block, tinted with the colour of its last subshell
+function updatePeriodicHighlight() {
+  const grid = document.getElementById('periodicGrid');
+  if (!grid) return;
   
-  let plmPrev = pmm;
-  let plm = pmmp1;
+  const Z = configElementZ;
+  const block = Z !== null ? elementBlock(Z) : null;
+  if (Z !== null) {
+    const shell = lastFilledSubshell(Z);
+    grid.style.setProperty('--block-color', getSubshellColor(shell.n, shell.l).join(', '));
+  }
   
-  for (let ll = m + 2; ll <= l; ll++) {
-    let plnew = ((2 * ll - 1) * x * plm - (ll + m - 1) * plmPrev) / (ll - m);
-    plmPrev = plm;
-    plm = plnew;
+  for (const cell of grid.children) {
+    const cellZ = parseInt(cell.dataset.z, 10);
+    cell.classList.toggle('in-block', cell.dataset.block === block);
+    cell.classList.toggle('selected', cellZ === Z);
+    cell.setAttribute('aria-pressed', cellZ === Z ? 'true' : 'false');
   }
   
-  return plm;
+  const blockEl = document.getElementById('periodicBlockValue');
+  const configEl = document.getElementById('periodicConfigValue');
+  if (blockEl) blockEl.textContent = block || '—';
+  if (configEl) configEl.textContent = Z !== null ? `${ionLabel(Z, configCharge)}: ${formatConfiguration(activeConfiguration())}` : '';
+}
+
+function setPeriodicPanelOpen(open) {
+  periodicPanelOpen = open;
+  setToggleButtonState(periodicBtn, open);
+  
+  const panel = document.getElementById('periodicPanel');
+  if (panel) panel.hidden = !open;
 }
 
 // ============================================
@@ -3566,13 +7646,15 @@ function computeAxisLength90() {
   arr.sort((a, b) => a - b);
   const idx = Math.max(0, Math.floor(0.9 * arr.length) - 1);
   let r90 = arr[idx] || 0;
-  r90 = max(r90, NUCLEUS_RADIUS);
+  const lenScale = lengthScaleForCharge();
+  r90 = max(r90, NUCLEUS_RADIUS * lenScale);
   
-  return max(r90 * 1.12, 120);
+  return max(r90 * 1.12, 120 * lenScale);
 }
 
 function computeAxisMax() {
-  let maxR = NUCLEUS_RADIUS;
+  const lenScale = lengthScaleForCharge();
+  let maxR = NUCLEUS_RADIUS * lenScale;
   
   if (positions && sampleCount > 0) {
     const n = sampleCount;
@@ -3601,7 +7683,7 @@ function computeAxisMax() {
     }
   }
   
-  return max(maxR * 1.02, 120);
+  return max(maxR * 1.02, 120 * lenScale);
 }
 
 function drawAxes(length) {
@@ -3645,20 +7727,299 @@ function fitViewToPoints(immediate = false, allowZoomIn = true) {
   if (axisLen > 0) fitViewToAxisLen(axisLen, immediate, allowZoomIn);
 }
 
-function radialLScale(l) {
-  if (!l || l <= 0) return 1.0;
-  const factorPerL = 0.06;
-  return Math.max(0.6, 1.0 - factorPerL * l);
+function estimateAxisLenFromQuantum(n, l) {
+  const estR = radialQuantile(n, l, 0.99) * a0 * ELECTRON_DISTANCE_MULTIPLIER / effectiveChargeFor(n, l);
+  return max(estR * 1.12, 120 * lengthScaleForCharge());
 }
 
-function estimateAxisLenFromQuantum(n, l) {
-  const k = 2 * l + 1;
-  const thetaScale = (n * a0) / 2.0;
-  const radialScale = radialLScale(l) * ELECTRON_DISTANCE_MULTIPLIER;
-  const factorCover = 3.0;
-  const estR = thetaScale * k * factorCover * radialScale;
+// ============================================
+// HYBRID ORBITALS
+// ============================================
+
+// Rebuilds the "which hybrid" choices for the selected set: the whole set, or one
+// hybrid by number and direction
+function populateHybridIndexOptions(keepValue = null) {
+  const setSel = ui.hybridSetSelect, indexSel = ui.hybridIndexSelect;
+  if (!setSel || !indexSel || !indexSel.elt) return;
+  
+  const el = indexSel.elt;
+  while (el.options.length > 1) el.remove(1);
+  for (const hybrid of hybridOrbitals(setSel.value())) {
+    const option = document.createElement('option');
+    option.value = String(hybrid.index + 1);
+    option.textContent = `#${hybrid.index + 1} ${formatDirection(hybrid.direction)}`;
+    el.appendChild(option);
+  }
+  el.value = keepValue !== null && Array.from(el.options).some(o => o.value === keepValue) ? keepValue : 'all';
+}
+
+// Each mode's own pickers (hybrid set, molecule, superposition editor) only show in it
+function syncModeControls(mode) {
+  const fields = { hybrid: '#hybridFields', molecule: '#moleculeFields', superposition: '#superpositionFields' };
+  for (const key of Object.keys(fields)) {
+    const el = select(fields[key]);
+    if (el && el.elt) el.elt.hidden = mode !== key;
+  }
+}
+
+function setupHybridControls() {
+  ui.hybridSetSelect = select('#hybridSetSelect');
+  ui.hybridIndexSelect = select('#hybridIndexSelect');
+  populateHybridIndexOptions();
+  syncModeControls(window.orbitalMode || 'basic');
+  
+  const changed = () => {
+    try {
+      if (typeof window.refreshOrbitalLabel === 'function') window.refreshOrbitalLabel();
+    } catch (e) {}
+    scheduleOrbitalUpdate();
+  };
+  
+  if (ui.hybridSetSelect && ui.hybridSetSelect.elt) {
+    ui.hybridSetSelect.elt.addEventListener('change', () => {
+      populateHybridIndexOptions();
+      changed();
+    });
+  }
+  if (ui.hybridIndexSelect && ui.hybridIndexSelect.elt) {
+    ui.hybridIndexSelect.elt.addEventListener('change', changed);
+  }
+}
+
+// An arrow from the nucleus along each hybrid shown, in the hybrid's colour
+function drawHybridDirections() {
+  noLights();
+  
+  for (const orbital of innerOrbitals) {
+    if (!orbital.hybrid) continue;
+    
+    const len = orbital.directionLength();
+    drawArrowFromOrigin(orbital.hybrid.direction, len, orbital.color, len * 0.1);
+  }
+  
+  ensureSceneLights();
+}
+
+// Line from the origin along unit vector u, len long, with a cone headLen long at the tip
+function drawArrowFromOrigin(u, len, c, headLen) {
+  const { yaw, pitch } = yawPitchFromVector(u);
+  
+  push();
+  stroke(c[0], c[1], c[2]);
+  strokeWeight(2);
+  line(0, 0, 0, u[0] * len, u[1] * len, u[2] * len);
+  
+  // Cone tip: local +y → +z → u
+  translate(u[0] * len, u[1] * len, u[2] * len);
+  rotateY(yaw);
+  rotateX(pitch);
+  rotateX(HALF_PI);
+  noStroke();
+  fill(c[0], c[1], c[2]);
+  cone(headLen * 0.35, headLen);
+  pop();
+  strokeWeight(1);
+}
+
+// ============================================
+// MOLECULES
+// ============================================
+
+// Molecule, bond length (Bohr radii) and MO choice from the molecule-mode controls
+function moleculeFromUI() {
+  const key = (ui.moleculeSelect && DIATOMICS[ui.moleculeSelect.value()]) ? ui.moleculeSelect.value() : 'H2';
+  const molecule = DIATOMICS[key];
+  const bondVal = ui.bondInput ? parseFloat(ui.bondInput.value()) : NaN;
+  const bond = isFinite(bondVal) ? constrain(bondVal, MIN_BOND_LENGTH, MAX_BOND_LENGTH) : molecule.bond;
+  const choice = ui.moSelect ? ui.moSelect.value() : 'occupied';
+  return { key, molecule, bond, mos: diatomicOrbitals(key), choice };
+}
+
+// Rebuilds the MO choices for the selected molecule: every occupied MO, or one MO.
+// Without a value to keep, the HOMO is picked.
+function populateMoOptions(keepValue = null) {
+  const molSel = ui.moleculeSelect, moSel = ui.moSelect;
+  if (!molSel || !moSel || !moSel.elt) return;
+  
+  const el = moSel.elt;
+  const mos = diatomicOrbitals(molSel.value());
+  while (el.options.length > 1) el.remove(1);
+  for (const mo of mos) {
+    const option = document.createElement('option');
+    option.value = mo.id;
+    option.textContent = `${mo.label} (${mo.occupancy}e⁻)`;
+    el.appendChild(option);
+  }
+  
+  const homo = homoOrbital(mos);
+  const fallback = homo ? homo.id : 'occupied';
+  el.value = keepValue !== null && Array.from(el.options).some(o => o.value === keepValue) ? keepValue : fallback;
+}
+
+function setupMoleculeControls() {
+  ui.moleculeSelect = select('#moleculeSelect');
+  ui.bondInput = select('#bondInput');
+  ui.moSelect = select('#moSelect');
+  
+  if (ui.moleculeSelect && ui.moleculeSelect.elt) {
+    const el = ui.moleculeSelect.elt;
+    for (const key of DIATOMIC_KEYS) {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = DIATOMICS[key].label;
+      el.appendChild(option);
+    }
+    el.value = 'H2';
+  }
+  if (ui.bondInput) ui.bondInput.value(DIATOMICS.H2.bond.toFixed(2));
+  populateMoOptions();
+  
+  const changed = () => {
+    try {
+      if (typeof window.refreshOrbitalLabel === 'function') window.refreshOrbitalLabel();
+    } catch (e) {}
+    energyPlotKey = null;
+    scheduleOrbitalUpdate();
+  };
+  
+  // A new molecule starts at its own equilibrium bond length
+  if (ui.moleculeSelect && ui.moleculeSelect.elt) {
+    ui.moleculeSelect.elt.addEventListener('change', () => {
+      const molecule = DIATOMICS[ui.moleculeSelect.value()];
+      if (molecule && ui.bondInput) ui.bondInput.value(molecule.bond.toFixed(2));
+      populateMoOptions();
+      changed();
+    });
+  }
+  if (ui.bondInput && ui.bondInput.elt) ui.bondInput.elt.addEventListener('input', changed);
+  if (ui.moSelect && ui.moSelect.elt) ui.moSelect.elt.addEventListener('change', changed);
+}
+
+// Picks an MO from the energy diagram
+function showMolecularOrbital(id) {
+  if (!ui.moSelect || !ui.moSelect.elt) return;
+  ui.moSelect.elt.value = ui.moSelect.elt.value === id ? 'occupied' : id;
+  try {
+    if (typeof window.refreshOrbitalLabel === 'function') window.refreshOrbitalLabel();
+  } catch (e) {}
+  energyPlotKey = null;
+  scheduleOrbitalUpdate();
+}
+
+// The two nuclei at z = ±R/2, in place of the single one at the origin
+function drawMoleculeNuclei() {
+  if (!nucleus) return;
+  const half = moleculeFromUI().bond / 2 * a0 * ELECTRON_DISTANCE_MULTIPLIER;
+  
+  for (const z of [-half, half]) {
+    push();
+    translate(0, 0, z);
+    nucleus.render(rotX, rotY, camZoom, worldToScreen, normalizeVec3, backLightColor);
+    pop();
+  }
+}
+
+// ============================================
+// SUPERPOSITION
+// ============================================
+
+// The two states of the superposition editor, [{ n, l, m, c }]; invalid quantum
+// numbers are clamped and written back
+function superpositionStatesFromUI() {
+  return SUPERPOSITION_STATE_KEYS.map((key, i) => {
+    const inputs = ui.superpositionInputs ? ui.superpositionInputs[key] : null;
+    const fallback = SUPERPOSITION_DEFAULTS[i];
+    if (!inputs) return Object.assign({}, fallback);
+    
+    const read = (el, def) => {
+      const v = parseFloat(el.value());
+      return isFinite(v) ? v : def;
+    };
+    const n = constrain(Math.round(read(inputs.n, fallback.n)), 1, MAX_SUPERPOSITION_N);
+    const l = constrain(Math.round(read(inputs.l, fallback.l)), 0, n - 1);
+    const m = constrain(Math.round(read(inputs.m, fallback.m)), -l, l);
+    const c = read(inputs.c, fallback.c);
+    
+    if (String(n) !== inputs.n.value()) inputs.n.value(n);
+    if (String(l) !== inputs.l.value()) inputs.l.value(l);
+    if (String(m) !== inputs.m.value()) inputs.m.value(m);
+    return { n, l, m, c };
+  });
+}
+
+function setupSuperpositionControls() {
+  ui.superpositionInputs = {};
+  SUPERPOSITION_STATE_KEYS.forEach((key, i) => {
+    const inputs = {
+      n: select(`#${key}NInput`),
+      l: select(`#${key}LInput`),
+      m: select(`#${key}MInput`),
+      c: select(`#${key}AmpInput`)
+    };
+    if (Object.values(inputs).some(el => !el)) return;
+    
+    for (const q of ['n', 'l', 'm', 'c']) inputs[q].value(SUPERPOSITION_DEFAULTS[i][q]);
+    ui.superpositionInputs[key] = inputs;
+  });
+  ui.superPlayBtn = select('#superPlayBtn');
+  ui.timeScaleInput = select('#timeScaleInput');
+  ui.superpositionReadout = select('#superpositionReadout');
+  if (ui.timeScaleInput) ui.timeScaleInput.value(DEFAULT_TIME_SCALE_AS);
+  
+  // A new superposition starts again from t = 0
+  const changed = () => {
+    superpositionTime = 0;
+    try {
+      if (typeof window.refreshOrbitalLabel === 'function') window.refreshOrbitalLabel();
+    } catch (e) {}
+    scheduleOrbitalUpdate();
+  };
+  for (const inputs of Object.values(ui.superpositionInputs)) {
+    for (const el of Object.values(inputs)) el.input(changed);
+  }
+  
+  if (ui.superPlayBtn) ui.superPlayBtn.mousePressed(() => setSuperpositionPlaying(!superpositionPlaying));
+  setSuperpositionPlaying(superpositionPlaying);
+}
+
+// The button reads "Pause" while playing (data-i18n-key superPlay, on/off)
+function setSuperpositionPlaying(playing) {
+  superpositionPlaying = playing;
+  setToggleButtonState(ui.superPlayBtn, playing);
+}
+
+// Attoseconds of evolution per second of playback
+function timeScaleFromUI() {
+  const v = ui.timeScaleInput ? parseFloat(ui.timeScaleInput.value()) : NaN;
+  return isFinite(v) ? constrain(v, MIN_TIME_SCALE_AS, MAX_TIME_SCALE_AS) : DEFAULT_TIME_SCALE_AS;
+}
+
+// Advances the evolution by dt ms of playback
+function advanceSuperpositionTime(dt) {
+  if (!superpositionPlaying) return;
+  superpositionTime += dt / 1000 * timeScaleFromUI() / ATOMIC_TIME_AS;
+}
+
+// Arrow from the nucleus to ⟨r⟩(t), the oscillating dipole
+function drawSuperpositionDipole() {
+  const orbital = innerOrbitals.find(o => o instanceof SuperpositionOrbital);
+  if (!orbital || orbital.componentCount === 0) return;
+  
+  const d = orbital.dipole();
+  const len = Math.hypot(d[0], d[1], d[2]);
+  if (len > 1e-3) drawArrowFromOrigin(d.map(v => v / len), len, DIPOLE_COLOR, Math.max(6, len * 0.25));
+  updateSuperpositionReadout(orbital, d);
+}
+
+// "t = 0.120 fs · T = 0.405 fs · ⟨r⟩ = (0.00, 0.00, 0.74) a₀", a few times a second
+function updateSuperpositionReadout(orbital, d) {
+  if (!ui.superpositionReadout || millis() - superpositionReadoutAt < SUPERPOSITION_READOUT_MS) return;
+  superpositionReadoutAt = millis();
   
-  return max(estR * 1.12, 120);
+  const fs = v => `${(v * ATOMIC_TIME_AS / 1000).toFixed(3)} fs`;
+  const period = superpositionPeriod(orbital.terms);
+  const bohr = d.map(v => v / (a0 * orbital.distanceScale));
+  ui.superpositionReadout.html(`t = ${fs(superpositionTime)} · T = ${isFinite(period) ? fs(period) : '∞'} · ⟨r⟩ = ${formatDirection(bohr)} a₀`);
 }
 
 // ============================================
@@ -0,0 +1,123 @@
+'use strict';
+
+/* ============================================
+   SPECTRAL TRANSITIONS
+   Electric-dipole selection rules, photon energy
+   and wavelength of hydrogen-like transitions,
+   the named series and visible-light colours
+   (plain data only — no p5 globals here)
+   ============================================ */
+
+const HARTREE_EV = 27.211386245988;
+const HC_EV_NM = 1239.84198433; // hc in eV·nm
+
+// Named series by their lower level
+const SPECTRAL_SERIES = { 1: 'Lyman', 2: 'Balmer', 3: 'Paschen', 4: 'Brackett', 5: 'Pfund', 6: 'Humphreys' };
+
+const VISIBLE_MIN_NM = 380;
+const VISIBLE_MAX_NM = 750;
+
+// ============================================
+// SELECTION RULES
+// ============================================
+
+// Δl = ±1, plus a component of r connecting the two angular parts: Δm = 0, ±1 for
+// complex orbitals, realDipoleAxes for real ones (where deltaM is Δ|m| and axes lists
+// the polarisations). { allowed, deltaL, deltaM, lRule, mRule, axes }
+function dipoleSelection(from, to, complexBasis = false) {
+  const deltaL = to.l - from.l;
+  const lRule = Math.abs(deltaL) === 1;
+  
+  if (complexBasis) {
+    const deltaM = to.m - from.m;
+    const mRule = Math.abs(deltaM) <= 1;
+    return { allowed: lRule && mRule, deltaL, deltaM, lRule, mRule, axes: null };
+  }
+  
+  const axes = realDipoleAxes(from.m, to.m);
+  const mRule = axes.length > 0;
+  return { allowed: lRule && mRule, deltaL, deltaM: Math.abs(to.m) - Math.abs(from.m), lRule, mRule, axes };
+}
+
+// Which of x, y, z give a non-zero ⟨m1|r|m2⟩ between real orbitals once Δl = ±1 holds.
+// Only the φ factors decide it: cos(mφ) for m > 0, sin(|m|φ) for m < 0, 1 for m = 0.
+// z keeps the factor, so it needs m1 = m2; x (∝ cos φ) and y (∝ sin φ) change |m| by
+// one, x between two factors of the same kind and y between a cos and a sin.
+function realDipoleAxes(m1, m2) {
+  const axes = [];
+  if (Math.abs(Math.abs(m1) - Math.abs(m2)) === 1) axes.push((m1 < 0) === (m2 < 0) ? 'x' : 'y');
+  if (m1 === m2) axes.push('z');
+  return axes;
+}
+
+// ============================================
+// PHOTONS
+// ============================================
+
+// Photon of the jump nFrom → nTo for nuclear charge Z (infinite nuclear mass), or null
+// when both levels share one energy: { energyEV, wavelengthNm, emission, lower, upper, series }
+function transitionPhoton(nFrom, nTo, Z = 1) {
+  const energy = (hydrogenEnergy(nFrom, Z) - hydrogenEnergy(nTo, Z)) * HARTREE_EV;
+  if (Math.abs(energy) < 1e-12) return null;
+  
+  const lower = Math.min(nFrom, nTo);
+  return {
+    energyEV: Math.abs(energy),
+    wavelengthNm: HC_EV_NM / Math.abs(energy),
+    emission: energy > 0,
+    lower,
+    upper: Math.max(nFrom, nTo),
+    series: SPECTRAL_SERIES[lower] || null
+  };
+}
+
+// Short-wavelength end of a series (upper level → ∞)
+function seriesLimitNm(lower, Z = 1) {
+  return HC_EV_NM / (-hydrogenEnergy(lower, Z) * HARTREE_EV);
+}
+
+// The first count lines of a series: [{ upper, wavelengthNm }], longest wavelength first
+function seriesLines(lower, count, Z = 1) {
+  const lines = [];
+  for (let upper = lower + 1; upper <= lower + count; upper++) {
+    lines.push({ upper, wavelengthNm: transitionPhoton(upper, lower, Z).wavelengthNm });
+  }
+  return lines;
+}
+
+// 'uv', 'visible' or 'ir'
+function spectralRegion(nm) {
+  if (nm < VISIBLE_MIN_NM) return 'uv';
+  return nm > VISIBLE_MAX_NM ? 'ir' : 'visible';
+}
+
+// Approximate colour of visible light, [r, g, b] 0–255, fading toward both ends of
+// the range (piecewise-linear fit after Bruton); null outside it
+function wavelengthColor(nm) {
+  if (nm < VISIBLE_MIN_NM || nm > VISIBLE_MAX_NM) return null;
+  
+  let r = 0, g = 0, b = 0;
+  if (nm < 440) {
+    r = (440 - nm) / 60;
+    b = 1;
+  } else if (nm < 490) {
+    g = (nm - 440) / 50;
+    b = 1;
+  } else if (nm < 510) {
+    g = 1;
+    b = (510 - nm) / 20;
+  } else if (nm < 580) {
+    r = (nm - 510) / 70;
+    g = 1;
+  } else if (nm < 645) {
+    r = 1;
+    g = (645 - nm) / 65;
+  } else {
+    r = 1;
+  }
+  
+  let fade = 1;
+  if (nm < 420) fade = 0.3 + 0.7 * (nm - VISIBLE_MIN_NM) / 40;
+  else if (nm > 700) fade = 0.3 + 0.7 * (VISIBLE_MAX_NM - nm) / 50;
+  return [r, g, b].map(v => Math.round(255 * v * fade));
+}
@@ -0,0 +1,611 @@
+'use strict';
+
+/* ============================================
+   WAVEFUNCTION MATH & POINT SAMPLER
+   Shared by sketch.js and samplerWorker.js
+   (plain Math only — no p5 globals here)
+   ============================================ */
+
+const RADIAL_TABLE_SIZE = 2048; // Bins in the tabulated radial CDF
+
+// ============================================
+// ANGULAR PART
+// ============================================
+
+function estimateMaxAngular(l, m, trialCount = 400, rng = Math.random, complexBasis = false) {
+  let maxVal = 1e-20;
+  
+  for (let i = 0; i < trialCount; i++) {
+    const theta = Math.acos(rng() * 2 - 1);
+    const phi = rng() * 2 * Math.PI;
+    const v = angularProb(theta, phi, l, m, complexBasis);
+    if (v > maxVal) maxVal = v;
+  }
+  
+  return maxVal;
+}
+
+// Signed real angular part (unnormalized real Y_lm); its sign is the lobe phase
+function realAngular(theta, phi, l, m) {
+  const mm = Math.abs(m);
+  let ang = associatedLegendre(l, mm, Math.cos(theta));
+  if (m > 0) ang *= Math.cos(m * phi);
+  else if (m < 0) ang *= Math.sin(mm * phi);
+  return ang;
+}
+
+// Angular density: real cos/sin combinations, or the complex e^{imφ} eigenstates
+// of L_z whose |Y_lm|² has no φ dependence (the doughnuts for m ≠ 0)
+function angularProb(theta, phi, l, m, complexBasis = false) {
+  const ang = complexBasis ? associatedLegendre(l, Math.abs(m), Math.cos(theta)) : realAngular(theta, phi, l, m);
+  return ang * ang + 1e-30;
+}
+
+function associatedLegendre(l, m, x) {
+  if (m > l) return 0;
+  
+  let pmm = 1.0;
+  if (m > 0) {
+    let somx2 = Math.sqrt(Math.max(0, 1 - x * x));
+    let fact = 1.0;
+    for (let i = 1; i <= m; i++) {
+      pmm *= -fact * somx2;
+      fact += 2.0;
+    }
+  }
+  
+  if (l === m) return pmm;
+  
+  let pmmp1 = x * (2 * m + 1) * pmm;
+  if (l === m + 1) return pmmp1;
+  
+  let plmPrev = pmm;
+  let plm = pmmp1;
+  
+  for (let ll = m + 2; ll <= l; ll++) {
+    let plnew = ((2 * ll - 1) * x * plm - (ll + m - 1) * plmPrev) / (ll - m);
+    plmPrev = plm;
+    plm = plnew;
+  }
+  
+  return plm;
+}
+
+// ============================================
+// RADIAL PART
+// ============================================
+
+function generalizedLaguerre(k, alpha, x) {
+  if (k <= 0) return 1.0;
+  
+  let lPrev = 1.0;
+  let lCur = 1.0 + alpha - x;
+  
+  for (let j = 1; j < k; j++) {
+    const lNext = ((2 * j + 1 + alpha - x) * lCur - (j + alpha) * lPrev) / (j + 1);
+    lPrev = lCur;
+    lCur = lNext;
+  }
+  
+  return lCur;
+}
+
+function factorial(k) {
+  let f = 1;
+  for (let i = 2; i <= k; i++) f *= i;
+  return f;
+}
+
+// Normalized hydrogenic R_nl(r), r in Bohr radii
+function radialWavefunction(n, l, r) {
+  const rho = 2 * r / n;
+  const norm = Math.sqrt(Math.pow(2 / n, 3) * factorial(n - l - 1) / (2 * n * factorial(n + l)));
+  return norm * Math.pow(rho, l) * Math.exp(-rho / 2) * generalizedLaguerre(n - l - 1, 2 * l + 1, rho);
+}
+
+// P(r) = r²|R_nl(r)|²
+function radialProb(n, l, r) {
+  const R = radialWavefunction(n, l, r);
+  return r * r * R * R;
+}
+
+let radialTableCache = {};
+
+// Tabulated CDF of P(r) for inverse-transform sampling; cached per (n, l)
+function getRadialTable(n, l) {
+  const key = `${n},${l}`;
+  if (radialTableCache[key]) return radialTableCache[key];
+  
+  const rMax = 2 * n * n + 10 * n;
+  const bins = RADIAL_TABLE_SIZE;
+  const dr = rMax / bins;
+  const cdf = new Float64Array(bins + 1);
+  
+  let prev = 0;
+  for (let i = 1; i <= bins; i++) {
+    const p = radialProb(n, l, i * dr);
+    cdf[i] = cdf[i - 1] + 0.5 * (prev + p) * dr;
+    prev = p;
+  }
+  
+  const total = cdf[bins] || 1.0;
+  for (let i = 1; i <= bins; i++) cdf[i] /= total;
+  
+  const table = { n, l, rMax, dr, cdf };
+  radialTableCache[key] = table;
+  return table;
+}
+
+function radialQuantileFromTable(table, u) {
+  const cdf = table.cdf;
+  let lo = 0, hi = cdf.length - 1;
+  
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (cdf[mid] < u) lo = mid;
+    else hi = mid;
+  }
+  
+  const span = cdf[hi] - cdf[lo];
+  const frac = span > 0 ? (u - cdf[lo]) / span : 0;
+  return (lo + frac) * table.dr;
+}
+
+function radialQuantile(n, l, p) {
+  return radialQuantileFromTable(getRadialTable(n, l), p);
+}
+
+function sampleRadialFromTable(table, rng = Math.random) {
+  return radialQuantileFromTable(table, rng());
+}
+
+// ============================================
+// SEEDED RANDOM
+// ============================================
+
+// mulberry32: small, fast and identical in every browser, so a seed reproduces a cloud
+function createSeededRng(seed) {
+  let a = seed >>> 0;
+  return function() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// 32-bit FNV-1a of "seed|stream"; gives every orbital and purpose its own sequence,
+// so results do not depend on the order in which jobs run
+function hashSeed(seed, stream = '') {
+  const s = `${seed}|${stream}`;
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// ============================================
+// PHASE
+// ============================================
+
+// Sign of ψ = R_nl·Y_lm at a sampled point (+1 / -1, 0 on a node). Complex
+// states with m ≠ 0 have a winding phase e^{imφ} rather than a sign, so 0.
+function wavefunctionSign(n, l, m, rBohr, theta, phi, complexBasis = false) {
+  if (complexBasis && m !== 0) return 0;
+  const v = radialWavefunction(n, l, rBohr) * realAngular(theta, phi, l, m);
+  return v > 0 ? 1 : (v < 0 ? -1 : 0);
+}
+
+// Same, for a world-space point of a cloud sampled with the given radial scale
+function wavefunctionSignAt(n, l, m, x, y, z, radialScale, complexBasis = false) {
+  const r = Math.sqrt(x * x + y * y + z * z);
+  if (r <= 0) return 0;
+  const theta = Math.acos(Math.max(-1, Math.min(1, z / r)));
+  const phi = Math.atan2(y, x);
+  return wavefunctionSign(n, l, m, r / radialScale, theta, phi, complexBasis);
+}
+
+// ============================================
+// LINEAR COMBINATIONS
+// ============================================
+
+// Normalization of the real harmonics built by realAngular (the √2 folds in m and −m)
+function realHarmonicNorm(l, m) {
+  const mm = Math.abs(m);
+  const norm = Math.sqrt((2 * l + 1) / (4 * Math.PI) * factorial(l - mm) / factorial(l + mm));
+  return mm === 0 ? norm : norm * Math.SQRT2;
+}
+
+// Normalized real orbital R_nl·Y_lm in the signs of the textbook pictures: the
+// Condon–Shortley sign is taken out (p(m=1) = +x, p(m=−1) = +y, d(m=2) = x²−y²) and
+// the outermost radial lobe is positive (R_nl there has the sign (−1)^(n−l−1)), so
+// s + p reinforces on the +p side where the density actually is
+function realOrbitalValue(n, l, m, rBohr, theta, phi) {
+  const sign = ((Math.abs(m) + n - l - 1) % 2 === 1) ? -1 : 1;
+  return sign * realHarmonicNorm(l, m) * radialWavefunction(n, l, rBohr) * realAngular(theta, phi, l, m);
+}
+
+// ψ = Σ c·φ_nlm for terms [{ n, l, m, c }]
+function combinationValue(terms, rBohr, theta, phi) {
+  let psi = 0;
+  for (const t of terms) psi += t.c * realOrbitalValue(t.n, t.l, t.m, rBohr, theta, phi);
+  return psi;
+}
+
+// ============================================
+// POINT SAMPLER
+// ============================================
+
+// radialScale converts Bohr radii to world units (already divided by Z_eff);
+// points closer than minR are rejected so the nucleus stays clear
+function createSamplerState(n, l, m, radialScale, minR, angularTries = 20, rng = Math.random, complexBasis = false) {
+  return {
+    n, l, m,
+    radialScale,
+    minR,
+    angularTries,
+    complexBasis,
+    radialTable: getRadialTable(n, l),
+    maxAngular: estimateMaxAngular(l, m, 500, rng, complexBasis) * 1.2
+  };
+}
+
+// Writes up to maxPoints accepted xyz triples into out, starting at point index start;
+// phaseOut (optional) receives the sign of ψ at each point. Combination states
+// (createCombinationSamplerState) are handed to sampleCombinationBatch.
+function sampleOrbitalBatch(state, out, start, maxPoints, maxAttempts, rng = Math.random, phaseOut = null) {
+  if (state.terms) return sampleCombinationBatch(state, out, start, maxPoints, maxAttempts, rng, phaseOut);
+  
+  let written = 0;
+  let attempts = 0;
+  
+  while (written < maxPoints && attempts < maxAttempts) {
+    attempts++;
+    
+    const r = sampleRadialFromTable(state.radialTable, rng) * state.radialScale;
+    if (r < state.minR) continue;
+    
+    let accepted = false, theta = 0, phi = 0;
+    for (let aTry = 0; aTry < state.angularTries; aTry++) {
+      theta = Math.acos(rng() * 2 - 1);
+      phi = rng() * 2 * Math.PI;
+      const ang = angularProb(theta, phi, state.l, state.m, state.complexBasis);
+      if (rng() < ang / state.maxAngular) {
+        accepted = true;
+        break;
+      }
+    }
+    
+    if (!accepted) continue;
+    
+    const sinT = Math.sin(theta);
+    const idx = (start + written) * 3;
+    out[idx] = r * sinT * Math.cos(phi);
+    out[idx + 1] = r * sinT * Math.sin(phi);
+    out[idx + 2] = r * Math.cos(theta);
+    if (phaseOut) phaseOut[start + written] = wavefunctionSign(state.n, state.l, state.m, r / state.radialScale, theta, phi, state.complexBasis);
+    written++;
+  }
+  
+  return { written, attempts };
+}
+
+// Last-resort fill when rejection sampling stalls: uniform ball outside minR
+function fillUniformBall(state, out, start, end, rng = Math.random, phaseOut = null) {
+  const minR = state.minR;
+  const rMax = Math.max(minR + 1, state.radialTable.rMax * state.radialScale);
+  
+  for (let i = start; i < end; i++) {
+    let rr = rMax * Math.pow(rng(), 1.0 / 3.0);
+    if (rr < minR) rr = minR + (rMax - minR) * Math.pow(rng(), 1.0 / 3.0);
+    const theta = Math.acos(rng() * 2 - 1);
+    const phi = rng() * 2 * Math.PI;
+    
+    const idx = i * 3;
+    out[idx] = rr * Math.sin(theta) * Math.cos(phi);
+    out[idx + 1] = rr * Math.sin(theta) * Math.sin(phi);
+    out[idx + 2] = rr * Math.cos(theta);
+    if (phaseOut) phaseOut[i] = state.terms
+      ? Math.sign(combinationValue(state.terms, rr / state.radialScale, theta, phi))
+      : wavefunctionSign(state.n, state.l, state.m, rr / state.radialScale, theta, phi, state.complexBasis);
+  }
+}
+
+// Sampler for a linear combination (terms as in combinationValue; coefficients are
+// renormalized). Proposals come from the mixture (1/K)·Σ|φ_i|² — pick a term, sample
+// its own density — and are accepted with |ψ|² / Σ|φ_i|², which Cauchy–Schwarz keeps
+// at most 1 when Σc² = 1. fillUniformBall works on this state too.
+function createCombinationSamplerState(terms, radialScale, minR, angularTries = 20, rng = Math.random) {
+  const norm = Math.sqrt(terms.reduce((sum, t) => sum + t.c * t.c, 0)) || 1;
+  const parts = terms.map(t => ({
+    n: t.n, l: t.l, m: t.m,
+    c: t.c / norm,
+    radialTable: getRadialTable(t.n, t.l),
+    maxAngular: estimateMaxAngular(t.l, t.m, 500, rng) * 1.2
+  }));
+  
+  return {
+    terms: parts,
+    radialScale,
+    minR,
+    angularTries,
+    radialTable: parts.reduce((widest, t) => t.radialTable.rMax > widest.rMax ? t.radialTable : widest, parts[0].radialTable)
+  };
+}
+
+function sampleCombinationBatch(state, out, start, maxPoints, maxAttempts, rng = Math.random, phaseOut = null) {
+  const terms = state.terms;
+  let written = 0;
+  let attempts = 0;
+  
+  while (written < maxPoints && attempts < maxAttempts) {
+    attempts++;
+    
+    const term = terms[Math.min(terms.length - 1, Math.floor(rng() * terms.length))];
+    const rBohr = sampleRadialFromTable(term.radialTable, rng);
+    const r = rBohr * state.radialScale;
+    if (r < state.minR) continue;
+    
+    let accepted = false, theta = 0, phi = 0;
+    for (let aTry = 0; aTry < state.angularTries; aTry++) {
+      theta = Math.acos(rng() * 2 - 1);
+      phi = rng() * 2 * Math.PI;
+      if (rng() < angularProb(theta, phi, term.l, term.m) / term.maxAngular) {
+        accepted = true;
+        break;
+      }
+    }
+    
+    if (!accepted) continue;
+    
+    let psi = 0, mixture = 0;
+    for (const t of terms) {
+      const v = realOrbitalValue(t.n, t.l, t.m, rBohr, theta, phi);
+      psi += t.c * v;
+      mixture += v * v;
+    }
+    if (mixture <= 0 || rng() >= psi * psi / mixture) continue;
+    
+    const sinT = Math.sin(theta);
+    const idx = (start + written) * 3;
+    out[idx] = r * sinT * Math.cos(phi);
+    out[idx + 1] = r * sinT * Math.sin(phi);
+    out[idx + 2] = r * Math.cos(theta);
+    if (phaseOut) phaseOut[start + written] = psi > 0 ? 1 : (psi < 0 ? -1 : 0);
+    written++;
+  }
+  
+  return { written, attempts };
+}
+
+// ============================================
+// METROPOLIS SAMPLER
+// ============================================
+
+// Random-walk Metropolis–Hastings for any ψ(x, y, z) (Bohr radii; |ψ|² need not be
+// normalized), for wavefunctions the separable samplers above cannot draw.
+// chains: independent walkers, visited round-robin; burnIn: discarded steps per chain,
+// during which the step size is tuned toward targetAcceptance; thin: steps between
+// recorded points of a chain; step: initial step size (Bohr); extent: spread of the
+// random starting points (Bohr) around the centers (e.g. the nuclei), which the
+// chains share round-robin. largeStepProb of the proposals are largeStepScale times
+// longer, so walkers can cross nodal planes between separated lobes, and jumpProb of
+// them shift the walker by the offset between two random centers — symmetric, since
+// the opposite offset is as likely — so density shared between atoms stays balanced.
+const METROPOLIS_DEFAULTS = {
+  chains: 16,
+  burnIn: 1500,
+  thin: 6,
+  step: 1,
+  extent: 5,
+  centers: [[0, 0, 0]],
+  targetAcceptance: 0.5,
+  largeStepProb: 0.1,
+  largeStepScale: 4,
+  jumpProb: 0.1
+};
+
+const METROPOLIS_ADAPT_EVERY = 200; // Proposals between step-size updates during burn-in
+
+// Standard normal deviate (Box–Muller)
+function gaussianDeviate(rng = Math.random) {
+  let u = 0;
+  while (u <= 0) u = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+}
+
+// radialScale converts Bohr radii to world units; proposals closer than minR (world
+// units) to the origin are rejected, as in the other samplers
+function createMetropolisState(psi, radialScale, minR, options = {}, rng = Math.random) {
+  const opts = Object.assign({}, METROPOLIS_DEFAULTS, options);
+  const chains = [];
+  
+  for (let i = 0; i < opts.chains; i++) {
+    const c = opts.centers[i % opts.centers.length];
+    const x = c[0] + opts.extent * gaussianDeviate(rng);
+    const y = c[1] + opts.extent * gaussianDeviate(rng);
+    const z = c[2] + opts.extent * gaussianDeviate(rng);
+    const v = psi(x, y, z);
+    chains.push({ x, y, z, psi: v, density: isFinite(v) ? v * v : 0 });
+  }
+  
+  return {
+    psi,
+    radialScale,
+    minRBohr: minR / radialScale,
+    opts,
+    chains,
+    step: opts.step,
+    burnLeft: opts.burnIn * opts.chains,
+    cursor: 0,
+    proposed: 0,
+    accepted: 0
+  };
+}
+
+// One step of a chain. The proposal is symmetric, so a move is accepted with
+// probability min(1, |ψ'|²/|ψ|²); a chain still on a node takes any move.
+function metropolisStep(state, chain, rng) {
+  const opts = state.opts;
+  const centers = opts.centers;
+  let x, y, z;
+  
+  if (centers.length > 1 && rng() < opts.jumpProb) {
+    const a = centers[Math.floor(rng() * centers.length) % centers.length];
+    const b = centers[Math.floor(rng() * centers.length) % centers.length];
+    x = chain.x + b[0] - a[0];
+    y = chain.y + b[1] - a[1];
+    z = chain.z + b[2] - a[2];
+  } else {
+    const sigma = rng() < opts.largeStepProb ? state.step * opts.largeStepScale : state.step;
+    x = chain.x + sigma * gaussianDeviate(rng);
+    y = chain.y + sigma * gaussianDeviate(rng);
+    z = chain.z + sigma * gaussianDeviate(rng);
+  }
+  state.proposed++;
+  
+  if (x * x + y * y + z * z < state.minRBohr * state.minRBohr) return;
+  const v = state.psi(x, y, z);
+  const density = v * v;
+  if (!isFinite(density)) return;
+  if (chain.density > 0 && density < chain.density * rng()) return;
+  
+  chain.x = x;
+  chain.y = y;
+  chain.z = z;
+  chain.psi = v;
+  chain.density = density;
+  state.accepted++;
+}
+
+// Spends up to budget steps on the remaining burn-in; returns the steps used. The
+// step size is only adapted here, so the recorded chain is a fixed Markov kernel.
+function metropolisBurnIn(state, budget, rng) {
+  let used = 0;
+  
+  while (state.burnLeft > 0 && used < budget) {
+    metropolisStep(state, state.chains[state.cursor++ % state.chains.length], rng);
+    state.burnLeft--;
+    used++;
+    
+    if (state.proposed >= METROPOLIS_ADAPT_EVERY) {
+      const rate = state.accepted / state.proposed;
+      state.step = Math.min(50, Math.max(1e-3, state.step * Math.exp(rate - state.opts.targetAcceptance)));
+      state.proposed = 0;
+      state.accepted = 0;
+    }
+  }
+  
+  return used;
+}
+
+// Same contract as sampleOrbitalBatch (attempts counts Markov steps, burn-in included);
+// once burn-in is over every thin steps of a chain yield one point
+function sampleMetropolisBatch(state, out, start, maxPoints, maxAttempts, rng = Math.random, phaseOut = null) {
+  let attempts = metropolisBurnIn(state, maxAttempts, rng);
+  let written = 0;
+  
+  while (written < maxPoints && attempts < maxAttempts && state.burnLeft <= 0) {
+    const chain = state.chains[state.cursor++ % state.chains.length];
+    for (let k = 0; k < state.opts.thin; k++) metropolisStep(state, chain, rng);
+    attempts += state.opts.thin;
+    
+    const idx = (start + written) * 3;
+    out[idx] = chain.x * state.radialScale;
+    out[idx + 1] = chain.y * state.radialScale;
+    out[idx + 2] = chain.z * state.radialScale;
+    if (phaseOut) phaseOut[start + written] = chain.psi > 0 ? 1 : (chain.psi < 0 ? -1 : 0);
+    written++;
+  }
+  
+  return { written, attempts };
+}
+
+// ============================================
+// TIME EVOLUTION
+// ============================================
+
+const ATOMIC_TIME_AS = 24.188843265857; // ħ/E_h, the atomic unit of time, in attoseconds
+
+// Hydrogen-like level E_n = −Z²/(2n²), in hartree
+function hydrogenEnergy(n, Z = 1) {
+  return -Z * Z / (2 * n * n);
+}
+
+// Terms of ψ(t) = Σ c·φ_nlm·e^(−iE_n t) for states [{ n, l, m, c }]: amplitudes
+// normalized (all zero keeps the first state alone), energies in hartree for charge Z.
+// φ takes Bohr radii scaled by Z, like the hydrogenic samplers.
+function superpositionTerms(states, Z = 1) {
+  const norm = Math.sqrt(states.reduce((sum, s) => sum + s.c * s.c, 0));
+  return states.map((s, i) => ({
+    n: s.n,
+    l: s.l,
+    m: s.m,
+    c: norm > 0 ? s.c / norm : (i === 0 ? 1 : 0),
+    energy: hydrogenEnergy(s.n, Z)
+  }));
+}
+
+// Σ|c·φ|: its square bounds |ψ(t)|² at every t, so points drawn from it once can be
+// reweighted frame by frame instead of resampled
+function superpositionEnvelope(terms) {
+  return (x, y, z) => {
+    const r = Math.sqrt(x * x + y * y + z * z);
+    const theta = r > 0 ? Math.acos(Math.max(-1, Math.min(1, z / r))) : 0;
+    const phi = Math.atan2(y, x);
+    let sum = 0;
+    for (const t of terms) sum += Math.abs(t.c * realOrbitalValue(t.n, t.l, t.m, r, theta, phi));
+    return sum;
+  };
+}
+
+// c·φ of every term at points [from, to) of positions (world units), K per point into
+// out; radialScale converts Bohr radii to world units as in the samplers
+function superpositionComponents(terms, positions, from, to, radialScale, out) {
+  const K = terms.length;
+  for (let i = from; i < to; i++) {
+    const x = positions[i * 3] / radialScale;
+    const y = positions[i * 3 + 1] / radialScale;
+    const z = positions[i * 3 + 2] / radialScale;
+    const r = Math.sqrt(x * x + y * y + z * z);
+    const theta = r > 0 ? Math.acos(Math.max(-1, Math.min(1, z / r))) : 0;
+    const phi = Math.atan2(y, x);
+    for (let k = 0; k < K; k++) out[i * K + k] = terms[k].c * realOrbitalValue(terms[k].n, terms[k].l, terms[k].m, r, theta, phi);
+  }
+}
+
+// |ψ(t)|² / (Σ|c·φ|)² (0…1) of points [0, count) at time t (atomic units): the share
+// of the envelope the density fills, given their components
+function superpositionWeights(terms, components, count, t, out) {
+  const K = terms.length;
+  const cos = terms.map(term => Math.cos(term.energy * t));
+  const sin = terms.map(term => Math.sin(term.energy * t));
+  
+  for (let i = 0; i < count; i++) {
+    let re = 0, im = 0, env = 0;
+    for (let k = 0; k < K; k++) {
+      const v = components[i * K + k];
+      re += v * cos[k];
+      im -= v * sin[k];
+      env += Math.abs(v);
+    }
+    out[i] = env > 0 ? (re * re + im * im) / (env * env) : 0;
+  }
+}
+
+// Longest beat period 2π/|E_i − E_j| between terms that are present (atomic units);
+// Infinity when all share one energy and the density is stationary
+function superpositionPeriod(terms) {
+  let slowest = 0;
+  for (let i = 0; i < terms.length; i++) {
+    for (let j = i + 1; j < terms.length; j++) {
+      const dE = Math.abs(terms[i].energy - terms[j].energy);
+      if (terms[i].c === 0 || terms[j].c === 0 || dE < 1e-12) continue;
+      slowest = Math.max(slowest, 2 * Math.PI / dE);
+    }
+  }
+  return slowest > 0 ? slowest : Infinity;
+}